@@ -0,0 +1,24 @@
+/**
+ * Checks of the modules which need no browser, one module of checks for each feature.
+ * A check module throws an AssertionError if a check fails.
+ *
+ * Run with "npm test".
+ */
+import './checks/serve_code.mjs';
+import './checks/serve_simulator.mjs';
+import './checks/serve_history.mjs';
+import './checks/serve_export.mjs';
+import './checks/serve_link.mjs';
+import './checks/serve_library.mjs';
+import './checks/serve_tolerance.mjs';
+import './checks/serve_search.mjs';
+import './checks/serve_minimizer.mjs';
+import './checks/serve_benchmark.mjs';
+import './checks/opponent_strategy.mjs';
+import './checks/rally_code.mjs';
+import './checks/serve_boundaries.mjs';
+import './checks/keyboard.mjs';
+import './checks/input_conversion.mjs';
+import './checks/ready_section.mjs';
+import './checks/key_bindings.mjs';
+import './checks/gamepad.mjs';
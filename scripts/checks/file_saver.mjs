@@ -0,0 +1,6 @@
+/**
+ * "file-saver" with "saveAs" exported by name, see "hooks.mjs"
+ */
+import fileSaver from 'file-saver';
+
+export const saveAs = fileSaver.saveAs;
@@ -0,0 +1,145 @@
+/**
+ * Checks of the gamepad input: the mapping, the deadzone, assigning gamepads to the players
+ * and merging the input into the keyboard
+ */
+import assert from 'node:assert';
+import './key_events.mjs';
+import {
+  PikaGamepad,
+  assignGamepads,
+  createDefaultGamepadMapping,
+  formatGamepadMapping,
+  parseGamepadMapping,
+} from '../../src/resources/js/gamepad.js';
+import { PikaKeyboard } from '../../src/resources/js/keyboard.js';
+
+/** @type {Object[]} gamepads returned by navigator.getGamepads(), null for an empty slot */
+let gamepads = [];
+Object.defineProperty(globalThis, 'navigator', {
+  value: { getGamepads: () => gamepads },
+  configurable: true,
+});
+
+/**
+ * Create a connected gamepad of the "standard" layout
+ * @param {number} index Gamepad.index
+ * @param {number[]} [pressed] indices of the buttons pressed
+ * @param {number[]} [axes]
+ * @return {Object}
+ */
+function createGamepad(index, pressed = [], axes = [0, 0]) {
+  const buttons = [];
+  for (let i = 0; i < 17; i++) {
+    buttons.push({ pressed: pressed.indexOf(i) !== -1 });
+  }
+  return { index, connected: true, buttons, axes };
+}
+
+/**
+ * @param {PikaGamepad} gamepad
+ * @return {number[]} [xDirection, yDirection, powerHit]
+ */
+function read(gamepad) {
+  gamepad.getInput();
+  return [gamepad.xDirection, gamepad.yDirection, gamepad.powerHit];
+}
+
+// the mapping text round trip
+const mappingText = 'H:0,1 U:12 D:13 L:14 R:15 X:0 Y:1';
+assert.strictEqual(
+  formatGamepadMapping(createDefaultGamepadMapping()),
+  mappingText
+);
+assert.deepStrictEqual(
+  parseGamepadMapping(` ${mappingText} `),
+  createDefaultGamepadMapping()
+);
+assert.deepStrictEqual(parseGamepadMapping('H:2'), {
+  powerHit: [2],
+  up: [],
+  down: [],
+  left: [],
+  right: [],
+  xAxis: null,
+  yAxis: null,
+});
+assert.strictEqual(formatGamepadMapping(parseGamepadMapping('H:2')), 'H:2');
+assert.throws(() => parseGamepadMapping('H:0 Q:1'), /"Q:1"/);
+assert.throws(() => parseGamepadMapping('X:0,2'), /"X"/);
+
+// gamepads picked by number go to their players first, then "auto" takes the first one left
+const player1 = new PikaGamepad();
+const player2 = new PikaGamepad();
+gamepads = [createGamepad(0), null, createGamepad(2)];
+assignGamepads([player1, player2]);
+assert.deepStrictEqual([player1.gamepadIndex, player2.gamepadIndex], [0, 2]);
+player2.assignment = '1';
+assignGamepads([player1, player2]);
+assert.deepStrictEqual([player1.gamepadIndex, player2.gamepadIndex], [2, 0]);
+// a gamepad picked but not connected is no gamepad
+player1.assignment = '2';
+assignGamepads([player1, player2]);
+assert.deepStrictEqual([player1.gamepadIndex, player2.gamepadIndex], [null, 0]);
+player1.assignment = 'off';
+player2.assignment = 'auto';
+gamepads = [{ index: 0, connected: false }, createGamepad(1)];
+assignGamepads([player1, player2]);
+assert.deepStrictEqual([player1.gamepadIndex, player2.gamepadIndex], [null, 1]);
+
+// an axis counts as a direction only if it is tilted beyond the deadzone
+player2.deadzone = 0.5;
+gamepads = [null, createGamepad(1, [], [-0.5, 0.3])];
+assert.deepStrictEqual(read(player2), [0, 0, 0]);
+gamepads = [null, createGamepad(1, [], [-0.51, 0.9])];
+assert.deepStrictEqual(read(player2), [-1, 1, 0]);
+player2.deadzone = 0.95;
+assert.deepStrictEqual(read(player2), [0, 0, 0]);
+player2.deadzone = 0.5;
+
+// the direction buttons, left and up winning, and the power hit as an edge
+gamepads = [null, createGamepad(1, [12, 13, 14, 15, 1])];
+assert.deepStrictEqual(read(player2), [-1, -1, 1]);
+assert.deepStrictEqual(read(player2), [-1, -1, 0]);
+assert.deepStrictEqual(Object.assign({}, player2.heldKeys), {
+  left: true,
+  right: true,
+  up: true,
+  down: true,
+  powerHit: true,
+});
+
+// the gamepad unplugged releases every button
+gamepads = [];
+assert.deepStrictEqual(read(player2), [0, 0, 0]);
+assert.strictEqual(player2.heldKeys.powerHit, false);
+gamepads = [null, createGamepad(1, [0])];
+assert.deepStrictEqual(read(player2), [0, 0, 1]);
+
+// the input is merged into the keyboard: either of them controls the player
+const keyboard = new PikaKeyboard(
+  'ArrowLeft',
+  'ArrowRight',
+  'ArrowUp',
+  'ArrowDown',
+  'Enter'
+);
+keyboard.getInput(true);
+keyboard.xDirection = 1;
+keyboard.heldKeys.right = true;
+gamepads = [null, createGamepad(1, [14, 13])];
+read(player2);
+player2.mergeInto(keyboard);
+assert.deepStrictEqual(
+  [keyboard.xDirection, keyboard.yDirection, keyboard.powerHit],
+  [1, 1, 0]
+);
+assert.deepStrictEqual(Object.assign({}, keyboard.heldKeys), {
+  left: true,
+  right: true,
+  up: false,
+  down: true,
+  powerHit: false,
+});
+keyboard.unsubscribe();
+
+console.log('gamepad checks passed');
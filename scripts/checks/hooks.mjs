@@ -0,0 +1,20 @@
+/**
+ * Hooks of the module loader of Node for the checks.
+ *
+ * "file-saver" is a CommonJS module whose "saveAs" Node can not import by name,
+ * as the modules saving files do, so it is loaded through "file_saver.mjs"
+ * which exports "saveAs" from the default export of "file-saver".
+ */
+const FILE_SAVER_URL = new URL('./file_saver.mjs', import.meta.url).href;
+
+/**
+ * @param {string} specifier
+ * @param {{parentURL: string}} context
+ * @param {function} nextResolve
+ */
+export function resolve(specifier, context, nextResolve) {
+  if (specifier === 'file-saver' && context.parentURL !== FILE_SAVER_URL) {
+    return { url: FILE_SAVER_URL, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,173 @@
+/**
+ * Checks of the key bindings: the conflicts and the profiles
+ */
+import assert from 'node:assert';
+import { countLoggedErrors } from './local_storage.mjs';
+import {
+  DEFAULT_PROFILE_NAME,
+  KeyAction,
+  createDefaultKeyBindings,
+  findKeyConflict,
+  keyBindingProfiles,
+} from '../../src/resources/js/key_bindings.js';
+
+const STORAGE_KEY = 'pv-offline-key-binding-profiles';
+
+// a key bound to another action of either player is a conflict
+const bindings = createDefaultKeyBindings();
+assert.deepStrictEqual(findKeyConflict(bindings, 'KeyG', 1, KeyAction.left), {
+  playerNum: 1,
+  action: KeyAction.right,
+});
+assert.deepStrictEqual(
+  findKeyConflict(bindings, 'Enter', 1, KeyAction.powerHit),
+  {
+    playerNum: 2,
+    action: KeyAction.powerHit,
+  }
+);
+assert.deepStrictEqual(findKeyConflict(bindings, 'KeyF', 2, KeyAction.down), {
+  playerNum: 1,
+  action: KeyAction.downRight,
+});
+// rebinding an action to its own key, or to a free key, is not
+assert.strictEqual(findKeyConflict(bindings, 'KeyD', 1, KeyAction.left), null);
+assert.strictEqual(findKeyConflict(bindings, 'KeyA', 2, KeyAction.left), null);
+
+// binding reports the conflict instead of making it, and saves a binding made
+localStorage.removeItem(STORAGE_KEY);
+assert.strictEqual(keyBindingProfiles.currentName, DEFAULT_PROFILE_NAME);
+assert.deepStrictEqual(keyBindingProfiles.bind(1, KeyAction.up, 'ArrowUp'), {
+  playerNum: 2,
+  action: KeyAction.up,
+});
+assert.strictEqual(keyBindingProfiles.current.bindings[0].up, 'KeyR');
+assert.strictEqual(localStorage.getItem(STORAGE_KEY), null);
+assert.strictEqual(keyBindingProfiles.bind(1, KeyAction.up, 'KeyW'), null);
+assert.strictEqual(keyBindingProfiles.current.bindings[0].up, 'KeyW');
+assert.strictEqual(
+  JSON.parse(localStorage.getItem(STORAGE_KEY)).profiles[0].bindings[0].up,
+  'KeyW'
+);
+
+// a new profile starts with a copy of the bindings being used
+assert.strictEqual(keyBindingProfiles.create('azerty'), true);
+assert.strictEqual(keyBindingProfiles.create('azerty'), false);
+assert.strictEqual(keyBindingProfiles.currentName, 'azerty');
+assert.strictEqual(keyBindingProfiles.bind(1, KeyAction.left, 'KeyQ'), null);
+assert.strictEqual(keyBindingProfiles.current.bindings[0].up, 'KeyW');
+assert.strictEqual(
+  keyBindingProfiles.get(DEFAULT_PROFILE_NAME).bindings[0].left,
+  'KeyD'
+);
+assert.strictEqual(keyBindingProfiles.select('qwertz'), false);
+assert.strictEqual(keyBindingProfiles.select(DEFAULT_PROFILE_NAME), true);
+assert.strictEqual(keyBindingProfiles.current.bindings[0].left, 'KeyD');
+
+// the only profile left can not be deleted
+assert.strictEqual(keyBindingProfiles.deleteCurrent(), true);
+assert.strictEqual(keyBindingProfiles.currentName, 'azerty');
+assert.strictEqual(keyBindingProfiles.deleteCurrent(), false);
+assert.deepStrictEqual(
+  JSON.parse(localStorage.getItem(STORAGE_KEY)).profiles.map(
+    (profile) => profile.name
+  ),
+  ['azerty']
+);
+
+/**
+ * Load the profiles from the text saved in the localStorage, starting from the default profile
+ * @param {string} saved
+ * @return {number} number of the errors logged
+ */
+function loadFrom(saved) {
+  keyBindingProfiles.profiles = [
+    { name: DEFAULT_PROFILE_NAME, bindings: createDefaultKeyBindings() },
+  ];
+  keyBindingProfiles.currentName = DEFAULT_PROFILE_NAME;
+  localStorage.setItem(STORAGE_KEY, saved);
+  return countLoggedErrors(() => keyBindingProfiles.load());
+}
+
+/**
+ * @param {string} name
+ * @param {function(Object[]):void} [edit] edits the default bindings
+ * @return {Object} profile
+ */
+function profile(name, edit = () => {}) {
+  const profileBindings = createDefaultKeyBindings();
+  edit(profileBindings);
+  return { name: name, bindings: profileBindings };
+}
+
+const validProfile = profile('left-handed', (edited) => {
+  edited[0].powerHit = 'Space';
+});
+const malformedProfiles = [
+  null,
+  'left-handed',
+  { name: 'no bindings' },
+  {
+    name: 'bindings not an array',
+    bindings: { 0: bindings[0], 1: bindings[1] },
+  },
+  { bindings: createDefaultKeyBindings() },
+  profile('one player', (edited) => edited.pop()),
+  profile('missing key', (edited) => delete edited[0].up),
+  profile('not a code', (edited) => {
+    edited[1].left = 37;
+  }),
+  profile('empty code', (edited) => {
+    edited[0].right = '';
+  }),
+  profile('down-right of player 2', (edited) => {
+    edited[1].downRight = 'Numpad3';
+  }),
+];
+
+// the profiles saved are loaded back
+assert.strictEqual(
+  loadFrom(
+    JSON.stringify({
+      currentName: 'left-handed',
+      profiles: [profile(DEFAULT_PROFILE_NAME), validProfile],
+    })
+  ),
+  0
+);
+assert.strictEqual(keyBindingProfiles.current.bindings[0].powerHit, 'Space');
+
+// malformed profiles are dropped, and the first profile left is used
+// if the profile being used is dropped
+assert.strictEqual(
+  loadFrom(
+    JSON.stringify({
+      currentName: 'missing key',
+      profiles: malformedProfiles.concat([
+        validProfile,
+        profile('left-handed'),
+      ]),
+    })
+  ),
+  0
+);
+assert.deepStrictEqual(keyBindingProfiles.profiles, [validProfile]);
+assert.strictEqual(keyBindingProfiles.currentName, 'left-handed');
+
+// the default profile is kept if nothing is left
+for (const saved of [
+  'not JSON',
+  'null',
+  '{}',
+  JSON.stringify({ currentName: 'x', profiles: {} }),
+  JSON.stringify({ currentName: DEFAULT_PROFILE_NAME, profiles: [] }),
+  JSON.stringify({ currentName: 'x', profiles: malformedProfiles }),
+]) {
+  assert.strictEqual(loadFrom(saved), 1, saved);
+  assert.deepStrictEqual(keyBindingProfiles.profiles, [
+    profile(DEFAULT_PROFILE_NAME),
+  ]);
+  assert.strictEqual(keyBindingProfiles.currentName, DEFAULT_PROFILE_NAME);
+}
+
+console.log('key bindings checks passed');
@@ -0,0 +1,39 @@
+/**
+ * A window which only dispatches key events, in place of the one of the browser,
+ * for the modules listening to the keyboard.
+ * Import it before the module checked.
+ */
+globalThis.window = new EventTarget();
+
+/**
+ * Key event with the properties read by "keyboard.js"
+ */
+class KeyEvent extends Event {
+  /**
+   * @param {string} type "keydown" or "keyup"
+   * @param {string} code KeyboardEvent.code value
+   * @param {boolean} repeat Is it an auto-repeated keydown?
+   */
+  constructor(type, code, repeat) {
+    super(type, { cancelable: true });
+    this.code = code;
+    this.repeat = repeat;
+  }
+}
+
+/**
+ * Press the key down
+ * @param {string} code KeyboardEvent.code value
+ * @param {boolean} [repeat] Is it an auto-repeated keydown?
+ */
+export function pressKey(code, repeat = false) {
+  window.dispatchEvent(new KeyEvent('keydown', code, repeat));
+}
+
+/**
+ * Release the key
+ * @param {string} code KeyboardEvent.code value
+ */
+export function releaseKey(code) {
+  window.dispatchEvent(new KeyEvent('keyup', code, false));
+}
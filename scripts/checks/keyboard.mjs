@@ -0,0 +1,118 @@
+/**
+ * Checks of the keyboard input, tapping keys between two frames included
+ */
+import assert from 'node:assert';
+import { pressKey, releaseKey } from './key_events.mjs';
+import { PikaKeyboard } from '../../src/resources/js/keyboard.js';
+
+/**
+ * @param {PikaKeyboard} keyboard
+ * @param {boolean} [amIPlayer2]
+ * @return {number[]} [xDirection, yDirection, powerHit]
+ */
+function read(keyboard, amIPlayer2 = false) {
+  keyboard.getInput(amIPlayer2);
+  return [keyboard.xDirection, keyboard.yDirection, keyboard.powerHit];
+}
+
+const keyboard = new PikaKeyboard(
+  'KeyD',
+  'KeyG',
+  'KeyR',
+  'KeyV',
+  'KeyZ',
+  'KeyF'
+);
+assert.deepStrictEqual(read(keyboard), [0, 0, 0]);
+assert.strictEqual(keyboard.isChangedByBuffering, false);
+
+// a key tapped between two frames counts as pressed on the next frame only
+pressKey('KeyD');
+releaseKey('KeyD');
+assert.deepStrictEqual(read(keyboard), [-1, 0, 0]);
+assert.strictEqual(keyboard.isChangedByBuffering, true);
+assert.strictEqual(keyboard.heldKeys.left, true);
+assert.deepStrictEqual(read(keyboard), [0, 0, 0]);
+assert.strictEqual(keyboard.isChangedByBuffering, false);
+assert.strictEqual(keyboard.heldKeys.left, false);
+
+// a key held down is seen by sampling alone
+pressKey('KeyG');
+assert.deepStrictEqual(read(keyboard), [1, 0, 0]);
+assert.strictEqual(keyboard.isChangedByBuffering, false);
+pressKey('KeyG', true);
+assert.deepStrictEqual(read(keyboard), [1, 0, 0]);
+assert.strictEqual(keyboard.isChangedByBuffering, false);
+releaseKey('KeyG');
+assert.deepStrictEqual(read(keyboard), [0, 0, 0]);
+
+// left and up win when tapped while right and down are held
+pressKey('KeyG');
+pressKey('KeyV');
+pressKey('KeyD');
+releaseKey('KeyD');
+pressKey('KeyR');
+releaseKey('KeyR');
+assert.deepStrictEqual(read(keyboard), [-1, -1, 0]);
+assert.strictEqual(keyboard.isChangedByBuffering, true);
+assert.deepStrictEqual(Object.assign({}, keyboard.heldKeys), {
+  left: true,
+  right: true,
+  up: true,
+  down: true,
+  powerHit: false,
+});
+releaseKey('KeyG');
+releaseKey('KeyV');
+assert.deepStrictEqual(read(keyboard), [0, 0, 0]);
+
+// the power hit is an edge: held down, it is a power hit on the first frame only,
+// and an auto-repeated keydown does not make another one
+pressKey('KeyZ');
+assert.deepStrictEqual(read(keyboard), [0, 0, 1]);
+assert.strictEqual(keyboard.isChangedByBuffering, false);
+pressKey('KeyZ', true);
+assert.deepStrictEqual(read(keyboard), [0, 0, 0]);
+assert.strictEqual(keyboard.heldKeys.powerHit, true);
+
+// released and pressed again between two frames, it is a power hit that sampling would miss
+releaseKey('KeyZ');
+pressKey('KeyZ');
+assert.deepStrictEqual(read(keyboard), [0, 0, 1]);
+assert.strictEqual(keyboard.isChangedByBuffering, true);
+releaseKey('KeyZ');
+assert.deepStrictEqual(read(keyboard), [0, 0, 0]);
+
+// a power hit tapped between two frames
+pressKey('KeyZ');
+releaseKey('KeyZ');
+assert.deepStrictEqual(read(keyboard), [0, 0, 1]);
+assert.strictEqual(keyboard.isChangedByBuffering, true);
+assert.deepStrictEqual(read(keyboard), [0, 0, 0]);
+
+// the down-right key of player 1 is down and right, and only down for player 2
+pressKey('KeyF');
+releaseKey('KeyF');
+assert.deepStrictEqual(read(keyboard), [1, 1, 0]);
+assert.strictEqual(keyboard.heldKeys.right, true);
+assert.strictEqual(keyboard.heldKeys.down, true);
+pressKey('KeyF');
+assert.deepStrictEqual(read(keyboard, true), [0, 1, 0]);
+assert.strictEqual(keyboard.heldKeys.right, false);
+releaseKey('KeyF');
+
+// other keys are not taken, and the keys are released on rebinding
+pressKey('KeyA');
+assert.deepStrictEqual(read(keyboard), [0, 0, 0]);
+pressKey('KeyD');
+keyboard.rebind('KeyA', 'KeyG', 'KeyR', 'KeyV', 'KeyZ', 'KeyF');
+assert.deepStrictEqual(read(keyboard), [0, 0, 0]);
+pressKey('KeyD');
+releaseKey('KeyD');
+assert.deepStrictEqual(read(keyboard), [0, 0, 0]);
+pressKey('KeyA');
+assert.deepStrictEqual(read(keyboard), [-1, 0, 0]);
+releaseKey('KeyA');
+keyboard.unsubscribe();
+
+console.log('keyboard checks passed');
@@ -0,0 +1,37 @@
+/**
+ * In-memory localStorage in place of the one of the browser, for the modules saving to it.
+ * Import it before the module checked.
+ */
+const items = new Map();
+
+globalThis.localStorage = {
+  getItem: (key) => (items.has(key) ? items.get(key) : null),
+  setItem: (key, value) => {
+    items.set(key, String(value));
+  },
+  removeItem: (key) => {
+    items.delete(key);
+  },
+  clear: () => {
+    items.clear();
+  },
+};
+
+/**
+ * Call the function without printing the errors it logs by console.error
+ * @param {function():void} fn
+ * @return {number} number of the errors logged
+ */
+export function countLoggedErrors(fn) {
+  const consoleError = console.error;
+  let count = 0;
+  console.error = () => {
+    count++;
+  };
+  try {
+    fn();
+  } finally {
+    console.error = consoleError;
+  }
+  return count;
+}
@@ -0,0 +1,152 @@
+/**
+ * Checks of the opponent strategies: a user-supplied module which throws, and the replay strategy
+ */
+import assert from 'node:assert';
+import {
+  createReplayStrategy,
+  loadStrategyFromSource,
+} from '../../src/resources/js/opponent_strategy.js';
+import {
+  PikaPhysics,
+  PikaUserInput,
+  frozenStrategy,
+} from '../../src/resources/js/physics.js';
+
+/**
+ * Let the strategy decide the user input of a player on the given number of frames
+ * @param {Object} strategy
+ * @param {boolean} isPlayer2
+ * @param {number} frames
+ * @return {number[][]} [xDirection, yDirection, powerHit] of each frame
+ */
+function decide(strategy, isPlayer2, frames) {
+  const decided = [];
+  for (let i = 0; i < frames; i++) {
+    const userInput = new PikaUserInput();
+    strategy.decideUserInput({ isPlayer2 }, {}, {}, userInput);
+    decided.push([
+      userInput.xDirection,
+      userInput.yDirection,
+      userInput.powerHit,
+    ]);
+  }
+  return decided;
+}
+
+// a module which throws on its third frame is frozen, and onError is called only once
+const errors = [];
+const throwing = loadStrategyFromSource(
+  `let frames = 0;
+  let rounds = 0;
+  module.exports = {
+    name: 'thrower',
+    decideUserInput(player, ball, theOtherPlayer, userInput) {
+      frames++;
+      if (frames === 3) {
+        throw new Error('third frame');
+      }
+      userInput.xDirection = frames;
+    },
+    initializeForNewRound() {
+      rounds++;
+      if (rounds === 2) {
+        throw new Error('second round');
+      }
+    },
+  };`,
+  (err) => errors.push(err.message)
+);
+assert.strictEqual(throwing.name, 'thrower');
+assert.deepStrictEqual(decide(throwing, false, 2), [
+  [1, 0, 0],
+  [2, 0, 0],
+]);
+assert.strictEqual(throwing.isFrozen, false);
+decide(throwing, false, 5);
+assert.strictEqual(throwing.isFrozen, true);
+assert.deepStrictEqual(errors, ['third frame']);
+// the module is not called any more once frozen, not even for a new round
+throwing.initializeForNewRound();
+throwing.initializeForNewRound();
+assert.deepStrictEqual(errors, ['third frame']);
+
+// initializeForNewRound is guarded too
+const roundErrors = [];
+const throwingOnRound = loadStrategyFromSource(
+  `module.exports = {
+    decideUserInput() {},
+    initializeForNewRound() {
+      throw new Error('new round');
+    },
+  };`,
+  (err) => roundErrors.push(err.message)
+);
+assert.strictEqual(throwingOnRound.name, 'custom');
+throwingOnRound.initializeForNewRound();
+assert.strictEqual(throwingOnRound.isFrozen, true);
+assert.deepStrictEqual(roundErrors, ['new round']);
+
+// a module without decideUserInput, or which throws on loading, is refused
+assert.throws(
+  () => loadStrategyFromSource('module.exports = { name: "x" };'),
+  /decideUserInput/
+);
+assert.throws(() => loadStrategyFromSource('throw new Error("on load");'), {
+  message: 'on load',
+});
+assert.strictEqual(
+  loadStrategyFromSource('exports.decideUserInput = () => {};')
+    .initializeForNewRound,
+  undefined
+);
+
+// the replay strategy plays the code from the start of every round, mirrored for player 2,
+// keeping a frame counter for each side
+const replay = createReplayStrategy('L/2-UH/1');
+assert.deepStrictEqual(decide(replay, false, 2), [
+  [-1, 0, 0],
+  [-1, 0, 0],
+]);
+assert.deepStrictEqual(decide(replay, true, 4), [
+  [1, 0, 0],
+  [1, 0, 0],
+  [0, -1, 1],
+  [0, 0, 0],
+]);
+assert.deepStrictEqual(decide(replay, false, 2), [
+  [0, -1, 1],
+  [0, 0, 0],
+]);
+replay.initializeForNewRound();
+assert.deepStrictEqual(decide(replay, false, 1), [[-1, 0, 0]]);
+assert.deepStrictEqual(decide(replay, true, 1), [[1, 0, 0]]);
+
+// a code of player 2 is mirrored for player 1
+const replayOfPlayer2 = createReplayStrategy('/L2');
+assert.deepStrictEqual(decide(replayOfPlayer2, true, 1), [[-1, 0, 0]]);
+assert.deepStrictEqual(decide(replayOfPlayer2, false, 1), [[1, 0, 0]]);
+
+// a player frozen in the air lands instead of falling through the ground
+const physics = new PikaPhysics(false, true);
+physics.setComputerStrategy(
+  loadStrategyFromSource(
+    `module.exports = {
+      decideUserInput(player, ball, theOtherPlayer, userInput) {
+        userInput.yDirection = -1;
+      },
+    };`
+  )
+);
+const userInputArray = [new PikaUserInput(), new PikaUserInput()];
+for (let i = 0; i < 5; i++) {
+  physics.runEngineForNextFrame(userInputArray);
+}
+assert.ok(physics.player2.y < 244);
+physics.setComputerStrategy(frozenStrategy);
+for (let i = 0; i < 60; i++) {
+  physics.runEngineForNextFrame(userInputArray);
+}
+assert.strictEqual(physics.player2.y, 244);
+assert.strictEqual(physics.player2.state, 0);
+
+console.log('opponent strategy checks passed');
@@ -0,0 +1,92 @@
+/**
+ * Checks of the rally code and the segmentation of a rally at the contacts
+ */
+import assert from 'node:assert';
+import {
+  decodeRallyCode,
+  encodeRally,
+  encodeRallyCode,
+} from '../../src/resources/js/serve_code/rally_code.js';
+import { PikaUserInput } from '../../src/resources/js/physics.js';
+
+/**
+ * @param {number} xDirection
+ * @param {number} yDirection
+ * @param {number} powerHit
+ * @return {PikaUserInput}
+ */
+function input(xDirection, yDirection, powerHit) {
+  const userInput = new PikaUserInput();
+  userInput.xDirection = xDirection;
+  userInput.yDirection = yDirection;
+  userInput.powerHit = powerHit;
+  return userInput;
+}
+
+/**
+ * @param {PikaUserInput[]} inputs
+ * @return {number[][]}
+ */
+function toArrays(inputs) {
+  return inputs.map((userInput) => [
+    userInput.xDirection,
+    userInput.yDirection,
+    userInput.powerHit,
+  ]);
+}
+
+// 3 frames of "up and left" / "right", and then 5 frames of nothing / "left"
+const player1 = [];
+const player2 = [];
+for (let i = 0; i < 3; i++) {
+  player1.push(input(-1, -1, 0));
+  player2.push(input(1, 0, 0));
+}
+for (let i = 0; i < 5; i++) {
+  player1.push(input(0, 0, 0));
+  player2.push(input(-1, 0, 0));
+}
+assert.strictEqual(encodeRallyCode(player1, player2), 'UL/R3-/L5');
+
+// the code decodes back to the same inputs, with or without the leading "-"
+for (const code of ['UL/R3-/L5', '-UL/R3-/L5']) {
+  const decoded = decodeRallyCode(code);
+  assert.deepStrictEqual(toArrays(decoded.player1), toArrays(player1));
+  assert.deepStrictEqual(toArrays(decoded.player2), toArrays(player2));
+}
+assert.throws(() => decodeRallyCode('UL3-/L5'));
+
+// the rally is segmented at each contact, the contact frame ending its segment
+const contact1 = { frame: 1, playerNum: 1, isPowerHit: false };
+const contact2 = { frame: 4, playerNum: 2, isPowerHit: true };
+assert.deepStrictEqual(encodeRally(player1, player2, [contact1, contact2]), {
+  code: 'UL/R3-/L5',
+  frames: 8,
+  segments: [
+    { fromFrame: 0, toFrame: 1, code: 'UL/R2', contact: contact1 },
+    { fromFrame: 2, toFrame: 4, code: 'UL/R1-/L2', contact: contact2 },
+    { fromFrame: 5, toFrame: 7, code: '/L3', contact: null },
+  ],
+});
+
+// a contact on the last frame leaves no segment after it,
+// and contacts out of the frames or out of order are skipped
+assert.deepStrictEqual(
+  encodeRally(player1, player2, [
+    { frame: 4 },
+    { frame: 2 },
+    { frame: 7 },
+    { frame: 9 },
+  ]).segments.map((segment) => [segment.fromFrame, segment.toFrame]),
+  [
+    [0, 4],
+    [5, 7],
+  ]
+);
+
+// a rally without contacts is a single segment
+assert.deepStrictEqual(encodeRally(player1, player2, []).segments, [
+  { fromFrame: 0, toFrame: 7, code: 'UL/R3-/L5', contact: null },
+]);
+
+console.log('rally code checks passed');
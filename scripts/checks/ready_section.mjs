@@ -0,0 +1,96 @@
+/**
+ * Checks of the ready section of a serve code: the keys held during the "Ready?" message
+ */
+import assert from 'node:assert';
+import {
+  ServeCodeSyntaxError,
+  parseServeCode,
+} from '../../src/resources/js/serve_code/serve_code_parser.js';
+import {
+  decodeExtendedServeCode,
+  decodeServeCode,
+  encodeReadySection,
+  mirrorServeCode,
+} from '../../src/resources/js/serve_code/serve_code.js';
+import { PikaHeldKeys } from '../../src/resources/js/keyboard.js';
+
+/**
+ * Assert that the code is rejected at the offset
+ * @param {string} code
+ * @param {number} offset
+ */
+function assertSyntaxError(code, offset) {
+  assert.throws(
+    () => parseServeCode(code),
+    (err) => {
+      assert.ok(err instanceof ServeCodeSyntaxError, String(err));
+      assert.strictEqual(err.offset, offset, err.message);
+      return true;
+    }
+  );
+}
+
+// the ready section is parsed apart from the tokens played from the start of the round
+const code = '(/25-Uh/5)UH/1-Uh/6-U/3';
+const parsed = parseServeCode(code);
+assert.strictEqual(parsed.playerNum, 1);
+assert.deepStrictEqual(
+  parsed.readyTokens.map((token) => [token.input, token.held, token.count]),
+  [
+    ['', '', 25],
+    ['U', 'h', 5],
+  ]
+);
+assert.strictEqual(parsed.tokens.length, 3);
+assert.strictEqual(parseServeCode('UH/1').readyTokens.length, 0);
+
+// it is not played, but it is decoded with the keys held then
+assert.strictEqual(decodeServeCode(code).inputs.length, 10);
+const decoded = decodeExtendedServeCode(code);
+assert.strictEqual(decoded.inputs.length, 10);
+assert.strictEqual(decoded.readyInputs.length, 30);
+assert.deepStrictEqual(decoded.readyInputs[27], decoded.inputs[9]);
+assert.deepStrictEqual(
+  decoded.readyHeldKeys[27],
+  Object.assign(new PikaHeldKeys(), { up: true, powerHit: true })
+);
+assert.deepStrictEqual(decoded.readyHeldKeys[0], new PikaHeldKeys());
+
+// the ready section is emitted only if a key was held before the round
+assert.strictEqual(
+  encodeReadySection(decoded.readyInputs, decoded.readyHeldKeys, 1),
+  '(/25-Uh/5)'
+);
+assert.strictEqual(
+  encodeReadySection(decoded.readyInputs, decoded.readyHeldKeys, 2),
+  '(/25-/Uh5)'
+);
+assert.strictEqual(
+  encodeReadySection(
+    decoded.readyInputs.slice(0, 25),
+    decoded.readyHeldKeys.slice(0, 25),
+    1
+  ),
+  ''
+);
+assert.strictEqual(encodeReadySection([], [], 1), '');
+
+// it is mirrored with the rest of the code
+assert.strictEqual(
+  mirrorServeCode('(/25-Ulh/5)UH/1-/30'),
+  '(/25-/Urh5)/UH1-/30'
+);
+assert.strictEqual(
+  mirrorServeCode(mirrorServeCode('(/25-Ulh/5)UH/1-/30')),
+  '(/25-Ulh/5)UH/1-/30'
+);
+
+// it must be a non-empty section at the start, on the side of the rest of the code
+assertSyntaxError('()U/3', 0);
+assertSyntaxError('(/25-Uh/5)', 10);
+assertSyntaxError('U/3(/2)', 3);
+assertSyntaxError('(/2-Uh/3)/U5', 9);
+assertSyntaxError('(U/3', 4);
+assert.strictEqual(parseServeCode('(/2-/Uh3)/U5').playerNum, 2);
+
+console.log('ready section checks passed');
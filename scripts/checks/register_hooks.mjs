@@ -0,0 +1,7 @@
+/**
+ * Register the hooks of the module loader in "hooks.mjs" before the checks are run.
+ * It is given to Node by "--import" in "npm test".
+ */
+import { register } from 'node:module';
+
+register('./hooks.mjs', import.meta.url);
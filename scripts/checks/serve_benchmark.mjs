@@ -0,0 +1,71 @@
+/**
+ * Checks of the serve benchmark against the original AI
+ */
+import assert from 'node:assert';
+import {
+  ServeTrialResult,
+  benchmarkServeCode,
+  isServeTrialWon,
+} from '../../src/resources/js/serve_code/serve_benchmark.js';
+
+// the server wins the point if the AI misses the ball or does not send it back over the net
+assert.deepStrictEqual(
+  Object.keys(ServeTrialResult).filter((result) => isServeTrialWon(result)),
+  ['missed', 'intoNet', 'fumbled']
+);
+
+/**
+ * Run the benchmark and check that its report adds up
+ * @param {string} code
+ * @param {number} trials
+ * @param {number} firstSeed
+ * @return {import('../../src/resources/js/serve_code/serve_benchmark.js').BenchmarkReport}
+ */
+function benchmark(code, trials, firstSeed) {
+  const progress = [];
+  const report = benchmarkServeCode(code, {
+    trials: trials,
+    firstSeed: firstSeed,
+    onProgress: (done, total) => {
+      progress.push(done);
+      assert.strictEqual(total, trials);
+    },
+  });
+  assert.strictEqual(progress[progress.length - 1], trials);
+  const counts = Object.keys(report.results).map((key) => report.results[key]);
+  assert.strictEqual(
+    counts.reduce((sum, count) => sum + count, 0),
+    trials
+  );
+  const won = Object.keys(report.results)
+    .filter((result) => isServeTrialWon(result))
+    .reduce((sum, result) => sum + report.results[result], 0);
+  assert.strictEqual(report.won, won);
+  assert.strictEqual(report.winPercentage, (100 * won) / trials);
+  const landed = report.landingXBins.reduce((sum, bin) => sum + bin.count, 0);
+  assert.strictEqual(landed, trials - report.results.notLanded);
+  return report;
+}
+
+// a power hit to the back lands on the side of the server
+const fault = benchmark('U/1-RH/1', 3, 100);
+assert.strictEqual(fault.results.fault, 3);
+assert.strictEqual(fault.won, 0);
+
+// the AI returns this one for some seeds and sends it into the net for the others
+const intoNet = benchmark('/2-UL/1-R/10-ULH/1', 10, 100);
+assert.strictEqual(intoNet.results.intoNet, 5);
+assert.strictEqual(intoNet.results.returned, 5);
+assert.strictEqual(intoNet.winPercentage, 50);
+
+// each trial uses its own seed, so trials run one by one add up to the same report
+const results = {};
+for (let i = 0; i < 10; i++) {
+  const trial = benchmark('/2-UL/1-R/10-ULH/1', 1, 100 + i);
+  for (const result of Object.keys(trial.results)) {
+    results[result] = (results[result] || 0) + trial.results[result];
+  }
+}
+assert.deepStrictEqual(results, intoNet.results);
+
+console.log('serve benchmark checks passed');
@@ -0,0 +1,114 @@
+/**
+ * Checks of trimming the serve code to the encoding boundaries
+ */
+import assert from 'node:assert';
+import {
+  DEFAULT_ENCODING_BOUNDARIES,
+  EncodingEnd,
+  EncodingStart,
+  encodeTrimmedServeCode,
+} from '../../src/resources/js/serve_code/serve_boundaries.js';
+import { decodeServeCode } from '../../src/resources/js/serve_code/serve_code.js';
+
+// no input on frames 0-2, left on 3-6, a power hit jump on 7 and no input on 8-17
+const inputs = decodeServeCode('/3-L/4-UH/1-/10', 1).inputs;
+assert.strictEqual(inputs.length, 18);
+// the receiver touches the ball on frame 5 and the server on frame 8
+const outcome = {
+  playerNum: 1,
+  contacts: [
+    { frame: 5, playerNum: 2 },
+    { frame: 8, playerNum: 1 },
+    { frame: 10, playerNum: 1 },
+  ],
+  netCrossingFrame: 12,
+};
+
+/**
+ * @param {string} start EncodingStart enum
+ * @param {string} end EncodingEnd enum
+ * @param {number} [framesBeforeContact]
+ * @param {Object} [servedOutcome]
+ * @return {import('../../src/resources/js/serve_code/serve_boundaries.js').TrimmedServeCode}
+ */
+function trim(start, end, framesBeforeContact = 2, servedOutcome = outcome) {
+  return encodeTrimmedServeCode(inputs, servedOutcome, {
+    start: start,
+    end: end,
+    framesBeforeContact: framesBeforeContact,
+  });
+}
+
+// the default boundaries keep every frame
+assert.deepStrictEqual(
+  encodeTrimmedServeCode(inputs, outcome, DEFAULT_ENCODING_BOUNDARIES),
+  { code: '/3-L/4-UH/1-/10', fromFrame: 0, toFrame: 17, isTrimmed: false }
+);
+
+// each start boundary
+assert.deepStrictEqual(trim(EncodingStart.firstInput, EncodingEnd.landing), {
+  code: 'L/4-UH/1-/10',
+  fromFrame: 3,
+  toFrame: 17,
+  isTrimmed: true,
+});
+assert.deepStrictEqual(trim(EncodingStart.beforeContact, EncodingEnd.landing), {
+  code: 'L/1-UH/1-/10',
+  fromFrame: 6,
+  toFrame: 17,
+  isTrimmed: true,
+});
+assert.strictEqual(
+  trim(EncodingStart.beforeContact, EncodingEnd.landing, 20).fromFrame,
+  0
+);
+
+// each end boundary
+assert.deepStrictEqual(
+  trim(EncodingStart.roundStart, EncodingEnd.firstContact),
+  { code: '/3-L/4-UH/1-/1', fromFrame: 0, toFrame: 8, isTrimmed: true }
+);
+assert.deepStrictEqual(
+  trim(EncodingStart.firstInput, EncodingEnd.netCrossing),
+  { code: 'L/4-UH/1-/5', fromFrame: 3, toFrame: 12, isTrimmed: true }
+);
+assert.deepStrictEqual(
+  trim(EncodingStart.beforeContact, EncodingEnd.firstContact),
+  { code: 'L/1-UH/1-/1', fromFrame: 6, toFrame: 8, isTrimmed: true }
+);
+
+// a boundary which is not found falls back to the round start or to the last frame
+const untouched = {
+  playerNum: 1,
+  contacts: [{ frame: 5, playerNum: 2 }],
+  netCrossingFrame: null,
+};
+for (const end of [EncodingEnd.firstContact, EncodingEnd.netCrossing]) {
+  assert.deepStrictEqual(trim(EncodingStart.beforeContact, end, 2, untouched), {
+    code: '/3-L/4-UH/1-/10',
+    fromFrame: 0,
+    toFrame: 17,
+    isTrimmed: false,
+  });
+}
+assert.strictEqual(
+  trim(EncodingStart.roundStart, EncodingEnd.netCrossing, 2, {
+    playerNum: 1,
+    contacts: [],
+    netCrossingFrame: 30,
+  }).toFrame,
+  17
+);
+
+// the start never passes the end
+const earlyContact = {
+  playerNum: 1,
+  contacts: [{ frame: 1, playerNum: 1 }],
+  netCrossingFrame: null,
+};
+assert.deepStrictEqual(
+  trim(EncodingStart.firstInput, EncodingEnd.firstContact, 2, earlyContact),
+  { code: '/1', fromFrame: 1, toFrame: 1, isTrimmed: true }
+);
+
+console.log('serve boundaries checks passed');
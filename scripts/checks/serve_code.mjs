@@ -0,0 +1,84 @@
+/**
+ * Checks of the pure serve code functions: the parser, the mirror and the diff
+ */
+import assert from 'node:assert';
+import {
+  MAX_CODE_FRAMES,
+  ServeCodeSyntaxError,
+  parseServeCode,
+} from '../../src/resources/js/serve_code/serve_code_parser.js';
+import {
+  decodeServeCode,
+  decodeExtendedServeCode,
+  mirrorServeCode,
+} from '../../src/resources/js/serve_code/serve_code.js';
+import { decodeRallyCode } from '../../src/resources/js/serve_code/rally_code.js';
+import { diffServeCodes } from '../../src/resources/js/serve_code/serve_code_diff.js';
+
+/**
+ * Assert that the code is rejected at the offset
+ * @param {function():*} fn
+ * @param {number} offset
+ */
+function assertSyntaxError(fn, offset) {
+  assert.throws(fn, (err) => {
+    assert.ok(err instanceof ServeCodeSyntaxError, String(err));
+    assert.strictEqual(err.offset, offset, err.message);
+    return true;
+  });
+}
+
+// parser
+const parsed = parseServeCode('ULH/3-L/5');
+assert.strictEqual(parsed.playerNum, 1);
+assert.deepStrictEqual(
+  parsed.tokens.map((token) => [token.input, token.count]),
+  [
+    ['ULH', 3],
+    ['L', 5],
+  ]
+);
+assert.strictEqual(parseServeCode('-/2-/UR4').playerNum, 2);
+assert.strictEqual(parseServeCode('/7').playerNum, null);
+assert.strictEqual(parseServeCode('(/25-Uh/5)UH/1').readyTokens.length, 2);
+assertSyntaxError(() => parseServeCode(''), 0);
+assertSyntaxError(() => parseServeCode('UL/'), 3);
+assertSyntaxError(() => parseServeCode('LU/3'), 1);
+assertSyntaxError(() => parseServeCode('U/0'), 2);
+assertSyntaxError(() => parseServeCode('U/3-/R2'), 3);
+assertSyntaxError(() => parseServeCode('Uu/3'), 1);
+assertSyntaxError(() => parseServeCode('(U/3'), 4);
+
+// counts are bounded before a decoder expands them to one input per frame
+assertSyntaxError(() => decodeServeCode('/99999999999'), 1);
+assertSyntaxError(() => decodeRallyCode('U/L99999999999'), 3);
+assertSyntaxError(
+  () => decodeExtendedServeCode(`U/${MAX_CODE_FRAMES}-/1`),
+  4 + String(MAX_CODE_FRAMES).length
+);
+assert.strictEqual(
+  decodeServeCode(`U/${MAX_CODE_FRAMES}`).inputs.length,
+  MAX_CODE_FRAMES
+);
+
+// mirror
+assert.strictEqual(mirrorServeCode('ULH/3-L/5'), '/URH3-/R5');
+assert.strictEqual(mirrorServeCode(mirrorServeCode('ULH/3-L/5')), 'ULH/3-L/5');
+assert.strictEqual(mirrorServeCode('Ulh/2'), '/Urh2');
+assert.strictEqual(mirrorServeCode('(Ld/1)R/2'), '(/Rd1)/L2');
+
+// diff
+const diff = diffServeCodes('U/3-/4-UH/1-/30', 'U/3-/3-URH/2-/30');
+assert.strictEqual(diff.isReferenceMirrored, false);
+assert.deepStrictEqual(
+  diff.edits.map((edit) => [edit.fromFrame, edit.toFrame, edit.referenceInput]),
+  [
+    [6, 6, 'URH'],
+    [7, 7, 'URH'],
+  ]
+);
+const mirroredDiff = diffServeCodes('U/3', '/U3');
+assert.strictEqual(mirroredDiff.isReferenceMirrored, true);
+assert.strictEqual(mirroredDiff.edits.length, 0);
+
+console.log('serve code checks passed');
@@ -0,0 +1,69 @@
+/**
+ * Checks of the serve history exported as CSV and JSON
+ */
+import assert from 'node:assert';
+import {
+  convertServeHistoryToCSV,
+  convertServeHistoryToJSON,
+} from '../../src/resources/js/serve_code/serve_export.js';
+import { simulateServeCode } from '../../src/resources/js/serve_code/serve_simulator.js';
+
+const outcome = simulateServeCode('U/3-/4-UH/1-/30', { roomID: 'uzaramen123' });
+const entries = [
+  {
+    id: 0,
+    code: 'U/3-/4-UH/1-/30',
+    timestamp: 0,
+    playerNum: 1,
+    fps: 25,
+    scores: [1, 2],
+    roomID: 'uzaramen123',
+    outcome: outcome,
+  },
+  // not recorded values, and a room ID which must be quoted
+  {
+    id: 1,
+    code: '/U3',
+    timestamp: 0,
+    playerNum: 2,
+    fps: 30,
+    scores: [0, 0],
+    roomID: 'uzaramen1"2,3\n4',
+  },
+];
+
+const lines = convertServeHistoryToCSV(entries).split('\r\n');
+assert.strictEqual(lines.length, 4);
+assert.strictEqual(lines[3], '');
+const header = lines[0].split(',');
+assert.strictEqual(header.length, 22);
+assert.deepStrictEqual(header.slice(0, 3), ['id', 'time', 'code']);
+
+// every field of the first row is plain, so it is split at the commas
+const row = lines[1].split(',');
+assert.strictEqual(row.length, header.length);
+const field = (name) => row[header.indexOf(name)];
+assert.strictEqual(field('time'), '1970-01-01T00:00:00.000Z');
+assert.strictEqual(field('seed'), '123');
+assert.strictEqual(field('player2Score'), '2');
+assert.strictEqual(field('landingX'), '326');
+assert.strictEqual(field('contactFrame'), '12');
+assert.strictEqual(field('isPowerHit'), 'true');
+assert.strictEqual(field('returned'), 'false');
+
+// a field with a quote, a comma or a line break is quoted with its quotes doubled,
+// and the values not recorded are empty
+assert.strictEqual(
+  lines[2],
+  '1,1970-01-01T00:00:00.000Z,/U3,2,30,"uzaramen1""2,3\n4","1""2,3\n4",0,0' +
+    ','.repeat(13)
+);
+
+// the JSON keeps every contact
+const rows = JSON.parse(convertServeHistoryToJSON(entries));
+assert.strictEqual(rows.length, 2);
+assert.deepStrictEqual(rows[0].contacts, outcome.contacts);
+assert.deepStrictEqual(rows[1].contacts, []);
+assert.strictEqual(rows[1].landed, null);
+
+console.log('serve export checks passed');
@@ -0,0 +1,79 @@
+/**
+ * Checks of the serve history read back from the localStorage
+ */
+import assert from 'node:assert';
+import { countLoggedErrors } from './local_storage.mjs';
+import { serveHistory } from '../../src/resources/js/serve_code/serve_history.js';
+
+const STORAGE_KEY = 'pv-offline-serve-history';
+
+/**
+ * Load the serve history from the text saved in the localStorage
+ * @param {string} saved
+ * @return {number} number of the errors logged
+ */
+function loadFrom(saved) {
+  serveHistory.entries = [];
+  serveHistory.nextID = 0;
+  localStorage.setItem(STORAGE_KEY, saved);
+  return countLoggedErrors(() => serveHistory.load());
+}
+
+const validEntry = {
+  id: 3,
+  code: 'U/3-/4-UH/1-/30',
+  timestamp: 0,
+  playerNum: 1,
+  fps: 25,
+  scores: [0, 0],
+  roomID: 'uzaramen123',
+};
+
+// a saved history is loaded back as it was saved
+serveHistory.entries = [];
+serveHistory.nextID = 0;
+serveHistory.add('U/3-/4-UH/1-/30', 1, 25, [1, 2], 'uzaramen123', undefined);
+serveHistory.add('/U3', 2, 30, [3, 4], undefined, undefined);
+const saved = localStorage.getItem(STORAGE_KEY);
+assert.strictEqual(loadFrom(saved), 0);
+assert.deepStrictEqual(
+  serveHistory.entries.map((entry) => [entry.id, entry.code, entry.scores]),
+  [
+    [0, 'U/3-/4-UH/1-/30', [1, 2]],
+    [1, '/U3', [3, 4]],
+  ]
+);
+assert.strictEqual(serveHistory.nextID, 2);
+
+// malformed entries are dropped and the ids of the others are not reused
+assert.strictEqual(
+  loadFrom(
+    JSON.stringify({
+      nextID: 'x',
+      entries: [
+        validEntry,
+        null,
+        Object.assign({}, validEntry, { id: 4, code: 5 }),
+        Object.assign({}, validEntry, { id: 5, playerNum: 3 }),
+        Object.assign({}, validEntry, { id: 6, scores: [0] }),
+        Object.assign({}, validEntry, { id: 7, outcome: { landed: true } }),
+      ],
+    })
+  ),
+  0
+);
+assert.deepStrictEqual(
+  serveHistory.entries.map((entry) => entry.id),
+  [3]
+);
+assert.strictEqual(serveHistory.nextID, 4);
+
+// a malformed history is logged and leaves the history empty
+assert.strictEqual(loadFrom('{'), 1);
+assert.deepStrictEqual(serveHistory.entries, []);
+assert.strictEqual(loadFrom(JSON.stringify({ entries: {} })), 1);
+assert.deepStrictEqual(serveHistory.entries, []);
+
+localStorage.clear();
+
+console.log('serve history checks passed');
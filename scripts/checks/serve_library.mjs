@@ -0,0 +1,129 @@
+/**
+ * Checks of the serve library loaded from the localStorage and imported from a file
+ */
+import assert from 'node:assert';
+import { countLoggedErrors } from './local_storage.mjs';
+import {
+  ServeLibrarySortOrder,
+  parseTags,
+  serveLibrary,
+} from '../../src/resources/js/serve_code/serve_library.js';
+
+const STORAGE_KEY = 'pv-offline-serve-library';
+
+/**
+ * Empty the serve library, in memory and in the localStorage
+ */
+function resetLibrary() {
+  serveLibrary.entries = [];
+  serveLibrary.nextID = 0;
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Load the serve library from the text saved in the localStorage
+ * @param {string} saved
+ * @return {number} number of the errors logged
+ */
+function loadFrom(saved) {
+  resetLibrary();
+  localStorage.setItem(STORAGE_KEY, saved);
+  return countLoggedErrors(() => serveLibrary.load());
+}
+
+// tags
+assert.deepStrictEqual(parseTags('jump-smash, Short,,short '), [
+  'jump-smash',
+  'short',
+]);
+
+// a saved library is loaded back as it was saved
+resetLibrary();
+serveLibrary.add({ name: 'smash', code: ' U/3-/4-UH/1-/30 ', tags: ['a'] });
+serveLibrary.add({ code: '/7', playerNum: 2, notes: 'wait' });
+assert.strictEqual(loadFrom(localStorage.getItem(STORAGE_KEY)), 0);
+assert.deepStrictEqual(
+  serveLibrary.entries.map((entry) => [
+    entry.id,
+    entry.name,
+    entry.code,
+    entry.playerNum,
+  ]),
+  [
+    [0, 'smash', 'U/3-/4-UH/1-/30', 1],
+    [1, '/7', '/7', 2],
+  ]
+);
+assert.deepStrictEqual(
+  serveLibrary.search('WAIT', ServeLibrarySortOrder.name).map((e) => e.id),
+  [1]
+);
+
+// malformed entries are dropped and the ids of the others are not reused
+const validEntry = serveLibrary.get(0);
+assert.strictEqual(
+  loadFrom(
+    JSON.stringify({
+      entries: [
+        validEntry,
+        'smash',
+        Object.assign({}, validEntry, { id: 5, tags: 'a' }),
+        Object.assign({}, validEntry, { id: 6, outcome: {} }),
+        Object.assign({}, validEntry, { id: 7, roomID: 7 }),
+        Object.assign({}, validEntry, { id: 8, updatedAt: undefined }),
+      ],
+    })
+  ),
+  0
+);
+assert.deepStrictEqual(
+  serveLibrary.entries.map((entry) => entry.id),
+  [0]
+);
+assert.strictEqual(serveLibrary.nextID, 1);
+
+// a malformed library is logged and leaves the library empty
+assert.strictEqual(loadFrom('null'), 1);
+assert.deepStrictEqual(serveLibrary.entries, []);
+
+// an import skips the entries without a well-formed code and drops malformed optional fields
+resetLibrary();
+let count;
+const errorCount = countLoggedErrors(() => {
+  count = serveLibrary.importFromJSON(
+    JSON.stringify({
+      version: 'serve-library-1',
+      entries: [
+        null,
+        { name: 'no code' },
+        { code: 'UL/' },
+        {
+          code: '/U3',
+          playerNum: 1,
+          tags: ['a', 1],
+          notes: 3,
+          outcome: { landed: true },
+          roomID: 5,
+          createdAt: 10,
+        },
+      ],
+    })
+  );
+});
+assert.strictEqual(count, 1);
+assert.strictEqual(errorCount, 1);
+const imported = serveLibrary.entries[0];
+assert.strictEqual(imported.playerNum, 2);
+assert.deepStrictEqual(imported.tags, ['a']);
+assert.strictEqual(imported.notes, '3');
+assert.strictEqual(imported.outcome, null);
+assert.strictEqual(imported.roomID, null);
+assert.strictEqual(imported.createdAt, 10);
+
+// a file of another kind is refused
+assert.throws(() => serveLibrary.importFromJSON('{"entries":[]}'));
+assert.throws(() => serveLibrary.importFromJSON('[]'));
+
+resetLibrary();
+
+console.log('serve library checks passed');
@@ -0,0 +1,51 @@
+/**
+ * Checks of the link sharing a serve code through the URL fragment
+ */
+import assert from 'node:assert';
+import { ServeCodeSyntaxError } from '../../src/resources/js/serve_code/serve_code_parser.js';
+import {
+  buildServeLink,
+  parseServeLink,
+} from '../../src/resources/js/serve_code/serve_link.js';
+
+// a built link is parsed back
+const link = buildServeLink('https://example.com/en/', {
+  code: 'U/3-/4-UH/1-/30',
+  playerNum: 1,
+  speed: 'medium',
+});
+assert.strictEqual(
+  link,
+  'https://example.com/en/#code=U%2F3-%2F4-UH%2F1-%2F30&side=1&speed=medium'
+);
+assert.deepStrictEqual(parseServeLink(link.slice(link.indexOf('#'))), {
+  code: 'U/3-/4-UH/1-/30',
+  playerNum: 1,
+  speed: 'medium',
+});
+
+// the leading "#" is optional and a fragment without a code is not a shared serve
+assert.strictEqual(parseServeLink('code=%2FU3').code, '/U3');
+assert.strictEqual(parseServeLink(''), null);
+assert.strictEqual(parseServeLink('#speed=fast'), null);
+
+// the side of the code wins over the side in the fragment,
+// which is used only for a code that does not tell its side
+assert.strictEqual(parseServeLink('#code=%2FU3&side=1').playerNum, 2);
+assert.strictEqual(parseServeLink('#code=%2F7&side=2').playerNum, 2);
+assert.strictEqual(parseServeLink('#code=%2F7&side=x').playerNum, 1);
+
+// an unknown speed and a seed of a link made before are ignored
+assert.deepStrictEqual(parseServeLink('#code=U%2F3&speed=warp&seed=123'), {
+  code: 'U/3',
+  playerNum: 1,
+});
+
+// the code is trimmed, and a malformed code is rejected
+assert.strictEqual(parseServeLink('#code=+U%2F3+').code, 'U/3');
+assert.throws(
+  () => parseServeLink('#code=UL%2F'),
+  (err) => err instanceof ServeCodeSyntaxError
+);
+
+console.log('serve link checks passed');
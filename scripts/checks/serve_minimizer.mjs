@@ -0,0 +1,74 @@
+/**
+ * Checks of the serve code minimizer and the state-trace equivalence check
+ */
+import assert from 'node:assert';
+import {
+  checkServeEquivalence,
+  describeServeEquivalence,
+  minimizeServeCode,
+} from '../../src/resources/js/serve_code/serve_minimizer.js';
+
+const options = { roomID: 'uzaramen123' };
+
+// equivalent codes give the same state on every frame, whatever their strings
+const same = checkServeEquivalence('U/3-/4-UH/1-/30', 'U/7-H/1-/100', options);
+assert.deepStrictEqual(same, {
+  equivalent: true,
+  frames: 61,
+  otherFrames: 61,
+  firstDifferentFrame: -1,
+  differentParts: [],
+});
+assert.strictEqual(
+  describeServeEquivalence(same),
+  'equivalent: the same state on all 61 frames'
+);
+
+// a power hit one frame later is not equivalent
+const later = checkServeEquivalence(
+  'U/3-/4-UH/1-/30',
+  'U/3-/5-UH/1-/30',
+  options
+);
+assert.strictEqual(later.equivalent, false);
+assert.strictEqual(later.firstDifferentFrame, 7);
+assert.deepStrictEqual(later.differentParts, ['player1']);
+assert.strictEqual(
+  describeServeEquivalence(later),
+  'not equivalent: player 1 differs first on frame 7'
+);
+assert.strictEqual(
+  describeServeEquivalence({
+    equivalent: false,
+    firstDifferentFrame: 14,
+    differentParts: ['player1', 'ball'],
+  }),
+  'not equivalent: player 1 and ball differ first on frame 14'
+);
+
+// moving on the ground after the serve changes the state even if the outcome is the same
+assert.strictEqual(
+  checkServeEquivalence('U/3-/4-UH/1-/30', 'U/3-/4-UH/1-/30-L/50', options)
+    .equivalent,
+  false
+);
+
+// the minimized code is shorter and equivalent to the original one
+for (const code of ['U/3-/4-UH/1-/30', 'L/3-UL/1-L/20-LH/1-L/40']) {
+  const minimized = minimizeServeCode(code, options);
+  assert.ok(minimized.tokenCount < minimized.originalTokenCount, code);
+  assert.strictEqual(
+    checkServeEquivalence(code, minimized.code, options).equivalent,
+    true,
+    code
+  );
+}
+assert.deepStrictEqual(minimizeServeCode('L/3-UL/1-L/20-LH/1-L/40', options), {
+  code: 'L/3-U/21-H/1',
+  playerNum: 1,
+  tokenCount: 3,
+  originalTokenCount: 5,
+  frames: 46,
+});
+
+console.log('serve minimizer checks passed');
@@ -0,0 +1,103 @@
+/**
+ * Checks of the serve search
+ */
+import assert from 'node:assert';
+import {
+  MAX_FRAME_BUDGET,
+  searchServes,
+} from '../../src/resources/js/serve_code/serve_search.js';
+import { simulateServeCode } from '../../src/resources/js/serve_code/serve_simulator.js';
+
+const options = {
+  playerNum: 1,
+  minX: 216,
+  maxX: 432,
+  frameBudget: 12,
+  maxResults: 5,
+  roomID: 'uzaramen123',
+};
+let progress = null;
+const results = searchServes(
+  Object.assign({}, options, {
+    onProgress: (done, total) => {
+      progress = [done, total];
+    },
+  })
+);
+assert.strictEqual(progress[0], progress[1]);
+assert.deepStrictEqual(
+  results.map((result) => result.code),
+  ['U/1-/11-UH/1', 'U/1-/11-LH/1', 'U/1-/3-H/1']
+);
+
+const landings = [];
+for (const result of results) {
+  // the code found plays out as reported
+  const outcome = simulateServeCode(result.code, { roomID: options.roomID });
+  assert.deepStrictEqual(outcome, result.outcome);
+  // it lands in the target zone on the opponent side
+  assert.strictEqual(outcome.landingSide, 2);
+  assert.ok(
+    outcome.landingX >= options.minX && outcome.landingX <= options.maxX
+  );
+  // its power hit hits the ball
+  assert.ok(
+    outcome.contacts.some(
+      (contact) => contact.playerNum === 1 && contact.isPowerHit
+    )
+  );
+  // one code for each landing
+  const landing = `${outcome.landingFrame},${outcome.landingX}`;
+  assert.strictEqual(landings.indexOf(landing), -1);
+  landings.push(landing);
+}
+// ranked by simplicity and then by tolerance
+for (let i = 1; i < results.length; i++) {
+  const previous = results[i - 1];
+  assert.ok(
+    previous.simplicity < results[i].simplicity ||
+      (previous.simplicity === results[i].simplicity &&
+        previous.tolerance >= results[i].tolerance)
+  );
+}
+
+// nothing is found out of the court
+assert.deepStrictEqual(
+  searchServes(Object.assign({}, options, { minX: 500, maxX: 600 })),
+  []
+);
+
+/**
+ * Count the candidates of the search with the frame budget, stopping it on the first progress report
+ * @param {number} frameBudget
+ * @return {number}
+ */
+function countCandidates(frameBudget) {
+  let total = 0;
+  const stop = new Error('stop');
+  assert.throws(
+    () =>
+      searchServes(
+        Object.assign({}, options, {
+          frameBudget: frameBudget,
+          onProgress: (done, candidates) => {
+            total = candidates;
+            throw stop;
+          },
+        })
+      ),
+    (err) => err === stop
+  );
+  return total;
+}
+
+// the frame budget is capped
+assert.ok(
+  countCandidates(MAX_FRAME_BUDGET - 1) < countCandidates(MAX_FRAME_BUDGET)
+);
+assert.strictEqual(
+  countCandidates(MAX_FRAME_BUDGET * 100),
+  countCandidates(MAX_FRAME_BUDGET)
+);
+
+console.log('serve search checks passed');
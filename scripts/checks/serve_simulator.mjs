@@ -0,0 +1,63 @@
+/**
+ * Checks of the headless serve simulator
+ */
+import assert from 'node:assert';
+import seedrandom from 'seedrandom';
+import { originalAIStrategy } from '../../src/resources/js/physics.js';
+import { rand, setCustomRng } from '../../src/resources/js/rand.js';
+import {
+  preservingRng,
+  simulateServeCode,
+} from '../../src/resources/js/serve_code/serve_simulator.js';
+import { isServeOutcome } from '../../src/resources/js/serve_code/serve_outcome.js';
+
+// a power hit serve of player 1 landing on the side of player 2
+const outcome = simulateServeCode('U/3-/4-UH/1-/30', { roomID: 'uzaramen123' });
+assert.ok(isServeOutcome(outcome));
+assert.strictEqual(outcome.playerNum, 1);
+assert.strictEqual(outcome.landed, true);
+assert.strictEqual(outcome.landingFrame, 60);
+assert.strictEqual(outcome.landingX, 326);
+assert.strictEqual(outcome.landingSide, 2);
+assert.strictEqual(outcome.isPowerHit, true);
+assert.strictEqual(outcome.serveContact.frame, 12);
+assert.strictEqual(outcome.receiverStrategy, 'frozen');
+assert.strictEqual(outcome.returned, false);
+assert.deepStrictEqual(
+  simulateServeCode('U/3-/4-UH/1-/30', { roomID: 'uzaramen123' }),
+  outcome
+);
+
+// the same serve by player 2 lands on the side of player 1 on the same frame
+const mirroredOutcome = simulateServeCode('/U3-/4-/UH1-/30', {
+  roomID: 'uzaramen123',
+});
+assert.strictEqual(mirroredOutcome.playerNum, 2);
+assert.strictEqual(mirroredOutcome.landingFrame, 60);
+assert.strictEqual(mirroredOutcome.landingX, 146);
+assert.strictEqual(mirroredOutcome.landingSide, 1);
+
+// the original AI returns it
+const aiOutcome = simulateServeCode('U/3-/4-UH/1-/30', {
+  roomID: 'uzaramen123',
+  computerStrategy: originalAIStrategy,
+});
+assert.strictEqual(aiOutcome.isReceiverAI, true);
+assert.strictEqual(aiOutcome.receiverStrategy, 'originalAI');
+assert.strictEqual(aiOutcome.returned, true);
+assert.strictEqual(aiOutcome.receiverContact.playerNum, 2);
+
+// the simulation gives up after the maximum number of frames
+const notLanded = simulateServeCode('/500', { maxFrames: 10 });
+assert.strictEqual(notLanded.landed, false);
+assert.strictEqual(notLanded.landingFrame, null);
+
+// the RNG of the game is set back after a simulation
+setCustomRng(seedrandom.alea('check'));
+const expected = [rand(), rand(), rand()];
+setCustomRng(seedrandom.alea('check'));
+preservingRng(() => simulateServeCode('U/3-/4-UH/1-/30'));
+assert.deepStrictEqual([rand(), rand(), rand()], expected);
+setCustomRng(null);
+
+console.log('serve simulator checks passed');
@@ -0,0 +1,96 @@
+/**
+ * Checks of the timing tolerance analysis of a serve code
+ */
+import assert from 'node:assert';
+import {
+  analyzeServeTolerance,
+  describeTransitionTolerance,
+  isSameServeOutcome,
+} from '../../src/resources/js/serve_code/serve_tolerance.js';
+import { simulateServeCode } from '../../src/resources/js/serve_code/serve_simulator.js';
+
+const options = { roomID: 'uzaramen123' };
+const outcome = simulateServeCode('U/3-/4-UH/1-/30', options);
+
+// the same outcome: the same side, the landing x within the threshold, and a power hit kept
+const moved = (changes) => Object.assign({}, outcome, changes);
+assert.strictEqual(isSameServeOutcome(outcome, outcome, 0), true);
+assert.strictEqual(
+  isSameServeOutcome(outcome, moved({ landingX: outcome.landingX + 16 }), 16),
+  true
+);
+assert.strictEqual(
+  isSameServeOutcome(outcome, moved({ landingX: outcome.landingX - 17 }), 16),
+  false
+);
+assert.strictEqual(
+  isSameServeOutcome(outcome, moved({ landingSide: 1 }), 16),
+  false
+);
+assert.strictEqual(
+  isSameServeOutcome(outcome, moved({ isPowerHit: false }), 16),
+  false
+);
+assert.strictEqual(
+  isSameServeOutcome(moved({ isPowerHit: false }), outcome, 16),
+  true
+);
+assert.strictEqual(
+  isSameServeOutcome(outcome, moved({ landed: false }), 16),
+  false
+);
+
+// the tolerance window of each transition
+const report = analyzeServeTolerance('U/3-/4-UH/1-/30', options);
+assert.strictEqual(report.playerNum, 1);
+assert.deepStrictEqual(report.outcome, outcome);
+assert.deepStrictEqual(
+  report.transitions.map((transition) => [
+    transition.frame,
+    transition.from,
+    transition.to,
+    transition.earliest,
+    transition.latest,
+  ]),
+  [
+    [0, '', 'U', 0, 2],
+    [3, 'U', '', -2, 3],
+    [7, '', 'UH', -3, 0],
+    [8, 'UH', '', 0, 4],
+  ]
+);
+// the window is the run of tolerated shifts around 0, stopped by the first shift not tolerated
+for (const transition of report.transitions) {
+  for (const checked of transition.checked) {
+    assert.strictEqual(
+      checked.ok,
+      checked.shift >= transition.earliest && checked.shift <= transition.latest
+    );
+  }
+}
+// releasing the jump 2 frames earlier, as simulated by itself
+assert.strictEqual(
+  isSameServeOutcome(
+    outcome,
+    simulateServeCode('U/1-/6-UH/1-/30', options),
+    16
+  ),
+  true
+);
+
+// the description
+assert.strictEqual(
+  describeTransitionTolerance(report.transitions[2]),
+  'frame 7, jump + power hit: -3/+0 frames'
+);
+assert.strictEqual(
+  describeTransitionTolerance({
+    frame: 12,
+    label: 'power hit',
+    earliest: 0,
+    latest: 0,
+  }),
+  'frame 12, power hit: exact'
+);
+
+console.log('serve tolerance checks passed');
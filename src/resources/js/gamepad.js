@@ -0,0 +1,299 @@
+/**
+ * This module takes charge of the user input via gamepad (the Gamepad API of the browser)
+ *
+ * A gamepad is read the same way as a keyboard: the input is frozen by getInput once per game frame,
+ * and the power hit is an edge, 1 only on the frame the power hit button goes down.
+ * The input of a gamepad is merged into the keyboard of the same player (see mergeInto),
+ * so that the rest of the game, the replay saver and the serve code encoder take it as keyboard input.
+ *
+ * Gamepads are looked up by navigator.getGamepads() on each frame,
+ * so a gamepad plugged in or out while playing is picked up or dropped on the next frame.
+ */
+'use strict';
+import { PikaUserInput } from './physics.js';
+import { PikaHeldKeys } from './keyboard.js';
+
+/** @typedef {import('./keyboard.js').PikaKeyboard} PikaKeyboard */
+
+/**
+ * Button indices (of Gamepad.buttons) for each action, and axis indices (of Gamepad.axes) for directions.
+ * The default is for the "standard" gamepad layout.
+ * Refer {@link https://w3c.github.io/gamepad/#remapping}
+ * @typedef GamepadMapping
+ * @property {number[]} powerHit
+ * @property {number[]} up
+ * @property {number[]} down
+ * @property {number[]} left
+ * @property {number[]} right
+ * @property {number} xAxis null if no axis is used for x direction
+ * @property {number} yAxis null if no axis is used for y direction
+ */
+
+/** @constant @type {number} default deadzone of the axes */
+export const DEFAULT_GAMEPAD_DEADZONE = 0.5;
+
+/**
+ * Letters of the actions in the text of a gamepad mapping
+ * @constant @type {Object.<string, string>}
+ */
+const MAPPING_LETTERS = {
+  H: 'powerHit',
+  U: 'up',
+  D: 'down',
+  L: 'left',
+  R: 'right',
+  X: 'xAxis',
+  Y: 'yAxis',
+};
+
+/**
+ * Create the default gamepad mapping
+ * @return {GamepadMapping}
+ */
+export function createDefaultGamepadMapping() {
+  return {
+    powerHit: [0, 1],
+    up: [12],
+    down: [13],
+    left: [14],
+    right: [15],
+    xAxis: 0,
+    yAxis: 1,
+  };
+}
+
+/**
+ * Write the gamepad mapping as a text.
+ * An action without a button (or without an axis) is left out, which parseGamepadMapping reads as none.
+ * @param {GamepadMapping} mapping
+ * @return {string} ex) "H:0,1 U:12 D:13 L:14 R:15 X:0 Y:1"
+ */
+export function formatGamepadMapping(mapping) {
+  const parts = [];
+  for (const letter of Object.keys(MAPPING_LETTERS)) {
+    const value = mapping[MAPPING_LETTERS[letter]];
+    if (Array.isArray(value)) {
+      if (value.length > 0) {
+        parts.push(`${letter}:${value.join(',')}`);
+      }
+    } else if (value !== null) {
+      parts.push(`${letter}:${value}`);
+    }
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Read the gamepad mapping from a text.
+ * An action which is not written has no button (or no axis).
+ * @param {string} text ex) "H:0,1 U:12 D:13 L:14 R:15 X:0 Y:1"
+ * @return {GamepadMapping}
+ * @throws {Error} if the text is malformed
+ */
+export function parseGamepadMapping(text) {
+  const mapping = {
+    powerHit: [],
+    up: [],
+    down: [],
+    left: [],
+    right: [],
+    xAxis: null,
+    yAxis: null,
+  };
+  for (const part of text.trim().split(/\s+/)) {
+    const matched = /^([HUDLRXY]):(\d+(?:,\d+)*)$/.exec(part);
+    if (matched === null) {
+      throw new Error(`Malformed part of the gamepad mapping: "${part}"`);
+    }
+    const indices = matched[2].split(',').map(Number);
+    const property = MAPPING_LETTERS[matched[1]];
+    if (property === 'xAxis' || property === 'yAxis') {
+      if (indices.length !== 1) {
+        throw new Error(`Only one axis can be used for "${matched[1]}"`);
+      }
+      mapping[property] = indices[0];
+    } else {
+      mapping[property] = indices;
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Get the gamepads connected now
+ * @return {Gamepad[]} in the order of Gamepad.index
+ */
+export function getConnectedGamepads() {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) {
+    return [];
+  }
+  const connected = [];
+  const gamepads = navigator.getGamepads();
+  for (let i = 0; i < gamepads.length; i++) {
+    if (gamepads[i] && gamepads[i].connected) {
+      connected.push(gamepads[i]);
+    }
+  }
+  return connected;
+}
+
+/**
+ * Is it a valid value of {@link PikaGamepad#assignment}?
+ * @param {string} assignment
+ * @return {boolean}
+ */
+export function isGamepadAssignment(assignment) {
+  return ['off', 'auto', '1', '2', '3', '4'].indexOf(assignment) !== -1;
+}
+
+/**
+ * Assign the gamepads connected now to the players, by the assignment of each PikaGamepad.
+ * A gamepad picked by its number goes to its player first,
+ * and then the gamepads left go to the players with "auto" in the order of the players.
+ * @param {PikaGamepad[]} gamepadArray [0] for player 1, [1] for player 2
+ */
+export function assignGamepads(gamepadArray) {
+  const gamepads = getConnectedGamepads();
+  const taken = [];
+  const assigned = gamepadArray.map(() => null);
+  for (let i = 0; i < gamepadArray.length; i++) {
+    const assignment = gamepadArray[i].assignment;
+    if (assignment !== 'off' && assignment !== 'auto') {
+      const index = Number(assignment) - 1;
+      if (gamepads.some((gamepad) => gamepad.index === index)) {
+        assigned[i] = index;
+        taken.push(index);
+      }
+    }
+  }
+  for (let i = 0; i < gamepadArray.length; i++) {
+    if (gamepadArray[i].assignment === 'auto') {
+      const gamepad = gamepads.find(
+        (gamepad) => taken.indexOf(gamepad.index) === -1
+      );
+      if (gamepad) {
+        assigned[i] = gamepad.index;
+        taken.push(gamepad.index);
+      }
+    }
+  }
+  for (let i = 0; i < gamepadArray.length; i++) {
+    if (gamepadArray[i].gamepadIndex !== assigned[i]) {
+      gamepadArray[i].release();
+      gamepadArray[i].gamepadIndex = assigned[i];
+    }
+  }
+}
+
+/**
+ * Class representing a gamepad used to control a player
+ */
+export class PikaGamepad extends PikaUserInput {
+  constructor() {
+    super();
+
+    /**
+     * "off": no gamepad, "auto": the first gamepad not assigned to the other player,
+     * "1" to "4": the gamepad of the number (Gamepad.index + 1)
+     * @type {string}
+     */
+    this.assignment = 'auto';
+    /** @type {number} Gamepad.index of the gamepad assigned by assignGamepads, null if there is none */
+    this.gamepadIndex = null;
+    /** @type {number} an axis counts as a direction if it is tilted by more than this (0 to 1), so a centered stick never does */
+    this.deadzone = DEFAULT_GAMEPAD_DEADZONE;
+    /** @type {GamepadMapping} */
+    this.mapping = createDefaultGamepadMapping();
+
+    /** @type {boolean} */
+    this.powerHitButtonIsDownPrevious = false;
+    /**
+     * Buttons held down on the last frame, as the keys of a keyboard
+     * @type {PikaHeldKeys}
+     */
+    this.heldKeys = new PikaHeldKeys();
+  }
+
+  /**
+   * Get xDirection, yDirection, powerHit input from the gamepad.
+   * This method is for freezing the gamepad input during the process of one game frame.
+   */
+  getInput() {
+    const gamepad = getConnectedGamepads().find(
+      (gamepad) => gamepad.index === this.gamepadIndex
+    );
+    if (!gamepad) {
+      this.release();
+      return;
+    }
+    const mapping = this.mapping;
+    const isPressed = (indices) =>
+      indices.some(
+        (index) => gamepad.buttons[index] && gamepad.buttons[index].pressed
+      );
+    const readAxis = (index) =>
+      index === null || gamepad.axes[index] === undefined
+        ? 0
+        : gamepad.axes[index];
+    const x = readAxis(mapping.xAxis);
+    const y = readAxis(mapping.yAxis);
+
+    this.heldKeys.left = isPressed(mapping.left) || x < -this.deadzone;
+    this.heldKeys.right = isPressed(mapping.right) || x > this.deadzone;
+    this.heldKeys.up = isPressed(mapping.up) || y < -this.deadzone;
+    this.heldKeys.down = isPressed(mapping.down) || y > this.deadzone;
+    this.heldKeys.powerHit = isPressed(mapping.powerHit);
+
+    // left and up win, as on the keyboard
+    if (this.heldKeys.left) {
+      this.xDirection = -1;
+    } else if (this.heldKeys.right) {
+      this.xDirection = 1;
+    } else {
+      this.xDirection = 0;
+    }
+    if (this.heldKeys.up) {
+      this.yDirection = -1;
+    } else if (this.heldKeys.down) {
+      this.yDirection = 1;
+    } else {
+      this.yDirection = 0;
+    }
+
+    const isDown = this.heldKeys.powerHit;
+    if (!this.powerHitButtonIsDownPrevious && isDown) {
+      this.powerHit = 1;
+    } else {
+      this.powerHit = 0;
+    }
+    this.powerHitButtonIsDownPrevious = isDown;
+  }
+
+  /**
+   * Release every button, e.g. when the gamepad is unplugged
+   */
+  release() {
+    this.xDirection = 0;
+    this.yDirection = 0;
+    this.powerHit = 0;
+    this.powerHitButtonIsDownPrevious = false;
+    this.heldKeys = new PikaHeldKeys();
+  }
+
+  /**
+   * Merge the input of this gamepad into the keyboard of the same player,
+   * so that either of them can control the player
+   * @param {PikaKeyboard} keyboard
+   */
+  mergeInto(keyboard) {
+    keyboard.xDirection = keyboard.xDirection || this.xDirection;
+    keyboard.yDirection = keyboard.yDirection || this.yDirection;
+    keyboard.powerHit = keyboard.powerHit || this.powerHit;
+    keyboard.heldKeys.left = keyboard.heldKeys.left || this.heldKeys.left;
+    keyboard.heldKeys.right = keyboard.heldKeys.right || this.heldKeys.right;
+    keyboard.heldKeys.up = keyboard.heldKeys.up || this.heldKeys.up;
+    keyboard.heldKeys.down = keyboard.heldKeys.down || this.heldKeys.down;
+    keyboard.heldKeys.powerHit =
+      keyboard.heldKeys.powerHit || this.heldKeys.powerHit;
+  }
+}
@@ -0,0 +1,295 @@
+/**
+ * This module keeps the key bindings of the keyboards: which key is used for each action of each player.
+ *
+ * The bindings are kept in named profiles (e.g. one for AZERTY keyboards, one for a left-handed player)
+ * saved in the localStorage. Rebinding a key changes the profile being used.
+ * A key can be bound to only one action of one player, and a binding which would take
+ * a key already bound to another action is reported as a conflict instead of being made.
+ */
+'use strict';
+import { localStorageWrapper } from './utils/local_storage_wrapper.js';
+
+/** @typedef {import('./keyboard.js').PikaKeyboard} PikaKeyboard */
+
+/** @constant @type {string} localStorage key for the key binding profiles */
+const STORAGE_KEY = 'pv-offline-key-binding-profiles';
+
+/**
+ * Actions which a key can be bound to
+ * @readonly
+ * @enum {string}
+ */
+export const KeyAction = {
+  left: 'left',
+  right: 'right',
+  up: 'up',
+  down: 'down',
+  powerHit: 'powerHit',
+  downRight: 'downRight', // only player 1 has this key
+};
+
+/**
+ * KeyboardEvent.code value of the key bound to each action of a player.
+ * Refer {@link https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/code/code_values}
+ * @typedef KeyBinding
+ * @property {string} left
+ * @property {string} right
+ * @property {string} up
+ * @property {string} down
+ * @property {string} powerHit
+ * @property {string} downRight null for player 2
+ */
+
+/**
+ * @typedef KeyBindingProfile
+ * @property {string} name
+ * @property {KeyBinding[]} bindings [0] for player 1, [1] for player 2
+ */
+
+/**
+ * @typedef KeyConflict
+ * @property {number} playerNum 1 or 2, the player whose action the key is already bound to
+ * @property {string} action KeyAction enum
+ */
+
+/** @constant @type {string} name of the profile created with the default bindings */
+export const DEFAULT_PROFILE_NAME = 'default';
+
+/**
+ * Create the default key bindings
+ * @return {KeyBinding[]} [0] for player 1, [1] for player 2
+ */
+export function createDefaultKeyBindings() {
+  return [
+    {
+      left: 'KeyD',
+      right: 'KeyG',
+      up: 'KeyR',
+      down: 'KeyV',
+      powerHit: 'KeyZ',
+      downRight: 'KeyF',
+    },
+    {
+      left: 'ArrowLeft',
+      right: 'ArrowRight',
+      up: 'ArrowUp',
+      down: 'ArrowDown',
+      powerHit: 'Enter',
+      downRight: null,
+    },
+  ];
+}
+
+/**
+ * Find the action which the key is already bound to, other than the action being rebound
+ * @param {KeyBinding[]} bindings [0] for player 1, [1] for player 2
+ * @param {string} code KeyboardEvent.code value of the new key
+ * @param {number} playerNum 1 or 2, the player whose action is being rebound
+ * @param {string} action KeyAction enum, the action being rebound
+ * @return {KeyConflict} null if there is no conflict
+ */
+export function findKeyConflict(bindings, code, playerNum, action) {
+  for (let i = 0; i < bindings.length; i++) {
+    for (const boundAction of Object.keys(KeyAction)) {
+      const isSelf = i + 1 === playerNum && boundAction === action;
+      if (!isSelf && bindings[i][boundAction] === code) {
+        return { playerNum: i + 1, action: boundAction };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Rebind the keys of the keyboards
+ * @param {PikaKeyboard[]} keyboardArray [0] for player 1, [1] for player 2
+ * @param {KeyBinding[]} bindings [0] for player 1, [1] for player 2
+ */
+export function applyKeyBindings(keyboardArray, bindings) {
+  for (let i = 0; i < keyboardArray.length; i++) {
+    const binding = bindings[i];
+    keyboardArray[i].rebind(
+      binding.left,
+      binding.right,
+      binding.up,
+      binding.down,
+      binding.powerHit,
+      binding.downRight
+    );
+  }
+}
+
+/**
+ * Is it a valid key binding profile, e.g. as loaded from the localStorage?
+ * Every action has a key, but player 2 has no down-right key.
+ * @param {*} profile
+ * @return {boolean}
+ */
+function isValidProfile(profile) {
+  return (
+    typeof profile === 'object' &&
+    profile !== null &&
+    typeof profile.name === 'string' &&
+    Array.isArray(profile.bindings) &&
+    profile.bindings.length === 2 &&
+    profile.bindings.every(
+      (binding, i) =>
+        typeof binding === 'object' &&
+        binding !== null &&
+        Object.keys(KeyAction).every((action) =>
+          i === 1 && action === KeyAction.downRight
+            ? binding[action] === null
+            : typeof binding[action] === 'string' && binding[action] !== ''
+        )
+    )
+  );
+}
+
+/**
+ * Class representing the key binding profiles
+ */
+class KeyBindingProfiles {
+  constructor() {
+    /** @type {KeyBindingProfile[]} at least one */
+    this.profiles = [
+      { name: DEFAULT_PROFILE_NAME, bindings: createDefaultKeyBindings() },
+    ];
+    /** @type {string} name of the profile being used */
+    this.currentName = DEFAULT_PROFILE_NAME;
+  }
+
+  /**
+   * The profile being used
+   * @type {KeyBindingProfile}
+   */
+  get current() {
+    return this.get(this.currentName) || this.profiles[0];
+  }
+
+  /**
+   * Load the profiles saved in the localStorage.
+   * Malformed profiles are dropped, and the default profile is kept if none is left.
+   */
+  load() {
+    const saved = localStorageWrapper.get(STORAGE_KEY);
+    if (saved === null) {
+      return;
+    }
+    try {
+      const parsed = JSON.parse(saved);
+      if (!parsed || !Array.isArray(parsed.profiles)) {
+        throw new Error('Malformed key binding profiles');
+      }
+      const profiles = [];
+      for (const profile of parsed.profiles) {
+        // a profile is dropped if it is malformed or its name is taken by an earlier one
+        if (
+          isValidProfile(profile) &&
+          !profiles.some((kept) => kept.name === profile.name)
+        ) {
+          profiles.push(profile);
+        }
+      }
+      if (profiles.length === 0) {
+        throw new Error('No valid key binding profile');
+      }
+      this.profiles = profiles;
+      this.currentName = profiles.some(
+        (profile) => profile.name === parsed.currentName
+      )
+        ? parsed.currentName
+        : profiles[0].name;
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  /**
+   * Save the profiles to the localStorage
+   */
+  save() {
+    localStorageWrapper.set(
+      STORAGE_KEY,
+      JSON.stringify({
+        currentName: this.currentName,
+        profiles: this.profiles,
+      })
+    );
+  }
+
+  /**
+   * Get the profile
+   * @param {string} name
+   * @return {KeyBindingProfile} undefined if there is no such profile
+   */
+  get(name) {
+    return this.profiles.find((profile) => profile.name === name);
+  }
+
+  /**
+   * Use the profile
+   * @param {string} name
+   * @return {boolean} false if there is no such profile
+   */
+  select(name) {
+    if (!this.get(name)) {
+      return false;
+    }
+    this.currentName = name;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Create a profile with a copy of the bindings of the profile being used, and use it
+   * @param {string} name
+   * @return {boolean} false if there is already a profile with the name
+   */
+  create(name) {
+    if (this.get(name)) {
+      return false;
+    }
+    this.profiles.push({
+      name: name,
+      bindings: JSON.parse(JSON.stringify(this.current.bindings)),
+    });
+    this.currentName = name;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Delete the profile being used, and use the first one left
+   * @return {boolean} false if it is the only profile
+   */
+  deleteCurrent() {
+    if (this.profiles.length === 1) {
+      return false;
+    }
+    const current = this.current;
+    this.profiles = this.profiles.filter((profile) => profile !== current);
+    this.currentName = this.profiles[0].name;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Bind the key to the action of the player in the profile being used
+   * @param {number} playerNum 1 or 2
+   * @param {string} action KeyAction enum
+   * @param {string} code KeyboardEvent.code value of the new key
+   * @return {KeyConflict} the action which the key is already bound to, null if the key is bound
+   */
+  bind(playerNum, action, code) {
+    const bindings = this.current.bindings;
+    const conflict = findKeyConflict(bindings, code, playerNum, action);
+    if (conflict !== null) {
+      return conflict;
+    }
+    bindings[playerNum - 1][action] = code;
+    this.save();
+    return null;
+  }
+}
+
+export const keyBindingProfiles = new KeyBindingProfiles();
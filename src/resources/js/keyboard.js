@@ -1,9 +1,39 @@
 /**
  * This module takes charge of the user input via keyboard
+ *
+ * Keys are not only sampled once per game frame: every keydown and keyup event is buffered
+ * with its timestamp and folded into the input of the next frame, so that a quick tap
+ * (pressed and released between two frames) is not lost. The policy is:
+ *   - a direction key counts as pressed on the frame if it is down when sampled
+ *     or if it was pressed at any moment since the previous frame
+ *   - the power hit is still an edge: it is 1 if the key went down since the previous frame,
+ *     either as seen by sampling (with powerHitKeyIsDownPrevious) or by a buffered keydown event
+ *
+ * Besides the input, the keys held down on each frame are kept in a PikaHeldKeys object,
+ * since the input loses them: e.g. the power hit key held for 20 frames is a power hit input
+ * on the first frame only, and left and right keys held together are a left input only.
  */
 'use strict';
 import { PikaUserInput } from './physics.js';
 
+/**
+ * Class representing the keys held down by a player on a frame
+ */
+export class PikaHeldKeys {
+  constructor() {
+    /** @type {boolean} */
+    this.left = false;
+    /** @type {boolean} */
+    this.right = false;
+    /** @type {boolean} */
+    this.up = false;
+    /** @type {boolean} */
+    this.down = false;
+    /** @type {boolean} */
+    this.powerHit = false;
+  }
+}
+
 /**
  * Class representing a keyboard used to contorl a player
  */
@@ -27,6 +57,19 @@ export class PikaKeyboard extends PikaUserInput {
     /** @type {boolean} */
     this.powerHitKeyIsDownPrevious = false;
 
+    /**
+     * Did the buffered key events change the input of the last frame
+     * from what sampling the keys alone would have given?
+     * @type {boolean}
+     */
+    this.isChangedByBuffering = false;
+
+    /**
+     * Keys held down on the last frame, a key tapped between two frames included
+     * @type {PikaHeldKeys}
+     */
+    this.heldKeys = new PikaHeldKeys();
+
     /** @type {Key} */
     this.leftKey = new Key(left);
     /** @type {Key} */
@@ -46,35 +89,94 @@ export class PikaKeyboard extends PikaUserInput {
    * This method is for freezing the keyboard input during the process of one game frame.
    */
   getInput(amIPlayer2 = false) {
-    if (this.leftKey.isDown) {
-      this.xDirection = -1;
-    } else if (
-      this.rightKey.isDown ||
-      (!amIPlayer2 && this.downRightKey && this.downRightKey.isDown)
-    ) {
-      this.xDirection = 1;
+    const sampled = this.readDirections((key) => key.isDown, amIPlayer2);
+    const buffered = this.readDirections(
+      (key) => key.isDown || key.wasPressedSinceLastFrame(),
+      amIPlayer2
+    );
+    this.xDirection = buffered.xDirection;
+    this.yDirection = buffered.yDirection;
+
+    const isDown = this.powerHitKey.isDown;
+    const isSampledEdge = !this.powerHitKeyIsDownPrevious && isDown;
+    if (isSampledEdge || this.powerHitKey.wasPressedSinceLastFrame()) {
+      this.powerHit = 1;
     } else {
-      this.xDirection = 0;
+      this.powerHit = 0;
     }
+    this.powerHitKeyIsDownPrevious = isDown;
+
+    this.isChangedByBuffering =
+      sampled.xDirection !== this.xDirection ||
+      sampled.yDirection !== this.yDirection ||
+      (isSampledEdge ? 1 : 0) !== this.powerHit;
 
-    if (this.upKey.isDown) {
-      this.yDirection = -1;
+    const isHeld = (key) => key.isDown || key.wasPressedSinceLastFrame();
+    const isDownRightHeld = isHeld(this.downRightKey);
+    this.heldKeys.left = isHeld(this.leftKey);
+    this.heldKeys.right =
+      isHeld(this.rightKey) || (!amIPlayer2 && isDownRightHeld);
+    this.heldKeys.up = isHeld(this.upKey);
+    this.heldKeys.down = isHeld(this.downKey) || isDownRightHeld;
+    this.heldKeys.powerHit = isHeld(this.powerHitKey);
+
+    this.leftKey.clearBufferedEvents();
+    this.rightKey.clearBufferedEvents();
+    this.upKey.clearBufferedEvents();
+    this.downKey.clearBufferedEvents();
+    this.powerHitKey.clearBufferedEvents();
+    this.downRightKey.clearBufferedEvents();
+  }
+
+  /**
+   * Read xDirection and yDirection from the direction keys
+   * @param {function(Key):boolean} isKeyDown tells whether the key counts as pressed
+   * @param {boolean} amIPlayer2
+   * @return {{xDirection: number, yDirection: number}}
+   */
+  readDirections(isKeyDown, amIPlayer2) {
+    let xDirection = 0;
+    if (isKeyDown(this.leftKey)) {
+      xDirection = -1;
     } else if (
-      this.downKey.isDown ||
-      (this.downRightKey && this.downRightKey.isDown)
+      isKeyDown(this.rightKey) ||
+      (!amIPlayer2 && this.downRightKey && isKeyDown(this.downRightKey))
     ) {
-      this.yDirection = 1;
-    } else {
-      this.yDirection = 0;
+      xDirection = 1;
     }
 
-    const isDown = this.powerHitKey.isDown;
-    if (!this.powerHitKeyIsDownPrevious && isDown) {
-      this.powerHit = 1;
-    } else {
-      this.powerHit = 0;
+    let yDirection = 0;
+    if (isKeyDown(this.upKey)) {
+      yDirection = -1;
+    } else if (
+      isKeyDown(this.downKey) ||
+      (this.downRightKey && isKeyDown(this.downRightKey))
+    ) {
+      yDirection = 1;
     }
-    this.powerHitKeyIsDownPrevious = isDown;
+    return { xDirection: xDirection, yDirection: yDirection };
+  }
+
+  /**
+   * Rebind the keys of this keyboard.
+   * The keys are released as they are rebound, so that a key held down is not kept held.
+   * @param {string} left KeyboardEvent.code value of the key to use for left
+   * @param {string} right KeyboardEvent.code value of the key to use for right
+   * @param {string} up KeyboardEvent.code value of the key to use for up
+   * @param {string} down KeyboardEvent.code value of the key to use for down
+   * @param {string} powerHit KeyboardEvent.code value of the key to use for power hit or selection
+   * @param {string} downRight KeyboardEvent.code value of the key to use for down and right (Only player 1)
+   */
+  rebind(left, right, up, down, powerHit, downRight = null) {
+    this.unsubscribe();
+    this.leftKey.value = left;
+    this.rightKey.value = right;
+    this.upKey.value = up;
+    this.downKey.value = down;
+    this.powerHitKey.value = powerHit;
+    this.downRightKey.value = downRight;
+    this.powerHitKeyIsDownPrevious = false;
+    this.subscribe();
   }
 
   /**
@@ -116,6 +218,12 @@ class Key {
     this.value = value;
     this.isDown = false;
     this.isUp = true;
+    /**
+     * keydown and keyup events since the last frame, oldest first.
+     * Auto-repeated keydown events are not buffered.
+     * @type {{isDown: boolean, timeStamp: number}[]}
+     */
+    this.bufferedEvents = [];
 
     this.downListener = this.downHandler.bind(this);
     this.upListner = this.upHandler.bind(this);
@@ -128,6 +236,9 @@ class Key {
    */
   downHandler(event) {
     if (event.code === this.value) {
+      if (!event.repeat) {
+        this.bufferedEvents.push({ isDown: true, timeStamp: event.timeStamp });
+      }
       this.isDown = true;
       this.isUp = false;
       event.preventDefault();
@@ -140,12 +251,28 @@ class Key {
    */
   upHandler(event) {
     if (event.code === this.value) {
+      this.bufferedEvents.push({ isDown: false, timeStamp: event.timeStamp });
       this.isDown = false;
       this.isUp = true;
       event.preventDefault();
     }
   }
 
+  /**
+   * Was this key pressed at any moment since the last frame?
+   * @return {boolean}
+   */
+  wasPressedSinceLastFrame() {
+    return this.bufferedEvents.some((bufferedEvent) => bufferedEvent.isDown);
+  }
+
+  /**
+   * Clear the buffered events, called after the input of a frame is read
+   */
+  clearBufferedEvents() {
+    this.bufferedEvents.length = 0;
+  }
+
   /**
    * Subscribe event listeners
    */
@@ -162,5 +289,6 @@ class Key {
     window.removeEventListener('keyup', this.upListner);
     this.isDown = false;
     this.isUp = true;
+    this.clearBufferedEvents();
   }
 }
\ No newline at end of file
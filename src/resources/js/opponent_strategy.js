@@ -0,0 +1,156 @@
+/**
+ * This module contains the strategies of the opponent (the player controlled by computer)
+ * other than the built-in ones in "physics.js" (frozen and the original AI),
+ * so that serves can be practiced against defenders of different strength.
+ *
+ * A strategy is selected at runtime by {@link PikaPhysics#setComputerStrategy}.
+ *
+ * A user-supplied JS module can also be loaded as a strategy.
+ * It assigns the strategy to "module.exports", in the CommonJS style:
+ *
+ *   module.exports = {
+ *     name: 'my receiver',
+ *     // called on each frame: reflect the decision to the userInput (xDirection, yDirection, powerHit)
+ *     decideUserInput(player, ball, theOtherPlayer, userInput) {
+ *       userInput.xDirection = ball.expectedLandingPointX > player.x ? 1 : -1;
+ *     },
+ *     // optional, called before the start of every round
+ *     initializeForNewRound() {},
+ *   };
+ *
+ * If the module throws while playing, the player stands still from then on, as with the frozen strategy,
+ * so that the game goes on.
+ */
+'use strict';
+import { PikaUserInput } from './physics.js';
+import { decodeServeCode, mirrorServeCode } from './serve_code/serve_code.js';
+
+/** @typedef {import('./physics.js').ComputerStrategy} ComputerStrategy */
+/** @typedef {import('./physics.js').PikaPhysics} PikaPhysics */
+/** @typedef {import('./serve_code/serve_code_parser.js').ServeCodeSyntaxError} ServeCodeSyntaxError */
+
+/**
+ * Distance a player moves on a frame, see "processPlayerMovementAndSetPlayerPosition" in "physics.js"
+ * @constant @type {number}
+ */
+const PLAYER_SPEED = 6;
+
+/**
+ * Copy the user input to the user input object given to a strategy
+ * @param {PikaUserInput} from
+ * @param {PikaUserInput} to
+ */
+function copyUserInput(from, to) {
+  to.xDirection = from.xDirection;
+  to.yDirection = from.yDirection;
+  to.powerHit = from.powerHit;
+}
+
+/**
+ * The player always runs to the expected landing point of the ball (ball.expectedLandingPointX),
+ * so that the ball bounces off its head. It never jumps or dives.
+ * @type {ComputerStrategy}
+ */
+export const perfectReceiverStrategy = {
+  name: 'perfectReceiver',
+  isFrozen: false,
+  decideUserInput: (player, ball, theOtherPlayer, userInput) => {
+    copyUserInput(new PikaUserInput(), userInput);
+    const distance = ball.expectedLandingPointX - player.x;
+    if (Math.abs(distance) >= PLAYER_SPEED) {
+      userInput.xDirection = distance > 0 ? 1 : -1;
+    }
+  },
+};
+
+/**
+ * Create a strategy which replays a recorded code frame by frame from the start of every round,
+ * e.g. a receive recorded by the user.
+ * The code is mirrored if it is on the other side of the player controlled by computer.
+ * @param {string} code serve code format ex) "/L5-/UL1-/L20"
+ * @param {number} [defaultPlayerNum] 1 or 2, the side of the code if it can not be told from the code
+ * @return {ComputerStrategy}
+ * @throws {ServeCodeSyntaxError} if the code is malformed
+ */
+export function createReplayStrategy(code, defaultPlayerNum = 1) {
+  const decoded = decodeServeCode(code, defaultPlayerNum);
+  const mirrored = decodeServeCode(
+    mirrorServeCode(code),
+    decoded.playerNum === 1 ? 2 : 1
+  );
+  /** @type {PikaUserInput[][]} inputs for player 1 and player 2 */
+  const inputsOfPlayers =
+    decoded.playerNum === 1
+      ? [decoded.inputs, mirrored.inputs]
+      : [mirrored.inputs, decoded.inputs];
+  // frames played since the start of the round, for player 1 and player 2,
+  // as the strategy can be set on both sides at once
+  const framesOfPlayers = [0, 0];
+  return {
+    name: 'replay',
+    isFrozen: false,
+    decideUserInput: (player, ball, theOtherPlayer, userInput) => {
+      const side = player.isPlayer2 ? 1 : 0;
+      const inputs = inputsOfPlayers[side];
+      const frame = framesOfPlayers[side];
+      copyUserInput(
+        frame < inputs.length ? inputs[frame] : new PikaUserInput(),
+        userInput
+      );
+      framesOfPlayers[side]++;
+    },
+    initializeForNewRound: () => {
+      framesOfPlayers[0] = 0;
+      framesOfPlayers[1] = 0;
+    },
+  };
+}
+
+/**
+ * Load a strategy from the source of a user-supplied JS module (see the top of this file)
+ * @param {string} source
+ * @param {function(Error):void} [onError] called once with the error if the module throws while playing,
+ *                                         after which the strategy is frozen
+ * @return {ComputerStrategy}
+ * @throws {Error} if the module throws or does not export a strategy
+ */
+export function loadStrategyFromSource(source, onError = console.error) {
+  const module = { exports: {} };
+  new Function('module', 'exports', source)(module, module.exports);
+  const exported = module.exports;
+  if (!exported || typeof exported.decideUserInput !== 'function') {
+    throw new Error('The module does not export "decideUserInput" function');
+  }
+  const strategy = {
+    name: exported.name ? String(exported.name) : 'custom',
+    isFrozen: false,
+    decideUserInput: (player, ball, theOtherPlayer, userInput) => {
+      guard(() => {
+        exported.decideUserInput(player, ball, theOtherPlayer, userInput);
+      });
+    },
+  };
+  /**
+   * Call the function of the module, freezing the strategy if it throws
+   * @param {function():void} fn
+   */
+  const guard = (fn) => {
+    if (strategy.isFrozen) {
+      return;
+    }
+    try {
+      fn();
+    } catch (err) {
+      strategy.isFrozen = true;
+      onError(err);
+    }
+  };
+  if (typeof exported.initializeForNewRound === 'function') {
+    strategy.initializeForNewRound = () => {
+      guard(() => {
+        exported.initializeForNewRound();
+      });
+    };
+  }
+  return strategy;
+}
@@ -28,7 +28,6 @@
  */
 'use strict';
 import { rand } from './rand.js';
-import { replaySaver } from './replay/replay_saver.js';
 
 /** @constant @type {number} ground width */
 const GROUND_WIDTH = 432;
@@ -66,6 +65,40 @@ const ActList = [];
  */
 const INFINITE_LOOP_LIMIT = 1000;
 
+/**
+ * Strategy of a player controlled by computer (not in the original game).
+ * It decides the user input of the player on each frame, as {@link letComputerDecideUserInput} does.
+ * Strategies other than the built-in ones are in "opponent_strategy.js".
+ * @typedef ComputerStrategy
+ * @property {string} name
+ * @property {boolean} isFrozen If true, the player stands still and the ball passes through it
+ * @property {function(Player, Ball, Player, PikaUserInput):void} decideUserInput
+ *   called with (player, ball, theOtherPlayer, userInput) and reflects the decision to the userInput
+ * @property {function():void} [initializeForNewRound] called before the start of every round
+ */
+
+/**
+ * The player stands still and the ball passes through it, so a serve is tested without a defender
+ * @type {ComputerStrategy}
+ */
+export const frozenStrategy = {
+  name: 'frozen',
+  isFrozen: true,
+  decideUserInput: () => {},
+};
+
+/**
+ * The reverse-engineered computer AI of the original game
+ * @type {ComputerStrategy}
+ */
+export const originalAIStrategy = {
+  name: 'originalAI',
+  isFrozen: false,
+  decideUserInput: (player, ball, theOtherPlayer, userInput) => {
+    letComputerDecideUserInput(player, ball, theOtherPlayer, userInput);
+  },
+};
+
 /**
  * Class representing a pack of physical objects i.e. players and ball
  * whose physical values are calculated and set by {@link physicsEngine} function
@@ -97,6 +130,15 @@ export class PikaPhysics {
     );
     return isBallTouchingGround;
   }
+
+  /**
+   * Set the strategy of the players controlled by computer
+   * @param {ComputerStrategy} computerStrategy
+   */
+  setComputerStrategy(computerStrategy) {
+    this.player1.computerStrategy = computerStrategy;
+    this.player2.computerStrategy = computerStrategy;
+  }
 }
 
 /**
@@ -135,6 +177,8 @@ class Player {
     this.isPlayer2 = isPlayer2; // 0xA0
     /** @type {boolean} Is controlled by computer? */
     this.isComputer = isComputer; // 0xA4
+    /** @type {ComputerStrategy} strategy used if controlled by computer (not in the original game) */
+    this.computerStrategy = frozenStrategy;
     this.initializeForNewRound();
 
     /** @type {number} -1: left, 0: no diving, 1: right */
@@ -215,6 +259,11 @@ class Player {
      * @type {number} 0, 1, 2, 3 or 4
      */
     this.computerBoldness = rand() % 5; // 0xD8  // initialized to (_rand() % 5)
+
+    // not in the original game
+    if (this.isComputer && this.computerStrategy.initializeForNewRound) {
+      this.computerStrategy.initializeForNewRound();
+    }
   }
 }
 
@@ -268,6 +317,17 @@ class Ball {
       powerHit: false,
       ballTouchesGround: false,
     };
+
+    /**
+     * This property is not in the ball pointer of the original source code.
+     * It tells what the ball bounced off on the last frame,
+     * which is convenient for the serve encoder to annotate the outcome of a serve.
+     * @type {Object.<string, boolean>}
+     */
+    this.bouncedOff = {
+      wall: false,
+      netPillar: false,
+    };
   }
 
   /**
@@ -353,7 +413,7 @@ function physicsEngine(player1, player2, ball, userInputArray) {
       player.x,
       player.y
     );
-    if (isHappened === true && player.isComputer == false) {
+    if (isHappened === true && !isFrozenComputer(player)) {
       if (player.isCollisionWithBallHappened === false) {
         processCollisionBetweenBallAndPlayer(
           ball,
@@ -375,6 +435,18 @@ function physicsEngine(player1, player2, ball, userInputArray) {
   return isBallTouchingGround;
 }
 
+/**
+ * Is the player controlled by computer with a frozen strategy?
+ * A frozen player does not move and the ball passes through it. (not in the original game)
+ * @param {Player} player
+ * @return {boolean}
+ */
+function isFrozenComputer(player) {
+  return (
+    player.isComputer === true && player.computerStrategy.isFrozen === true
+  );
+}
+
 /**
  * FUN_00403070
  * Is collision between ball and player happened?
@@ -409,6 +481,9 @@ function processCollisionBetweenBallAndWorldAndSetBallPosition(ball) {
   ball.previousPreviousY = ball.previousY;
   ball.previousX = ball.x;
   ball.previousY = ball.y;
+  // This is not in the original assembly code either. See the comment on ball.bouncedOff.
+  ball.bouncedOff.wall = false;
+  ball.bouncedOff.netPillar = false;
 
   // "(ball.xVelocity / 2) | 0" is integer division by 2
   let futureFineRotation = ball.fineRotation + ((ball.xVelocity / 2) | 0);
@@ -441,6 +516,7 @@ function processCollisionBetweenBallAndWorldAndSetBallPosition(ball) {
   */
   if (futureBallX < BALL_RADIUS || futureBallX > GROUND_WIDTH) {
     ball.xVelocity = -ball.xVelocity;
+    ball.bouncedOff.wall = true;
   }
 
   let futureBallY = ball.y + ball.yVelocity;
@@ -454,6 +530,7 @@ function processCollisionBetweenBallAndWorldAndSetBallPosition(ball) {
     Math.abs(ball.x - GROUND_HALF_WIDTH) < NET_PILLAR_HALF_WIDTH &&
     ball.y > NET_PILLAR_TOP_TOP_Y_COORD
   ) {
+    ball.bouncedOff.netPillar = true;
     if (ball.y <= NET_PILLAR_TOP_BOTTOM_Y_COORD) {
       if (ball.yVelocity > 0) {
         ball.yVelocity = -ball.yVelocity;
@@ -505,8 +582,13 @@ function processPlayerMovementAndSetPlayerPosition(
   theOtherPlayer,
   ball
 ) {
-  if (player.isComputer === true) {
-    letComputerDecideUserInput(player, ball, theOtherPlayer, userInput);
+  if (player.isComputer === true && !isFrozenComputer(player)) {
+    player.computerStrategy.decideUserInput(
+      player,
+      ball,
+      theOtherPlayer,
+      userInput
+    );
   }
 
   // if player is lying down.. don't move
@@ -520,7 +602,7 @@ function processPlayerMovementAndSetPlayerPosition(
 
   // process x-direction movement
   let playerVelocityX = 0;
-  if (player.state < 5 && !player.isComputer) {
+  if (player.state < 5 && !isFrozenComputer(player)) {
     if (player.state < 3) {
       playerVelocityX = userInput.xDirection * 6;
     } else {
@@ -555,7 +637,7 @@ function processPlayerMovementAndSetPlayerPosition(
     userInput.yDirection === -1 && // up-direction input
     player.y === PLAYER_TOUCHING_GROUND_Y_COORD // player is touching on the ground
   ) {
-    if (!player.isComputer) {
+    if (!isFrozenComputer(player)) {
       player.yVelocity = -16;
       player.state = 1;
       player.frameNumber = 0;
@@ -570,8 +652,9 @@ function processPlayerMovementAndSetPlayerPosition(
   player.y = futurePlayerY;
   if (futurePlayerY < PLAYER_TOUCHING_GROUND_Y_COORD) {
     player.yVelocity += 1;
-  } else if (futurePlayerY > PLAYER_TOUCHING_GROUND_Y_COORD && !player.isComputer) {
+  } else if (futurePlayerY > PLAYER_TOUCHING_GROUND_Y_COORD) {
     // if player is landing..
+    // (a player frozen in the air lands too, so it does not fall through the ground)
     player.yVelocity = 0;
     player.y = PLAYER_TOUCHING_GROUND_Y_COORD;
     player.frameNumber = 0;
@@ -597,7 +680,11 @@ function processPlayerMovementAndSetPlayerPosition(
       // refer to a detailed comment above about this function
       // maybe-sound function (playerpointer + 0x90 + 0x14)? omitted
       player.sound.pika = true;
-    } else if (player.state === 0 && userInput.xDirection !== 0 && !player.isComputer) {
+    } else if (
+      player.state === 0 &&
+      userInput.xDirection !== 0 &&
+      !isFrozenComputer(player)
+    ) {
       // then player do diving!
       player.state = 3;
       player.frameNumber = 0;
@@ -703,7 +790,6 @@ function processCollisionBetweenBallAndPlayer(
   // If ball velocity x is 0, randomly choose one of -1, 0, 1.
   if (ball.xVelocity === 0) {
     ball.xVelocity = (rand() % 3) - 1;
-    console.log(replaySaver.roomID);
   }
 
   const ballAbsYVelocity = Math.abs(ball.yVelocity);
@@ -809,7 +895,97 @@ function calculateExpectedLandingPointXFor(ball) {
  * @param {PikaUserInput} userInput user input of the player whom computer controls
  */
 function letComputerDecideUserInput(player, ball, theOtherPlayer, userInput) {
-  
+  userInput.xDirection = 0;
+  userInput.yDirection = 0;
+  userInput.powerHit = 0;
+
+  let virtualExpectedLandingPointX = ball.expectedLandingPointX;
+  if (
+    Math.abs(ball.x - player.x) > 100 &&
+    Math.abs(ball.xVelocity) < player.computerBoldness + 5
+  ) {
+    const leftBoundary = Number(player.isPlayer2) * GROUND_HALF_WIDTH;
+    if (
+      (ball.expectedLandingPointX <= leftBoundary ||
+        ball.expectedLandingPointX >=
+          Number(player.isPlayer2) * GROUND_WIDTH + GROUND_HALF_WIDTH) &&
+      player.computerWhereToStandBy === 0
+    ) {
+      // If conditions above met, the computer estimates the proper location to stay as the middle point of their side
+      virtualExpectedLandingPointX =
+        leftBoundary + ((GROUND_HALF_WIDTH / 2) | 0);
+    }
+  }
+
+  if (
+    Math.abs(virtualExpectedLandingPointX - player.x) >
+    player.computerBoldness + 8
+  ) {
+    if (player.x < virtualExpectedLandingPointX) {
+      userInput.xDirection = 1;
+    } else {
+      userInput.xDirection = -1;
+    }
+  } else if (rand() % 20 === 0) {
+    player.computerWhereToStandBy = rand() % 2;
+  }
+
+  if (player.state === 0) {
+    if (
+      Math.abs(ball.xVelocity) < player.computerBoldness + 3 &&
+      Math.abs(ball.x - player.x) < PLAYER_HALF_LENGTH &&
+      ball.y > -36 &&
+      ball.y < 10 * player.computerBoldness + 84 &&
+      ball.yVelocity > 0
+    ) {
+      userInput.yDirection = -1;
+    }
+
+    const leftBoundary = Number(player.isPlayer2) * GROUND_HALF_WIDTH;
+    const rightBoundary = (Number(player.isPlayer2) + 1) * GROUND_HALF_WIDTH;
+    if (
+      ball.expectedLandingPointX > leftBoundary &&
+      ball.expectedLandingPointX < rightBoundary &&
+      Math.abs(ball.x - player.x) >
+        player.computerBoldness * 5 + PLAYER_LENGTH &&
+      ball.x > leftBoundary &&
+      ball.x < rightBoundary &&
+      ball.y > 174
+    ) {
+      // If conditions above met, the computer decides to dive!
+      userInput.powerHit = 1;
+      if (player.x < ball.x) {
+        userInput.xDirection = 1;
+      } else {
+        userInput.xDirection = -1;
+      }
+    }
+  } else if (player.state === 1 || player.state === 2) {
+    if (Math.abs(ball.x - player.x) > 8) {
+      if (player.x < ball.x) {
+        userInput.xDirection = 1;
+      } else {
+        userInput.xDirection = -1;
+      }
+    }
+    if (Math.abs(ball.x - player.x) < 48 && Math.abs(ball.y - player.y) < 48) {
+      const willInputPowerHit = decideWhetherInputPowerHit(
+        player,
+        ball,
+        theOtherPlayer,
+        userInput
+      );
+      if (willInputPowerHit === true) {
+        userInput.powerHit = 1;
+        if (
+          Math.abs(theOtherPlayer.x - player.x) < 80 &&
+          userInput.yDirection !== -1
+        ) {
+          userInput.yDirection = -1;
+        }
+      }
+    }
+  }
 }
 
 /**
@@ -824,6 +1000,49 @@ function letComputerDecideUserInput(player, ball, theOtherPlayer, userInput) {
  * @return {boolean} Will input power hit?
  */
 function decideWhetherInputPowerHit(player, ball, theOtherPlayer, userInput) {
+  if (rand() % 2 === 0) {
+    for (let xDirection = 1; xDirection > -1; xDirection--) {
+      for (let yDirection = -1; yDirection < 2; yDirection++) {
+        const expectedLandingPointX = expectedLandingPointXWhenPowerHit(
+          xDirection,
+          yDirection,
+          ball
+        );
+        if (
+          (expectedLandingPointX <=
+            Number(player.isPlayer2) * GROUND_HALF_WIDTH ||
+            expectedLandingPointX >=
+              Number(player.isPlayer2) * GROUND_WIDTH + GROUND_HALF_WIDTH) &&
+          Math.abs(expectedLandingPointX - theOtherPlayer.x) > PLAYER_LENGTH
+        ) {
+          userInput.xDirection = xDirection;
+          userInput.yDirection = yDirection;
+          return true;
+        }
+      }
+    }
+  } else {
+    for (let xDirection = 1; xDirection > -1; xDirection--) {
+      for (let yDirection = 1; yDirection > -2; yDirection--) {
+        const expectedLandingPointX = expectedLandingPointXWhenPowerHit(
+          xDirection,
+          yDirection,
+          ball
+        );
+        if (
+          (expectedLandingPointX <=
+            Number(player.isPlayer2) * GROUND_HALF_WIDTH ||
+            expectedLandingPointX >=
+              Number(player.isPlayer2) * GROUND_WIDTH + GROUND_HALF_WIDTH) &&
+          Math.abs(expectedLandingPointX - theOtherPlayer.x) > PLAYER_LENGTH
+        ) {
+          userInput.xDirection = xDirection;
+          userInput.yDirection = yDirection;
+          return true;
+        }
+      }
+    }
+  }
   return false;
 }
 
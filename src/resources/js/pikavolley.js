@@ -2,17 +2,48 @@
  * The Controller part in MVC pattern
  */
 'use strict';
-import { GROUND_HALF_WIDTH, PikaPhysics} from './physics.js';
+import { GROUND_HALF_WIDTH, PikaPhysics } from './physics.js';
 import { MenuView, GameView, FadeInOut, IntroView } from './view.js';
-import { PikaKeyboard } from './keyboard.js';
+import { PikaKeyboard, PikaHeldKeys } from './keyboard.js';
+import { createDefaultKeyBindings } from './key_bindings.js';
+import { PikaGamepad, assignGamepads } from './gamepad.js';
 import { PikaAudio } from './audio.js';
 import { PikaUserInput } from './physics.js';
 import { replaySaver } from './replay/replay_saver.js';
-import { true_rand, setCustomRng, rand } from './rand.js';
+import { true_rand, setCustomRng } from './rand.js';
 import seedrandom from 'seedrandom';
+import {
+  encodeServeCode,
+  decodeServeCode,
+  encodeExtendedServeCode,
+  encodeReadySection,
+} from './serve_code/serve_code.js';
+import { convertUserInputToHeldKeys } from './utils/input_conversion.js';
+import { serveHistory } from './serve_code/serve_history.js';
+import { ServeOutcomeRecorder } from './serve_code/serve_outcome.js';
+import { ServeGhost } from './serve_code/serve_ghost.js';
+import { encodeRally } from './serve_code/rally_code.js';
+import {
+  DEFAULT_ENCODING_BOUNDARIES,
+  encodeTrimmedServeCode,
+} from './serve_code/serve_boundaries.js';
+import {
+  showServeHistory,
+  showServeOutcome,
+  showReceiveRecord,
+  showRally,
+  showTrimmedServeCode,
+  showBufferedFrames,
+  showExtendedServeCode,
+} from './serve_code/ui_serve_code.js';
 
 /** @typedef {import('@pixi/display').Container} Container */
 /** @typedef {import('@pixi/loaders').LoaderResource} LoaderResource */
+/** @typedef {import('./serve_code/serve_code_parser.js').ServeCodeSyntaxError} ServeCodeSyntaxError */
+/** @typedef {import('./serve_code/receive_practice.js').ReceivePractice} ReceivePractice */
+/** @typedef {import('./physics.js').ComputerStrategy} ComputerStrategy */
+/** @typedef {import('./serve_code/rally_code.js').EncodedRally} EncodedRally */
+/** @typedef {import('./serve_code/serve_boundaries.js').EncodingBoundaries} EncodingBoundaries */
 
 /** @typedef GameState @type {function():void} */
 
@@ -40,20 +71,24 @@ export class PikachuVolleyball {
     this.view.menu.visible = false;
     this.view.game.visible = false;
     this.view.fadeInOut.visible = false;
-    this.willSaveReplay = true
+    this.willSaveReplay = true;
 
     this.audio = new PikaAudio(resources);
     this.physics = new PikaPhysics(true, true);
-    this.keyboardArray = [
-      new PikaKeyboard('KeyD', 'KeyG', 'KeyR', 'KeyV', 'KeyZ', 'KeyF', ), // for player1
-      new PikaKeyboard( // for player2
-        'ArrowLeft',
-        'ArrowRight',
-        'ArrowUp',
-        'ArrowDown',
-        'Enter'
-      ),
-    ];
+    // [0] for player1, [1] for player2. They can be rebound by the key binding profiles (see "key_bindings.js")
+    this.keyboardArray = createDefaultKeyBindings().map(
+      (binding) =>
+        new PikaKeyboard(
+          binding.left,
+          binding.right,
+          binding.up,
+          binding.down,
+          binding.powerHit,
+          binding.downRight
+        )
+    );
+    // [0] for player1, [1] for player2. The input of each gamepad is merged into the keyboard of the same player.
+    this.gamepadArray = [new PikaGamepad(), new PikaGamepad()];
 
     /** @type {number} game fps */
     this.normalFPS = 25;
@@ -111,6 +146,89 @@ export class PikachuVolleyball {
     /** @type {boolean} true: practice mode on, false: practice mode off */
     this._isPracticeMode = false;
 
+    /**
+     * Serve code being played in place of the keyboard, null if no serve code is being played
+     * @type {{playerNum: number, inputs: PikaUserInput[], frame: number}}
+     */
+    this.serveCodePlayback = null;
+
+    /**
+     * Recorder of the outcome of the serve being encoded
+     * @type {ServeOutcomeRecorder}
+     */
+    this.serveOutcomeRecorder = null;
+
+    /**
+     * Ghost of the reference serve drawn during rounds, null if it is off
+     * @type {ServeGhost}
+     */
+    this.serveGhost = null;
+
+    /**
+     * Receive practice being run, null if it is off.
+     * While it is on, the player controlled by computer serves every round.
+     * @type {ReceivePractice}
+     */
+    this.receivePractice = null;
+
+    /**
+     * Strategy of the player controlled by computer before the receive practice started
+     * @type {ComputerStrategy}
+     */
+    this.strategyBeforeReceivePractice = null;
+
+    /**
+     * Strategy which serves in the next round of the receive practice, null if it is off.
+     * It is picked before the round and recorded in the replay, as the serves can be picked at random.
+     * @type {ComputerStrategy}
+     */
+    this.practiceServeStrategy = null;
+
+    /**
+     * User inputs of both players on each frame of the rally being played,
+     * [0] for player 1 and [1] for player 2
+     * @type {PikaUserInput[][]}
+     */
+    this.rallyInputs = [[], []];
+
+    /**
+     * Frames of the rally being played on which the input of the human player
+     * was changed by the keyboard input buffering, i.e. a key tapped between two frames was caught
+     * @type {number[]}
+     */
+    this.bufferedFrames = [];
+
+    /**
+     * Keys held down by the human player on each frame of the rally being played, as many as ActList
+     * @type {PikaHeldKeys[]}
+     */
+    this.heldKeysList = [];
+
+    /**
+     * User inputs of the human player on each frame before the round being played,
+     * during the "Ready?" message (or the game start message) and the fade in
+     * @type {PikaUserInput[]}
+     */
+    this.readyInputs = [];
+
+    /**
+     * Keys held down by the human player on each frame before the round being played, as many as readyInputs
+     * @type {PikaHeldKeys[]}
+     */
+    this.readyHeldKeysList = [];
+
+    /**
+     * The last rally encoded with the inputs of both players, null if no rally has been played
+     * @type {EncodedRally}
+     */
+    this.lastRally = null;
+
+    /**
+     * Boundaries of the trimmed serve code shown under the untrimmed one on the code viewer
+     * @type {EncodingBoundaries}
+     */
+    this.encodingBoundaries = Object.assign({}, DEFAULT_ENCODING_BOUNDARIES);
+
     /**
      * The game state which is being rendered now
      * @type {GameState}
@@ -129,6 +247,19 @@ export class PikachuVolleyball {
     // catch keyboard input and freeze it
     this.keyboardArray[0].getInput();
     this.keyboardArray[1].getInput();
+    // catch gamepad input, picking up the gamepads plugged in or out since the last frame
+    assignGamepads(this.gamepadArray);
+    for (let i = 0; i < 2; i++) {
+      this.gamepadArray[i].getInput();
+      this.gamepadArray[i].mergeInto(this.keyboardArray[i]);
+    }
+    // the serve code being played takes the place of the keyboards before the inputs are recorded,
+    // so that the replay has the inputs which were played
+    const isServeCodePlayed =
+      this.serveCodePlayback !== null && this.state === this.round;
+    if (isServeCodePlayed) {
+      this.playServeCodeFrame();
+    }
     const player1Input = new PikaUserInput();
     const player2Input = new PikaUserInput();
     player1Input.xDirection = this.keyboardArray[0].xDirection;
@@ -137,13 +268,19 @@ export class PikachuVolleyball {
     player2Input.xDirection = this.keyboardArray[1].xDirection;
     player2Input.yDirection = this.keyboardArray[1].yDirection;
     player2Input.powerHit = this.keyboardArray[1].powerHit;
-    
-    replaySaver.recordInputs(player1Input, player2Input);
+
+    replaySaver.recordInputs(
+      player1Input,
+      player2Input,
+      isServeCodePlayed ? null : this.keyboardArray[0].heldKeys,
+      isServeCodePlayed ? null : this.keyboardArray[1].heldKeys
+    );
     if (this.slowMotionFramesLeft > 0) {
       this.slowMotionNumOfSkippedFrames++;
       if (
         this.slowMotionNumOfSkippedFrames %
-          Math.round(this.normalFPS / this.slowMotionFPS) !== 0
+          Math.round(this.normalFPS / this.slowMotionFPS) !==
+        0
       ) {
         return;
       }
@@ -153,8 +290,6 @@ export class PikachuVolleyball {
     this.state();
   }
 
-  
-
   /**
    * Intro: a man with a brief case
    * @type {GameState}
@@ -323,12 +458,17 @@ export class PikachuVolleyball {
       } else {
         this.physics.ball.x = 56;
       }
+      if (this.practiceServeStrategy !== null) {
+        this.serveForReceivePractice();
+      }
       this.view.game.drawPlayersAndBall(this.physics);
+      this.resetServeGhost();
 
       this.view.fadeInOut.setBlackAlphaTo(1); // set black screen
       this.audio.sounds.bgm.play();
     }
 
+    this.recordReadyFrame();
     this.view.game.drawGameStartMessage(
       this.frameCounter,
       this.frameTotal.startOfNewGame
@@ -388,6 +528,7 @@ export class PikachuVolleyball {
     player2Input.xDirection = this.keyboardArray[1].xDirection;
     player2Input.yDirection = this.keyboardArray[1].yDirection;
     player2Input.powerHit = this.keyboardArray[1].powerHit;
+    const playerNum = this.physics.player1.isComputer ? 2 : 1;
     if (this.physics.player1.isComputer) {
       ActList.push(player2Input);
     } else {
@@ -397,24 +538,104 @@ export class PikachuVolleyball {
     const isBallTouchingGround = this.physics.runEngineForNextFrame(
       this.keyboardArray
     );
-    
+    const frame = ActList.length - 1;
+    if (frame === 0) {
+      // in the receive practice, the outcome is recorded on the side of the serving computer
+      this.serveOutcomeRecorder = new ServeOutcomeRecorder(
+        this.receivePractice !== null ? (playerNum === 1 ? 2 : 1) : playerNum
+      );
+      this.rallyInputs = [[], []];
+      this.bufferedFrames = [];
+      this.heldKeysList = [];
+    }
+    if (
+      this.serveCodePlayback === null &&
+      this.getHumanKeyboards().some((keyboard) => keyboard.isChangedByBuffering)
+    ) {
+      this.bufferedFrames.push(frame);
+    }
+    if (this.serveCodePlayback !== null) {
+      this.heldKeysList.push(convertUserInputToHeldKeys(ActList[frame]));
+    } else {
+      this.heldKeysList.push(this.getHumanHeldKeys());
+    }
+    // both sides are recorded after the engine has run,
+    // so that the decisions of the player controlled by computer are included
+    for (let i = 0; i < 2; i++) {
+      const player = this.physics[`player${i + 1}`];
+      const rallyInput = new PikaUserInput();
+      if (!(player.isComputer && player.computerStrategy.isFrozen)) {
+        rallyInput.xDirection = this.keyboardArray[i].xDirection;
+        rallyInput.yDirection = this.keyboardArray[i].yDirection;
+        rallyInput.powerHit = this.keyboardArray[i].powerHit;
+      }
+      this.rallyInputs[i].push(rallyInput);
+    }
+    this.serveOutcomeRecorder.recordFrame(
+      this.physics,
+      frame,
+      isBallTouchingGround
+    );
 
     if (isBallTouchingGround) {
-        let CodeOutput = [];
-        if (this.physics.player1.isComputer) {
-          console.log(ActList);
-          CodeOutput = encodeActList(ActList, 2);
-        } else {
-          console.log(ActList);
-          CodeOutput = encodeActList(ActList, 1);
+      const readySection = encodeReadySection(
+        this.readyInputs,
+        this.readyHeldKeysList,
+        playerNum
+      );
+      const MsgOutput = readySection + encodeServeCode(ActList, playerNum);
+      const outcome = this.serveOutcomeRecorder.outcome;
+      logToNotepad(MsgOutput);
+      this.lastRally = encodeRally(
+        this.rallyInputs[0],
+        this.rallyInputs[1],
+        outcome.contacts
+      );
+      showRally(this.lastRally);
+      showBufferedFrames(this.bufferedFrames);
+      showExtendedServeCode(
+        readySection +
+          encodeExtendedServeCode(ActList, this.heldKeysList, playerNum),
+        MsgOutput
+      );
+      if (this.receivePractice !== null) {
+        // the code is the receive of the human player, not a serve
+        showReceiveRecord(
+          this.receivePractice.recordReceive(MsgOutput, outcome),
+          this.receivePractice
+        );
+        this.pickServeForReceivePractice();
+        showTrimmedServeCode(null);
+      } else {
+        showServeOutcome(outcome);
+        showTrimmedServeCode(
+          encodeTrimmedServeCode(ActList, outcome, this.encodingBoundaries)
+        );
+        if (MsgOutput !== '') {
+          serveHistory.add(
+            MsgOutput,
+            playerNum,
+            this.normalFPS,
+            this.scores,
+            replaySaver.roomID,
+            outcome
+          );
+          showServeHistory();
         }
-        let MsgOutput = concatListAsString(CodeOutput);
-        logToNotepad(MsgOutput.slice(1));
-        ActList.length = 0;
+      }
+      ActList.length = 0;
+      this.serveCodePlayback = null;
     }
 
     this.playSoundEffect();
     this.view.game.drawPlayersAndBall(this.physics);
+    if (this.serveGhost !== null) {
+      this.serveGhost.step();
+      this.view.game.drawGhost(
+        this.serveGhost.physics,
+        this.serveGhost.playerNum
+      );
+    }
     this.view.game.drawCloudsAndWave();
 
     if (this.gameEnded === true) {
@@ -466,7 +687,7 @@ export class PikachuVolleyball {
     if (this.roundEnded === true && this.gameEnded === false) {
       // if this is the last frame of this round, begin fade out
       if (this.slowMotionFramesLeft === 0) {
-        this.view.fadeInOut.changeBlackAlphaBy(1 /16); // fade out
+        this.view.fadeInOut.changeBlackAlphaBy(1 / 16); // fade out
         this.state = this.afterEndOfRound;
       }
     }
@@ -477,15 +698,15 @@ export class PikachuVolleyball {
    * @type {GameState}
    */
   afterEndOfRound() {
-    this.view.fadeInOut.changeBlackAlphaBy(1 /16);
+    this.view.fadeInOut.changeBlackAlphaBy(1 / 16);
     this.frameCounter++;
-    
+
     if (this.frameCounter >= this.frameTotal.afterEndOfRound) {
       this.frameCounter = 0;
       this.state = this.beforeStartOfNextRound;
     }
   }
-  
+
   /**
    * Before start of next round, initialize ball and players, and print ready message
    * @type {GameState}
@@ -503,11 +724,16 @@ export class PikachuVolleyball {
       } else {
         this.physics.ball.x = 56;
       }
+      if (this.practiceServeStrategy !== null) {
+        this.serveForReceivePractice();
+      }
       this.view.game.drawPlayersAndBall(this.physics);
+      this.resetServeGhost();
     }
 
+    this.recordReadyFrame();
     this.view.game.drawCloudsAndWave();
-    this.view.fadeInOut.changeBlackAlphaBy(-(1 /16));
+    this.view.fadeInOut.changeBlackAlphaBy(-(1 / 16));
 
     this.frameCounter++;
     if (this.frameCounter % 5 === 0) {
@@ -524,6 +750,60 @@ export class PikachuVolleyball {
     }
   }
 
+  /**
+   * Record the input of the human player on a frame before the round
+   * for the ready section of the serve code.
+   * It is called on each frame of {@link startOfNewGame} and {@link beforeStartOfNextRound}.
+   */
+  recordReadyFrame() {
+    if (this.frameCounter === 0) {
+      this.readyInputs = [];
+      this.readyHeldKeysList = [];
+    }
+    const readyInput = new PikaUserInput();
+    if (this.serveCodePlayback !== null) {
+      // the played code starts from the round, so nothing is held before it
+      this.readyInputs.push(readyInput);
+      this.readyHeldKeysList.push(new PikaHeldKeys());
+      return;
+    }
+    for (const keyboard of this.getHumanKeyboards()) {
+      readyInput.xDirection = readyInput.xDirection || keyboard.xDirection;
+      readyInput.yDirection = readyInput.yDirection || keyboard.yDirection;
+      readyInput.powerHit = readyInput.powerHit || keyboard.powerHit;
+    }
+    this.readyInputs.push(readyInput);
+    this.readyHeldKeysList.push(this.getHumanHeldKeys());
+  }
+
+  /**
+   * Get the keyboards controlling the human player whose inputs are encoded.
+   * If a player is controlled by computer, both keyboards control the human player.
+   * @return {PikaKeyboard[]}
+   */
+  getHumanKeyboards() {
+    if (this.physics.player1.isComputer || this.physics.player2.isComputer) {
+      return this.keyboardArray;
+    }
+    return [this.keyboardArray[0]];
+  }
+
+  /**
+   * Get the keys held down on the keyboards controlling the human player
+   * @return {PikaHeldKeys}
+   */
+  getHumanHeldKeys() {
+    const heldKeys = new PikaHeldKeys();
+    for (const keyboard of this.getHumanKeyboards()) {
+      heldKeys.left = heldKeys.left || keyboard.heldKeys.left;
+      heldKeys.right = heldKeys.right || keyboard.heldKeys.right;
+      heldKeys.up = heldKeys.up || keyboard.heldKeys.up;
+      heldKeys.down = heldKeys.down || keyboard.heldKeys.down;
+      heldKeys.powerHit = heldKeys.powerHit || keyboard.heldKeys.powerHit;
+    }
+    return heldKeys;
+  }
+
   /**
    * Play sound effect on {@link round}
    */
@@ -580,6 +860,8 @@ export class PikachuVolleyball {
     this.view.menu.visible = false;
     this.view.game.visible = false;
     ActList.length = 0;
+    this.serveCodePlayback = null;
+    this.stopReceivePractice();
     this.state = this.intro;
     const roomId = 'uzaramen' + true_rand();
     replaySaver.recordRoomID(roomId);
@@ -587,6 +869,200 @@ export class PikachuVolleyball {
     setCustomRng(customRng);
   }
 
+  /**
+   * Play the serve code from the start of the next round.
+   * The decoded inputs are fed into the physics engine in place of the keyboard
+   * so that the serve is reproduced on the screen.
+   * If a game is not being played, a new game is started.
+   * @param {string} code serve code as it is shown on the code viewer
+   * @param {number} defaultPlayerNum 1 or 2, the side used if it can not be told from the code
+   * @param {string} [roomID] if given, the RNG is seeded again with this room ID, ex) "uzaramen12345",
+   *                          and a new game is started with a new replay record,
+   *                          as the frames recorded so far were played with the RNG before
+   */
+  playServeCode(code, defaultPlayerNum, roomID) {
+    const decoded = decodeServeCode(code, defaultPlayerNum);
+    if (roomID) {
+      replaySaver.cleanRecord();
+      replaySaver.recordRoomID(roomID);
+      setCustomRng(seedrandom.alea(roomID.slice(8)));
+    }
+    this.stopReceivePractice();
+    this.serveCodePlayback = {
+      playerNum: decoded.playerNum,
+      inputs: decoded.inputs,
+      frame: 0,
+    };
+    this.physics.player1.isComputer = decoded.playerNum === 2;
+    this.physics.player2.isComputer = decoded.playerNum === 1;
+    this.goToNextRound(Boolean(roomID));
+  }
+
+  /**
+   * Put the input of the serve code being played on this frame in place of the keyboards.
+   * The keyboard on the other side is released, since the player controlled by computer
+   * there decides its own input and the keys pressed on it should not reach the serving player.
+   * It is called by {@link gameLoop} on the frames of {@link round}.
+   */
+  playServeCodeFrame() {
+    const playback = this.serveCodePlayback;
+    const playedInput =
+      playback.frame < playback.inputs.length
+        ? playback.inputs[playback.frame]
+        : new PikaUserInput();
+    playback.frame++;
+    for (let i = 0; i < 2; i++) {
+      const input =
+        i === playback.playerNum - 1 ? playedInput : new PikaUserInput();
+      this.keyboardArray[i].xDirection = input.xDirection;
+      this.keyboardArray[i].yDirection = input.yDirection;
+      this.keyboardArray[i].powerHit = input.powerHit;
+    }
+  }
+
+  /**
+   * Go to the start of the next round right away.
+   * If a game is not being played, a new game is started.
+   * @param {boolean} [startsNewGame] start a new game even if a game is being played
+   */
+  goToNextRound(startsNewGame = false) {
+    this.gameEnded = false;
+    this.physics.player1.gameEnded = false;
+    this.physics.player1.isWinner = false;
+    this.physics.player2.gameEnded = false;
+    this.physics.player2.isWinner = false;
+    this.slowMotionFramesLeft = 0;
+    this.slowMotionNumOfSkippedFrames = 0;
+    this.frameCounter = 0;
+    ActList.length = 0;
+    replaySaver.recordOptions({
+      nextRound: {
+        startsNewGame: startsNewGame,
+        isPlayer1Computer: this.physics.player1.isComputer,
+        isPlayer2Computer: this.physics.player2.isComputer,
+      },
+    });
+    if (this.isGamePlaying && !startsNewGame) {
+      this.state = this.beforeStartOfNextRound;
+    } else {
+      this.view.intro.visible = false;
+      this.view.menu.visible = false;
+      this.state = this.startOfNewGame;
+    }
+  }
+
+  /**
+   * Set the reference serve acted out by the ghost from the start of each round
+   * @param {string} code reference serve code, null to turn off the ghost
+   * @throws {ServeCodeSyntaxError} if the code is malformed
+   */
+  setServeGhost(code) {
+    if (code === null) {
+      this.serveGhost = null;
+      this.view.game.ghostVisible = false;
+      return;
+    }
+    const playerNum = this.physics.player1.isComputer ? 2 : 1;
+    this.serveGhost = new ServeGhost(code, playerNum);
+    this.view.game.drawGhost(
+      this.serveGhost.physics,
+      this.serveGhost.playerNum
+    );
+    this.view.game.ghostVisible = true;
+  }
+
+  /**
+   * Put the ghost back to the round start, on the side of the serving player
+   */
+  resetServeGhost() {
+    if (this.serveGhost === null) {
+      return;
+    }
+    const playerNum = this.physics.player1.isComputer ? 2 : 1;
+    if (this.serveGhost.playerNum !== playerNum) {
+      this.serveGhost = new ServeGhost(this.serveGhost.code, playerNum);
+    } else {
+      this.serveGhost.reset();
+    }
+    this.view.game.drawGhost(
+      this.serveGhost.physics,
+      this.serveGhost.playerNum
+    );
+  }
+
+  /**
+   * Start the receive practice from the next round:
+   * the player controlled by computer serves every round while the human player defends.
+   * The human player stays on its side. If a game is not being played, a new game is started.
+   * @param {ReceivePractice} practice
+   */
+  startReceivePractice(practice) {
+    const humanPlayerNum = this.physics.player1.isComputer ? 2 : 1;
+    if (this.receivePractice === null) {
+      this.strategyBeforeReceivePractice =
+        this.physics.player1.computerStrategy;
+    }
+    this.receivePractice = practice;
+    this.pickServeForReceivePractice();
+    this.serveCodePlayback = null;
+    this.physics.player1.isComputer = humanPlayerNum === 2;
+    this.physics.player2.isComputer = humanPlayerNum === 1;
+    this.goToNextRound();
+  }
+
+  /**
+   * Stop the receive practice and set the strategy of the player controlled by computer back
+   */
+  stopReceivePractice() {
+    if (this.receivePractice === null) {
+      return;
+    }
+    this.receivePractice = null;
+    this.practiceServeStrategy = null;
+    this.physics.setComputerStrategy(this.strategyBeforeReceivePractice);
+    this.strategyBeforeReceivePractice = null;
+    replaySaver.recordOptions({ practiceServe: null });
+  }
+
+  /**
+   * Pick the serve of the next round of the receive practice and record it in the replay
+   */
+  pickServeForReceivePractice() {
+    this.practiceServeStrategy = this.receivePractice.nextServe();
+    const serve = this.receivePractice.currentServe;
+    replaySaver.recordOptions({
+      practiceServe: { code: serve.code, playerNum: serve.playerNum },
+    });
+  }
+
+  /**
+   * Let the player controlled by computer serve the serve picked for the receive practice,
+   * with the ball on its side
+   */
+  serveForReceivePractice() {
+    // it may have played on since it was picked, while the last round was ending
+    this.practiceServeStrategy.initializeForNewRound();
+    this.physics.setComputerStrategy(this.practiceServeStrategy);
+    if (this.physics.player1.isComputer) {
+      this.physics.ball.x = 56;
+    } else {
+      this.physics.ball.x = 376;
+    }
+  }
+
+  /**
+   * Is a game being played? (not on the intro or the menu)
+   * @type {boolean}
+   */
+  get isGamePlaying() {
+    return (
+      this.state === this.startOfNewGame ||
+      this.state === this.round ||
+      this.state === this.afterEndOfRound ||
+      this.state === this.beforeStartOfNextRound
+    );
+  }
+
   /** @return {boolean} */
   get isPracticeMode() {
     return this._isPracticeMode;
@@ -604,97 +1080,6 @@ export class PikachuVolleyball {
 
 const ActList = [];
 
-/**
- * @param {PikaUserInput} userInput 
- */
-function encodeUserInput(userInput, playerNum) {
-  if (playerNum == 1) {
-    if (userInput.powerHit == 1) {
-      if (userInput.xDirection == -1 && userInput.yDirection == -1) {
-        return "-ULH/";
-      } else if (userInput.xDirection == -1 && userInput.yDirection == 0) {
-        return "-LH/";
-      } else if (userInput.xDirection == -1 && userInput.yDirection == 1) {
-        return "-DLH/";
-      } else if (userInput.xDirection == 0 && userInput.yDirection == -1) {
-        return "-UH/";
-      } else if (userInput.xDirection == 0 && userInput.yDirection == 0) {
-        return "-H/";
-      } else if (userInput.xDirection == 0 && userInput.yDirection == 1) {
-        return "-DH/";
-      } else if (userInput.xDirection == 1 && userInput.yDirection == -1) {
-        return "-URH/";
-      } else if (userInput.xDirection == 1 && userInput.yDirection == 0) {
-        return "-RH/";
-      } else if (userInput.xDirection == 1 && userInput.yDirection == 1) {
-        return "-DRH/";
-      } 
-    } else if (userInput.powerHit == 0) {
-      if (userInput.xDirection == -1 && userInput.yDirection == -1) {
-        return "-UL/";
-      } else if (userInput.xDirection == -1 && userInput.yDirection == 0) {
-        return "-L/";
-      } else if (userInput.xDirection == -1 && userInput.yDirection == 1) {
-        return "-DL/";
-      } else if (userInput.xDirection == 0 && userInput.yDirection == -1) {
-        return "-U/";
-      } else if (userInput.xDirection == 0 && userInput.yDirection == 0) {
-        return "-/";
-      } else if (userInput.xDirection == 0 && userInput.yDirection == 1) {
-        return "-D/";
-      } else if (userInput.xDirection == 1 && userInput.yDirection == -1) {
-        return "-UR/";
-      } else if (userInput.xDirection == 1 && userInput.yDirection == 0) {
-        return "-R/";
-      } else if (userInput.xDirection == 1 && userInput.yDirection == 1) {
-        return "-DR/";
-      } 
-    } 
-  } else {
-    if (userInput.powerHit == 1) {
-      if (userInput.xDirection == -1 && userInput.yDirection == -1) {
-        return "-/ULH";
-      } else if (userInput.xDirection == -1 && userInput.yDirection == 0) {
-        return "-/LH";
-      } else if (userInput.xDirection == -1 && userInput.yDirection == 1) {
-        return "-/DLH";
-      } else if (userInput.xDirection == 0 && userInput.yDirection == -1) {
-        return "-/UH";
-      } else if (userInput.xDirection == 0 && userInput.yDirection == 0) {
-        return "-/H";
-      } else if (userInput.xDirection == 0 && userInput.yDirection == 1) {
-        return "-/DH";
-      } else if (userInput.xDirection == 1 && userInput.yDirection == -1) {
-        return "-/URH";
-      } else if (userInput.xDirection == 1 && userInput.yDirection == 0) {
-        return "-/RH";
-      } else if (userInput.xDirection == 1 && userInput.yDirection == 1) {
-        return "-/DRH";
-      } 
-    } else if (userInput.powerHit == 0) {
-      if (userInput.xDirection == -1 && userInput.yDirection == -1) {
-        return "-/UL";
-      } else if (userInput.xDirection == -1 && userInput.yDirection == 0) {
-        return "-/L";
-      } else if (userInput.xDirection == -1 && userInput.yDirection == 1) {
-        return "-/DL";
-      } else if (userInput.xDirection == 0 && userInput.yDirection == -1) {
-        return "-/U";
-      } else if (userInput.xDirection == 0 && userInput.yDirection == 0) {
-        return "-/";
-      } else if (userInput.xDirection == 0 && userInput.yDirection == 1) {
-        return "-/D";
-      } else if (userInput.xDirection == 1 && userInput.yDirection == -1) {
-        return "-/UR";
-      } else if (userInput.xDirection == 1 && userInput.yDirection == 0) {
-        return "-/R";
-      } else if (userInput.xDirection == 1 && userInput.yDirection == 1) {
-        return "-/DR";
-      } 
-    } 
-
-  }
-}
 /**
  * 클래스가 'notepad-log'인 요소에 로그 메시지를 추가합니다.
  * @param {string} message - 추가할 메시지
@@ -706,35 +1091,3 @@ function logToNotepad(message) {
   // 기존 내용을 지우고 새 메시지를 텍스트로 삽입
   target.textContent = message;
 }
-
-function encodeActList(code, playerNum) {
-  let code_length = code.length;
-  let new_code = [];
-  for (let i = 0; i < code_length; i++) {
-    new_code.push(encodeUserInput(code[i], playerNum));
-  }
-  return new_code;
-}
-
-function concatListAsString(arr) {
-    if (!Array.isArray(arr) || arr.length === 0) return '';
-
-    let result = '';
-    let current = arr[0];
-    let count = 1;
-
-    for (let i = 1; i < arr.length; i++) {
-      if (arr[i] === current) {
-        count++;
-      } else {
-        result += current + count;
-        current = arr[i];
-        count = 1;
-      }
-    }
-
-    // 마지막 문자 처리
-    result += current + count;
-
-    return result;
-}
\ No newline at end of file
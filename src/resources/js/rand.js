@@ -36,6 +36,14 @@ export function setCustomRng(rng) {
   customRng = rng;
 }
 
+/**
+ * Get the custom RNG function, so that it can be set back after a headless simulation
+ * @return {RNG} null if it is not set
+ */
+export function getCustomRng() {
+  return customRng;
+}
+
 /**
  * @return {number} random integer
  */
@@ -2,8 +2,15 @@ import seedrandom from 'seedrandom';
 import { PikachuVolleyball } from '../pikavolley.js';
 import { setCustomRng } from '../rand.js';
 import { Cloud, Wave } from '../cloud_and_wave.js';
-import { PikaPhysics } from '../physics.js';
-import { convert5bitNumberToUserInput } from '../utils/input_conversion.js';
+import { PikaPhysics, frozenStrategy, originalAIStrategy } from '../physics.js';
+import {
+  perfectReceiverStrategy,
+  createReplayStrategy,
+} from '../opponent_strategy.js';
+import {
+  convert5bitNumberToUserInput,
+  convert5bitNumberToHeldKeys,
+} from '../utils/input_conversion.js';
 import {
   noticeEndOfReplay,
   moveScrubberTo,
@@ -27,6 +34,7 @@ export class PikachuVolleyballReplay extends PikachuVolleyball {
     inputs,
     options,
     chats,
+    heldKeys = null,
   ) {
     super(stage, resources);
     this.noInputFrameTotal.menu = Infinity;
@@ -37,6 +45,8 @@ export class PikachuVolleyballReplay extends PikachuVolleyball {
     this.inputs = inputs;
     this.options = options;
     this.chats = chats;
+    /** @type {number[]} keys held down beyond the inputs, null for a replay recorded without them */
+    this.heldKeys = heldKeys;
     this.player1Keyboard = {
       xDirection: 0,
       yDirection: 0,
@@ -117,6 +127,8 @@ export class PikachuVolleyballReplay extends PikachuVolleyball {
     this.view.fadeInOut.visible = false;
     
     this.physics = new PikaPhysics(true, true);
+    this.practiceServeStrategy = null;
+    this.strategyBeforeReceivePractice = null;
 
     this.normalFPS = 25;
     this.slowMotionFPS = 5;
@@ -200,7 +212,20 @@ export class PikachuVolleyballReplay extends PikachuVolleyball {
     this.player2Keyboard.xDirection = player2Input.xDirection;
     this.player2Keyboard.yDirection = player2Input.yDirection;
     this.player2Keyboard.powerHit = player2Input.powerHit;
-    showKeyboardInputs(player1Input, player2Input);
+    if (this.heldKeys !== null) {
+      const usersHeldKeysNumber = this.heldKeys[this.replayFrameCounter];
+      showKeyboardInputs(
+        player1Input,
+        player2Input,
+        convert5bitNumberToHeldKeys(usersHeldKeysNumber >>> 5, player1Input),
+        convert5bitNumberToHeldKeys(
+          usersHeldKeysNumber % (1 << 5),
+          player2Input
+        )
+      );
+    } else {
+      showKeyboardInputs(player1Input, player2Input);
+    }
 
     let options = this.options[this.optionsCounter];
     while (options && options[0] === this.replayFrameCounter) {
@@ -231,6 +256,50 @@ export class PikachuVolleyballReplay extends PikachuVolleyball {
             break;
         }
       }
+      if (options[1].opponent) {
+        // options on the frame 0 are applied here before the first frame is played
+        switch (options[1].opponent) {
+          case 'frozen':
+            this.physics.setComputerStrategy(frozenStrategy);
+            break;
+          case 'ai':
+            this.physics.setComputerStrategy(originalAIStrategy);
+            break;
+          case 'perfect':
+            this.physics.setComputerStrategy(perfectReceiverStrategy);
+            break;
+          case 'replay':
+            // a new one each time, since it counts the frames played
+            this.physics.setComputerStrategy(
+              createReplayStrategy(options[1].opponentReplayCode)
+            );
+            break;
+        }
+      }
+      if (options[1].practiceServe) {
+        if (this.practiceServeStrategy === null) {
+          this.strategyBeforeReceivePractice =
+            this.physics.player1.computerStrategy;
+        }
+        this.practiceServeStrategy = createReplayStrategy(
+          options[1].practiceServe.code,
+          options[1].practiceServe.playerNum
+        );
+      } else if (
+        options[1].practiceServe === null &&
+        this.practiceServeStrategy !== null
+      ) {
+        this.physics.setComputerStrategy(this.strategyBeforeReceivePractice);
+        this.practiceServeStrategy = null;
+        this.strategyBeforeReceivePractice = null;
+      }
+      if (options[1].nextRound) {
+        this.physics.player1.isComputer =
+          options[1].nextRound.isPlayer1Computer;
+        this.physics.player2.isComputer =
+          options[1].nextRound.isPlayer2Computer;
+        this.goToNextRound(options[1].nextRound.startsNewGame);
+      }
       this.optionsCounter++;
       options = this.options[this.optionsCounter];
     }
@@ -137,7 +137,8 @@ export class ReplayPlayer {
           pack.partialPublicIPs,
           pack.inputs,
           pack.options,
-          pack.chats
+          pack.chats,
+          pack.heldKeys !== undefined ? pack.heldKeys : null
         );
         // @ts-ignore
         setMaxForScrubberRange(pack.inputs.length);
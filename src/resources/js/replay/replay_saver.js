@@ -1,10 +1,19 @@
 import { saveAs } from 'file-saver';
 import { serialize } from '../utils/serialize.js';
 import { getHashCode } from '../utils/hash_code.js';
-import { convertUserInputTo5bitNumber } from '../utils/input_conversion.js';
+import {
+  convertUserInputTo5bitNumber,
+  convertHeldKeysTo5bitNumber,
+} from '../utils/input_conversion.js';
 
 /** @typedef {import('../physics.js').PikaUserInput} PikaUserInput */
-/** @typedef {{speed: string, winningScore: number}} Options options communicated with the peer */
+/** @typedef {import('../keyboard.js').PikaHeldKeys} PikaHeldKeys */
+/**
+ * Options communicated with the peer, and the settings and jumps of the offline game which the replay plays back:
+ * the opponent controlled by computer, the serve of each round of the receive practice (null when it stops)
+ * and the jump to the next round made from the menu
+ * @typedef {{speed?: string, winningScore?: number, opponent?: string, opponentReplayCode?: string, practiceServe?: {code: string, playerNum: number}, nextRound?: {startsNewGame: boolean, isPlayer1Computer: boolean, isPlayer2Computer: boolean}}} Options
+ */
 
 /**
  * Classs representing replay saver
@@ -16,6 +25,7 @@ class ReplaySaver {
     this.nicknames = ['', '']; // [0]: room creator's nickname, [1]: room joiner's nickname
     this.partialPublicIPs = ['', '']; // [0]: room creator's partial public IP address, [1]: room joiner's partial public IP address
     this.inputs = []; // number[], the number in the array represents player1, player2 input
+    this.heldKeys = []; // number[], the number in the array represents player1, player2 keys held down beyond the input on the same frame
     this.options = [[0, { speed: 'fast', winningScore: 15 }]]; // [frameCounter, options][];
     this.chats = []; // [frameCounter, playerIndex (1 or 2), chatMessage][]
   }
@@ -52,21 +62,50 @@ class ReplaySaver {
   }
 
   /**
-   * Record user inputs
+   * Record user inputs and the keys held down on the frame.
+   * If the held keys of a player are not given, nothing but the input is recorded as held.
    * @param {PikaUserInput} player1Input
    * @param {PikaUserInput} player2Input
+   * @param {PikaHeldKeys} [player1HeldKeys]
+   * @param {PikaHeldKeys} [player2HeldKeys]
    */
-  recordInputs(player1Input, player2Input) {
+  recordInputs(
+    player1Input,
+    player2Input,
+    player1HeldKeys = null,
+    player2HeldKeys = null
+  ) {
     const usersInputNumber =
       (convertUserInputTo5bitNumber(player1Input) << 5) +
       convertUserInputTo5bitNumber(player2Input);
     this.inputs.push(usersInputNumber);
+    const player1HeldKeysNumber =
+      player1HeldKeys === null
+        ? 0
+        : convertHeldKeysTo5bitNumber(player1HeldKeys, player1Input);
+    const player2HeldKeysNumber =
+      player2HeldKeys === null
+        ? 0
+        : convertHeldKeysTo5bitNumber(player2HeldKeys, player2Input);
+    this.heldKeys.push((player1HeldKeysNumber << 5) + player2HeldKeysNumber);
     this.frameCounter++;
   }
 
+  /**
+   * Clean the record to start a new one.
+   * The options in effect now are kept as the options from the first frame of the new record.
+   */
   cleanRecord() {
     this.inputs = [];
+    this.heldKeys = [];
     this.frameCounter = 0;
+    const optionsInEffect = {};
+    for (const options of this.options) {
+      Object.assign(optionsInEffect, options[1]);
+    }
+    // a jump to the next round is made on its frame, it is not in effect from then on
+    delete optionsInEffect.nextRound;
+    this.options = [[0, optionsInEffect]];
   }
 
   /**
@@ -77,6 +116,16 @@ class ReplaySaver {
     this.options.push([this.frameCounter, options]);
   }
 
+  /**
+   * Can the record be played back as it was played?
+   * It can not if the opponent was a strategy loaded from a user module at some point,
+   * since the module is not saved in the replay.
+   * @type {boolean}
+   */
+  get isReproducible() {
+    return this.options.every((options) => options[1].opponent !== 'custom');
+  }
+
   /**
    * Record a chat message
    * @param {string} chatMessage
@@ -98,6 +147,7 @@ class ReplaySaver {
       chats: this.chats,
       options: this.options,
       inputs: this.inputs,
+      heldKeys: this.heldKeys,
       hash: 0,
     };
 
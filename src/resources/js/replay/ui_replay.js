@@ -2,6 +2,7 @@ import { replayPlayer } from './replay_player.js';
 //import '../../style.css';
 
 /** @typedef {import('../physics.js').PikaUserInput} PikaUserInput */
+/** @typedef {import('../keyboard.js').PikaHeldKeys} PikaHeldKeys */
 
 let pausedByBtn = false;
 
@@ -329,11 +330,20 @@ export function showTotalTimeDuration(timeDuration) {
 }
 
 /**
- * Show Keyboard inputs
+ * Show Keyboard inputs.
+ * If the held keys are given, the keys held down are shown instead,
+ * e.g. the power hit key stays pressed while it is held after the power hit input.
  * @param {PikaUserInput} player1Input
  * @param {PikaUserInput} player2Input
+ * @param {PikaHeldKeys} [player1HeldKeys]
+ * @param {PikaHeldKeys} [player2HeldKeys]
  */
-export function showKeyboardInputs(player1Input, player2Input) {
+export function showKeyboardInputs(
+  player1Input,
+  player2Input,
+  player1HeldKeys = null,
+  player2HeldKeys = null
+) {
   const zKey = document.getElementById('z-key');
   const rKey = document.getElementById('r-key');
   const vKey = document.getElementById('v-key');
@@ -427,6 +437,40 @@ export function showKeyboardInputs(player1Input, player2Input) {
       pressKeyElm(enterKey);
       break;
   }
+
+  /**
+   * @param {PikaHeldKeys} heldKeys
+   * @param {HTMLElement[]} keyElms left, right, up, down, power hit key elements
+   */
+  function showHeldKeys(heldKeys, keyElms) {
+    const isHeldArray = [
+      heldKeys.left,
+      heldKeys.right,
+      heldKeys.up,
+      heldKeys.down,
+      heldKeys.powerHit,
+    ];
+    for (let i = 0; i < keyElms.length; i++) {
+      if (isHeldArray[i]) {
+        pressKeyElm(keyElms[i]);
+      } else {
+        unpressKeyElm(keyElms[i]);
+      }
+    }
+  }
+
+  if (player1HeldKeys !== null) {
+    showHeldKeys(player1HeldKeys, [dKey, gKey, rKey, vKey, zKey]);
+  }
+  if (player2HeldKeys !== null) {
+    showHeldKeys(player2HeldKeys, [
+      leftKey,
+      rightKey,
+      upKey,
+      downKey,
+      enterKey,
+    ]);
+  }
 }
 
 export function enableReplayScrubberAndBtns() {
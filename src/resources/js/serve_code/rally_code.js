@@ -0,0 +1,132 @@
+/**
+ * This module converts the inputs of both players in a rally to a rally code and back.
+ *
+ * A rally code is the two-sided version of a serve code: each token "-{input1}/{input2}" has
+ * the input of player 1 on the left of "/" and that of player 2 on the right,
+ * as in the slash layout of the serve code tokens, followed by how many frames in a row they lasted.
+ * ex) "-UL/R3-/L5" means "up and left" for player 1 and "right" for player 2 for 3 frames,
+ *     and then no input for player 1 and "left" for player 2 for 5 frames.
+ *
+ * A rally can be segmented at each contact between the ball and a player,
+ * so that each exchange can be studied on its own.
+ */
+'use strict';
+import {
+  concatListAsString,
+  decodeInputLetters,
+  encodeInputLetters,
+} from './serve_code.js';
+import { parseRallyCode } from './serve_code_parser.js';
+
+/** @typedef {import('../physics.js').PikaUserInput} PikaUserInput */
+/** @typedef {import('./serve_outcome.js').ServeContact} ServeContact */
+/** @typedef {import('./serve_code_parser.js').ServeCodeSyntaxError} ServeCodeSyntaxError */
+
+/**
+ * @typedef RallySegment
+ * @property {number} fromFrame first frame of the segment
+ * @property {number} toFrame last frame of the segment
+ * @property {string} code rally code of the segment as it is shown on the code viewer
+ * @property {ServeContact} contact the contact which ends the segment, null for the last segment
+ */
+
+/**
+ * @typedef EncodedRally
+ * @property {string} code rally code of the whole rally as it is shown on the code viewer
+ * @property {number} frames number of frames of the rally
+ * @property {RallySegment[]} segments
+ */
+
+/**
+ * Encode the user inputs of both players on a frame to a rally code token
+ * @param {PikaUserInput} player1Input
+ * @param {PikaUserInput} player2Input
+ * @return {string} ex) "-UL/R"
+ */
+export function encodeRallyToken(player1Input, player2Input) {
+  return `-${encodeInputLetters(player1Input)}/${encodeInputLetters(
+    player2Input
+  )}`;
+}
+
+/**
+ * Encode the user inputs of both players to the rally code shown on the code viewer
+ * @param {PikaUserInput[]} player1Inputs user inputs of player 1 on each frame
+ * @param {PikaUserInput[]} player2Inputs user inputs of player 2 on each frame, as many as player1Inputs
+ * @return {string} ex) "UL/R3-/L5"
+ */
+export function encodeRallyCode(player1Inputs, player2Inputs) {
+  const tokens = [];
+  for (let i = 0; i < player1Inputs.length; i++) {
+    tokens.push(encodeRallyToken(player1Inputs[i], player2Inputs[i]));
+  }
+  return concatListAsString(tokens).slice(1);
+}
+
+/**
+ * Decode the rally code back to the user inputs of both players on each frame.
+ * The leading "-" can be omitted as it is on the code viewer.
+ * @param {string} code ex) "UL/R3-/L5"
+ * @return {{player1: PikaUserInput[], player2: PikaUserInput[]}}
+ * @throws {ServeCodeSyntaxError} if the code is malformed
+ */
+export function decodeRallyCode(code) {
+  const player1 = [];
+  const player2 = [];
+  for (const token of parseRallyCode(code)) {
+    for (let i = 0; i < token.count; i++) {
+      player1.push(decodeInputLetters(token.player1Input));
+      player2.push(decodeInputLetters(token.player2Input));
+    }
+  }
+  return { player1: player1, player2: player2 };
+}
+
+/**
+ * Segment the rally at each contact: a segment ends on the frame of a contact
+ * and the next one starts on the following frame.
+ * @param {PikaUserInput[]} player1Inputs user inputs of player 1 on each frame
+ * @param {PikaUserInput[]} player2Inputs user inputs of player 2 on each frame
+ * @param {ServeContact[]} contacts contacts in the rally, in the order of frames
+ * @return {RallySegment[]}
+ */
+export function segmentRally(player1Inputs, player2Inputs, contacts) {
+  const segments = [];
+  let fromFrame = 0;
+  const pushSegment = (toFrame, contact) => {
+    segments.push({
+      fromFrame: fromFrame,
+      toFrame: toFrame,
+      code: encodeRallyCode(
+        player1Inputs.slice(fromFrame, toFrame + 1),
+        player2Inputs.slice(fromFrame, toFrame + 1)
+      ),
+      contact: contact,
+    });
+    fromFrame = toFrame + 1;
+  };
+  for (const contact of contacts) {
+    if (contact.frame >= fromFrame && contact.frame < player1Inputs.length) {
+      pushSegment(contact.frame, contact);
+    }
+  }
+  if (fromFrame < player1Inputs.length) {
+    pushSegment(player1Inputs.length - 1, null);
+  }
+  return segments;
+}
+
+/**
+ * Encode the whole rally and its segments
+ * @param {PikaUserInput[]} player1Inputs user inputs of player 1 on each frame
+ * @param {PikaUserInput[]} player2Inputs user inputs of player 2 on each frame
+ * @param {ServeContact[]} contacts contacts in the rally, in the order of frames
+ * @return {EncodedRally}
+ */
+export function encodeRally(player1Inputs, player2Inputs, contacts) {
+  return {
+    code: encodeRallyCode(player1Inputs, player2Inputs),
+    frames: player1Inputs.length,
+    segments: segmentRally(player1Inputs, player2Inputs, contacts),
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * This module runs the receive practice: the player controlled by computer serves
+ * the serve codes picked from a list (e.g. the serve library) while the human player defends.
+ *
+ * The serves are replayed frame by frame by a replay strategy (see "opponent_strategy.js"),
+ * which mirrors a code automatically if it was recorded on the other side.
+ * The receive of the human player is encoded in the serve code notation and recorded
+ * together with whether the serve was returned.
+ */
+'use strict';
+import { createReplayStrategy } from '../opponent_strategy.js';
+
+/** @typedef {import('../physics.js').ComputerStrategy} ComputerStrategy */
+/** @typedef {import('./serve_outcome.js').ServeOutcome} ServeOutcome */
+/** @typedef {import('./serve_code_parser.js').ServeCodeSyntaxError} ServeCodeSyntaxError */
+
+/**
+ * Order in which the serves are picked
+ * @readonly
+ * @enum {string}
+ */
+export const ReceivePracticeOrder = {
+  inOrder: 'inOrder', // in the order of the list, from the start again after the last one
+  random: 'random',
+};
+
+/**
+ * @typedef PracticeServe
+ * @property {string} name
+ * @property {string} code serve code as it is shown on the code viewer
+ * @property {number} playerNum 1 or 2, the side of the code if it can not be told from the code
+ */
+
+/**
+ * @typedef ReceiveRecord
+ * @property {PracticeServe} serve the serve played by the player controlled by computer
+ * @property {string} receiveCode code of the receive of the human player
+ * @property {boolean} returned Did the human player touch the ball and send it back over the net?
+ * @property {ServeOutcome} outcome outcome of the serve, recorded on the side of the serving computer
+ */
+
+/**
+ * Class representing a receive practice
+ */
+export class ReceivePractice {
+  /**
+   * Create a receive practice
+   * @param {PracticeServe[]} serves
+   * @param {string} order ReceivePracticeOrder enum
+   * @throws {ServeCodeSyntaxError} if a code is malformed
+   * @throws {Error} if there is no serve
+   */
+  constructor(serves, order) {
+    if (serves.length === 0) {
+      throw new Error('There is no serve to practice receiving');
+    }
+    /** @type {ComputerStrategy[]} replay strategy of each serve */
+    this.strategies = serves.map((serve) =>
+      createReplayStrategy(serve.code, serve.playerNum)
+    );
+    /** @type {PracticeServe[]} */
+    this.serves = serves;
+    /** @type {string} ReceivePracticeOrder enum */
+    this.order = order;
+    /** @type {number} index of the serve being played, -1 before the first serve */
+    this.index = -1;
+    /** @type {ReceiveRecord[]} oldest first */
+    this.records = [];
+  }
+
+  /**
+   * Pick the next serve.
+   * The random order uses Math.random, not the custom RNG of the game,
+   * so that picking a serve does not change how the game plays out.
+   * @return {ComputerStrategy} strategy which plays the serve from the start of the round
+   */
+  nextServe() {
+    if (this.order === ReceivePracticeOrder.random) {
+      this.index = Math.floor(Math.random() * this.serves.length);
+    } else {
+      this.index = (this.index + 1) % this.serves.length;
+    }
+    const strategy = this.strategies[this.index];
+    strategy.initializeForNewRound();
+    return strategy;
+  }
+
+  /**
+   * The serve being played, null before the first serve
+   * @type {PracticeServe}
+   */
+  get currentServe() {
+    return this.index === -1 ? null : this.serves[this.index];
+  }
+
+  /**
+   * Record the receive of the current serve
+   * @param {string} receiveCode code of the receive of the human player
+   * @param {ServeOutcome} outcome outcome recorded on the side of the serving computer
+   * @return {ReceiveRecord}
+   */
+  recordReceive(receiveCode, outcome) {
+    const record = {
+      serve: this.currentServe,
+      receiveCode: receiveCode,
+      returned: outcome.returned,
+      outcome: outcome,
+    };
+    this.records.push(record);
+    return record;
+  }
+
+  /**
+   * Number of the serves returned by the human player
+   * @type {number}
+   */
+  get returnedCount() {
+    return this.records.filter((record) => record.returned).length;
+  }
+}
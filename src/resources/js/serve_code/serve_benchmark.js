@@ -0,0 +1,193 @@
+/**
+ * This module benchmarks a serve code against the original computer AI receiver across many seeds.
+ *
+ * The AI uses the RNG (e.g. "computerBoldness = rand() % 5" in "Player.initializeForNewRound"),
+ * so a single trial says little about how effective a serve is.
+ * Each trial runs the serve headlessly with the RNG seeded with a different room ID,
+ * until the ball touches ground, and the trials are summed up in a report.
+ *
+ * It takes a while, so it is run in a Web Worker ("serve_benchmark_worker.js") in the browser.
+ */
+'use strict';
+import { GROUND_HALF_WIDTH, originalAIStrategy } from '../physics.js';
+import { decodeServeCode } from './serve_code.js';
+import { ServeOutcomeRecorder } from './serve_outcome.js';
+import { createPhysicsForServe, runServeFrames } from './serve_simulator.js';
+
+/** @typedef {import('./serve_outcome.js').ServeOutcome} ServeOutcome */
+/** @typedef {import('./serve_code_parser.js').ServeCodeSyntaxError} ServeCodeSyntaxError */
+
+/** @constant @type {number} default number of trials (seeds) */
+const DEFAULT_TRIALS = 300;
+/** @constant @type {number} maximum number of frames of a trial, long enough for the AI to return the ball */
+const MAX_FRAMES = 1000;
+/** @constant @type {number} width of a bin of the landing x histogram */
+const LANDING_X_BIN_WIDTH = 16;
+/** @constant @type {number} number of trials between progress reports */
+const PROGRESS_INTERVAL = 10;
+
+/**
+ * How a trial ended
+ * @readonly
+ * @enum {string}
+ */
+export const ServeTrialResult = {
+  // the server won the point
+  missed: 'missed', // the AI did not touch the ball
+  intoNet: 'intoNet', // the AI touched the ball and sent it into the net pillar
+  fumbled: 'fumbled', // the AI touched the ball but did not send it over the net
+  // the server lost the point
+  returned: 'returned', // the AI sent the ball back over the net
+  fault: 'fault', // the serve landed on the server's side without the AI touching it
+  // not decided
+  notLanded: 'notLanded', // the ball did not touch ground within the frame limit
+};
+
+/**
+ * @typedef BenchmarkOptions
+ * @property {number} [defaultPlayerNum] 1 or 2, the side used if it can not be told from the code
+ * @property {number} [trials] number of trials
+ * @property {number} [firstSeed] the seed of the first trial, the next trials use the following integers
+ * @property {function(number, number):void} [onProgress] called with (done, total) while running
+ */
+
+/**
+ * @typedef LandingXBin
+ * @property {number} from
+ * @property {number} to exclusive
+ * @property {number} count
+ */
+
+/**
+ * @typedef BenchmarkReport
+ * @property {string} code
+ * @property {number} playerNum 1 or 2
+ * @property {number} trials
+ * @property {number} won number of trials in which the server won the point
+ * @property {number} winPercentage
+ * @property {Object.<string, number>} results number of trials for each ServeTrialResult
+ * @property {LandingXBin[]} landingXBins histogram of the landing x of the trials which landed
+ * @property {number} landingXMean null if no trial landed
+ */
+
+/**
+ * Did the server win the point?
+ * @param {string} result ServeTrialResult enum
+ * @return {boolean}
+ */
+export function isServeTrialWon(result) {
+  return (
+    result === ServeTrialResult.missed ||
+    result === ServeTrialResult.intoNet ||
+    result === ServeTrialResult.fumbled
+  );
+}
+
+/**
+ * Tell how the trial ended
+ * @param {ServeOutcome} outcome
+ * @param {boolean} isIntoNet Did the ball bounce off the net pillar after the AI touched it?
+ * @return {string} ServeTrialResult enum
+ */
+function classifyTrial(outcome, isIntoNet) {
+  if (!outcome.landed) {
+    return ServeTrialResult.notLanded;
+  }
+  if (outcome.landingSide === outcome.playerNum) {
+    return outcome.receiverContact === null
+      ? ServeTrialResult.fault
+      : ServeTrialResult.returned;
+  }
+  if (outcome.receiverContact === null) {
+    return ServeTrialResult.missed;
+  }
+  return isIntoNet ? ServeTrialResult.intoNet : ServeTrialResult.fumbled;
+}
+
+/**
+ * Run the serve code against the original AI receiver across many seeds.
+ * Note that the RNG is seeded again for each trial.
+ * @param {string} code serve code ex) "U/3-/4-UH/1-/30"
+ * @param {BenchmarkOptions} [options]
+ * @return {BenchmarkReport}
+ * @throws {ServeCodeSyntaxError} if the code is malformed
+ */
+export function benchmarkServeCode(code, options = {}) {
+  const decoded = decodeServeCode(code, options.defaultPlayerNum || 1);
+  const playerNum = decoded.playerNum;
+  const trials = options.trials || DEFAULT_TRIALS;
+  const firstSeed = options.firstSeed || 0;
+
+  const results = {};
+  for (const key of Object.keys(ServeTrialResult)) {
+    results[ServeTrialResult[key]] = 0;
+  }
+  const landingXBins = [];
+  for (
+    let from = 0;
+    from < 2 * GROUND_HALF_WIDTH;
+    from += LANDING_X_BIN_WIDTH
+  ) {
+    landingXBins.push({ from: from, to: from + LANDING_X_BIN_WIDTH, count: 0 });
+  }
+  let won = 0;
+  let landed = 0;
+  let landingXSum = 0;
+
+  for (let i = 0; i < trials; i++) {
+    if (options.onProgress && i % PROGRESS_INTERVAL === 0) {
+      options.onProgress(i, trials);
+    }
+    const physics = createPhysicsForServe(
+      playerNum,
+      `uzaramen${firstSeed + i}`,
+      originalAIStrategy
+    );
+    const recorder = new ServeOutcomeRecorder(playerNum);
+    let isIntoNet = false;
+    runServeFrames(
+      physics,
+      playerNum,
+      decoded.inputs,
+      MAX_FRAMES,
+      (frame, isBallTouchingGround) => {
+        recorder.recordFrame(physics, frame, isBallTouchingGround);
+        if (
+          recorder.outcome.receiverContact !== null &&
+          physics.ball.bouncedOff.netPillar
+        ) {
+          isIntoNet = true;
+        }
+      }
+    );
+    const outcome = recorder.outcome;
+    const result = classifyTrial(outcome, isIntoNet);
+    results[result]++;
+    if (isServeTrialWon(result)) {
+      won++;
+    }
+    if (outcome.landed) {
+      landed++;
+      landingXSum += outcome.landingX;
+      const bin = Math.min(
+        Math.floor(outcome.landingX / LANDING_X_BIN_WIDTH),
+        landingXBins.length - 1
+      );
+      landingXBins[Math.max(bin, 0)].count++;
+    }
+  }
+  if (options.onProgress) {
+    options.onProgress(trials, trials);
+  }
+
+  return {
+    code: code,
+    playerNum: playerNum,
+    trials: trials,
+    won: won,
+    winPercentage: (100 * won) / trials,
+    results: results,
+    landingXBins: landingXBins,
+    landingXMean: landed === 0 ? null : landingXSum / landed,
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * This module is the entry of the Web Worker which runs the serve benchmark ("serve_benchmark.js"),
+ * so that the game stays responsive while benchmarking.
+ *
+ * It is bundled as "serve_benchmark_worker.bundle.js" (see "webpack.common.js").
+ *
+ * Messages from the page: {type: "benchmark", code: string, options: BenchmarkOptions without onProgress}
+ * Messages to the page:
+ *   {type: "progress", done: number, total: number}
+ *   {type: "result", report: BenchmarkReport}
+ *   {type: "error", message: string}
+ */
+'use strict';
+import { benchmarkServeCode } from './serve_benchmark.js';
+
+self.addEventListener('message', (event) => {
+  const data = event.data;
+  if (data.type !== 'benchmark') {
+    return;
+  }
+  try {
+    const options = data.options;
+    options.onProgress = (done, total) => {
+      self.postMessage({ type: 'progress', done: done, total: total });
+    };
+    const report = benchmarkServeCode(data.code, options);
+    self.postMessage({ type: 'result', report: report });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+});
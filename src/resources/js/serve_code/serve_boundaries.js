@@ -0,0 +1,137 @@
+/**
+ * This module trims the inputs of a serve to the configured encoding boundaries.
+ *
+ * The serve code is encoded from the start of the round until the ball touches ground,
+ * which mixes the serve itself with idle frames before it and later touches after it.
+ * The trimmed code starts and ends at the configured boundaries instead,
+ * while the untrimmed code is kept for replaying the serve from the round start.
+ */
+'use strict';
+import { encodeInputLetters, encodeServeCode } from './serve_code.js';
+
+/** @typedef {import('../physics.js').PikaUserInput} PikaUserInput */
+/** @typedef {import('./serve_outcome.js').ServeOutcome} ServeOutcome */
+
+/**
+ * Where the trimmed code starts
+ * @readonly
+ * @enum {string}
+ */
+export const EncodingStart = {
+  roundStart: 'roundStart', // the first frame of the round
+  firstInput: 'firstInput', // the first frame with any input
+  beforeContact: 'beforeContact', // a fixed number of frames before the first contact by the server
+};
+
+/**
+ * Where the trimmed code ends
+ * @readonly
+ * @enum {string}
+ */
+export const EncodingEnd = {
+  firstContact: 'firstContact', // the frame of the first contact by the server
+  netCrossing: 'netCrossing', // the frame on which the ball crosses GROUND_HALF_WIDTH
+  landing: 'landing', // the frame on which the ball touches ground
+};
+
+/**
+ * @typedef EncodingBoundaries
+ * @property {string} start EncodingStart enum
+ * @property {string} end EncodingEnd enum
+ * @property {number} framesBeforeContact number of frames kept before the first contact
+ *                                        if start is EncodingStart.beforeContact
+ */
+
+/**
+ * @typedef TrimmedServeCode
+ * @property {string} code trimmed code as it is shown on the code viewer, "" if there is no frame
+ * @property {number} fromFrame first frame of the trimmed code
+ * @property {number} toFrame last frame of the trimmed code
+ * @property {boolean} isTrimmed Is any frame trimmed off?
+ */
+
+/**
+ * Boundaries which keep every frame, as the untrimmed code
+ * @type {EncodingBoundaries}
+ */
+export const DEFAULT_ENCODING_BOUNDARIES = {
+  start: EncodingStart.roundStart,
+  end: EncodingEnd.landing,
+  framesBeforeContact: 10,
+};
+
+/**
+ * Find the frames within the boundaries.
+ * If the frame of a boundary is not found (e.g. the server never touched the ball),
+ * the boundary falls back to the round start or to the last frame.
+ * @param {PikaUserInput[]} inputs user inputs of the serving player on each frame
+ * @param {ServeOutcome} outcome
+ * @param {EncodingBoundaries} boundaries
+ * @return {{fromFrame: number, toFrame: number}}
+ */
+export function findEncodingRange(inputs, outcome, boundaries) {
+  const lastFrame = inputs.length - 1;
+  let firstContact = null;
+  for (const contact of outcome.contacts) {
+    if (contact.playerNum === outcome.playerNum) {
+      firstContact = contact;
+      break;
+    }
+  }
+
+  let fromFrame = 0;
+  switch (boundaries.start) {
+    case EncodingStart.firstInput:
+      for (let frame = 0; frame <= lastFrame; frame++) {
+        if (encodeInputLetters(inputs[frame]) !== '') {
+          fromFrame = frame;
+          break;
+        }
+      }
+      break;
+    case EncodingStart.beforeContact:
+      if (firstContact !== null) {
+        fromFrame = Math.max(
+          0,
+          firstContact.frame - boundaries.framesBeforeContact
+        );
+      }
+      break;
+  }
+
+  let toFrame = lastFrame;
+  switch (boundaries.end) {
+    case EncodingEnd.firstContact:
+      if (firstContact !== null) {
+        toFrame = Math.min(firstContact.frame, lastFrame);
+      }
+      break;
+    case EncodingEnd.netCrossing:
+      if (outcome.netCrossingFrame !== null) {
+        toFrame = Math.min(outcome.netCrossingFrame, lastFrame);
+      }
+      break;
+  }
+
+  return { fromFrame: Math.min(fromFrame, toFrame), toFrame: toFrame };
+}
+
+/**
+ * Encode the inputs of the serving player within the boundaries
+ * @param {PikaUserInput[]} inputs user inputs of the serving player on each frame
+ * @param {ServeOutcome} outcome
+ * @param {EncodingBoundaries} boundaries
+ * @return {TrimmedServeCode}
+ */
+export function encodeTrimmedServeCode(inputs, outcome, boundaries) {
+  const range = findEncodingRange(inputs, outcome, boundaries);
+  return {
+    code: encodeServeCode(
+      inputs.slice(range.fromFrame, range.toFrame + 1),
+      outcome.playerNum
+    ),
+    fromFrame: range.fromFrame,
+    toFrame: range.toFrame,
+    isTrimmed: range.fromFrame > 0 || range.toFrame < inputs.length - 1,
+  };
+}
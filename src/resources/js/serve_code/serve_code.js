@@ -0,0 +1,367 @@
+/**
+ * This module converts user inputs to a serve code and a serve code back to user inputs.
+ *
+ * A serve code is a run-length encoded list of per-frame inputs of one player.
+ * Each frame input is written as a token "-{input}/" for player 1 or "-/{input}" for player 2,
+ * where {input} is composed of an optional "U" (up) or "D" (down),
+ * an optional "L" (left) or "R" (right) and an optional "H" (power hit), in this order.
+ * The number right after a token is how many frames in a row the input lasted.
+ * ex) "-ULH/3-L/5" means "up, left and power hit" for 3 frames and then "left" for 5 frames (player 1).
+ *
+ * The code viewer shows a serve code without its leading "-".
+ * The grammar of a serve code is written in "serve_code_parser.js".
+ *
+ * The extended notation also keeps the keys held down on each frame, which the input loses
+ * (e.g. the power hit key is a power hit input on the frame it goes down only).
+ * The held keys beyond the ones implied by the input are written in lowercase letters
+ * "u", "d", "l", "r" and "h" right after the input letters, in this order.
+ * ex) "-UH/1-Uh/6-U/3" means the power hit key went down on the first frame
+ *     and was held for 7 frames in all while the up key was held for 10 frames.
+ * A plain serve code is an extended code in which nothing but the input is held,
+ * so every function here accepts both of them and only the extended functions keep the held keys.
+ *
+ * A code can start with a ready section in parentheses: the input during the "Ready?" message
+ * (and the fade in) before the round, in the extended notation.
+ * The players do not move before the round, so it is not played,
+ * but the keys held then decide the first frames of the round: e.g. the power hit key
+ * held down since the "Ready?" message is not a power hit input on the first frame.
+ * ex) "(/25-Uh/5)U/3-/40" means the up key and the power hit key were held
+ *     for the last 5 frames before the round.
+ */
+'use strict';
+import { PikaUserInput } from '../physics.js';
+import { convertUserInputToHeldKeys } from '../utils/input_conversion.js';
+import { parseServeCode } from './serve_code_parser.js';
+
+/** @typedef {import('./serve_code_parser.js').ServeCodeSyntaxError} ServeCodeSyntaxError */
+/** @typedef {import('./serve_code_parser.js').ServeCodeToken} ServeCodeToken */
+/** @typedef {import('../keyboard.js').PikaHeldKeys} PikaHeldKeys */
+
+/**
+ * Encode a user input to the input letters of a serve code token
+ * @param {PikaUserInput} userInput
+ * @return {string} ex) "ULH", "" for no input
+ */
+export function encodeInputLetters(userInput) {
+  let input = '';
+  if (userInput.yDirection === -1) {
+    input += 'U';
+  } else if (userInput.yDirection === 1) {
+    input += 'D';
+  }
+  if (userInput.xDirection === -1) {
+    input += 'L';
+  } else if (userInput.xDirection === 1) {
+    input += 'R';
+  }
+  if (userInput.powerHit === 1) {
+    input += 'H';
+  }
+  return input;
+}
+
+/**
+ * Decode the input letters of a serve code token to a user input
+ * @param {string} letters ex) "ULH", "" for no input
+ * @return {PikaUserInput}
+ */
+export function decodeInputLetters(letters) {
+  const userInput = new PikaUserInput();
+  if (letters.indexOf('U') !== -1) {
+    userInput.yDirection = -1;
+  } else if (letters.indexOf('D') !== -1) {
+    userInput.yDirection = 1;
+  }
+  if (letters.indexOf('L') !== -1) {
+    userInput.xDirection = -1;
+  } else if (letters.indexOf('R') !== -1) {
+    userInput.xDirection = 1;
+  }
+  if (letters.indexOf('H') !== -1) {
+    userInput.powerHit = 1;
+  }
+  return userInput;
+}
+
+/**
+ * Encode the keys held down beyond the ones implied by the user input to held letters
+ * @param {PikaHeldKeys} heldKeys
+ * @param {PikaUserInput} userInput user input on the same frame
+ * @return {string} ex) "rh", "" if nothing but the input is held
+ */
+export function encodeHeldLetters(heldKeys, userInput) {
+  const implied = convertUserInputToHeldKeys(userInput);
+  let held = '';
+  if (heldKeys.up && !implied.up) {
+    held += 'u';
+  }
+  if (heldKeys.down && !implied.down) {
+    held += 'd';
+  }
+  if (heldKeys.left && !implied.left) {
+    held += 'l';
+  }
+  if (heldKeys.right && !implied.right) {
+    held += 'r';
+  }
+  if (heldKeys.powerHit && !implied.powerHit) {
+    held += 'h';
+  }
+  return held;
+}
+
+/**
+ * Decode the held letters back to the keys held down
+ * @param {string} held ex) "rh", "" if nothing but the input is held
+ * @param {PikaUserInput} userInput user input on the same frame
+ * @return {PikaHeldKeys}
+ */
+export function decodeHeldLetters(held, userInput) {
+  const heldKeys = convertUserInputToHeldKeys(userInput);
+  heldKeys.up = heldKeys.up || held.indexOf('u') !== -1;
+  heldKeys.down = heldKeys.down || held.indexOf('d') !== -1;
+  heldKeys.left = heldKeys.left || held.indexOf('l') !== -1;
+  heldKeys.right = heldKeys.right || held.indexOf('r') !== -1;
+  heldKeys.powerHit = heldKeys.powerHit || held.indexOf('h') !== -1;
+  return heldKeys;
+}
+
+/**
+ * Encode a user input to a serve code token
+ * @param {PikaUserInput} userInput
+ * @param {number} playerNum 1 or 2
+ * @param {string} [held] held letters of the extended notation
+ * @return {string} ex) "-ULH/" for player 1, "-/ULH" for player 2
+ */
+export function encodeUserInput(userInput, playerNum, held = '') {
+  const input = encodeInputLetters(userInput) + held;
+  if (playerNum === 1) {
+    return `-${input}/`;
+  }
+  return `-/${input}`;
+}
+
+/**
+ * Encode the list of user inputs to the list of serve code tokens
+ * @param {PikaUserInput[]} actList user inputs of each frame
+ * @param {number} playerNum 1 or 2
+ * @return {string[]}
+ */
+export function encodeActList(actList, playerNum) {
+  const tokens = [];
+  for (let i = 0; i < actList.length; i++) {
+    tokens.push(encodeUserInput(actList[i], playerNum));
+  }
+  return tokens;
+}
+
+/**
+ * Concatenate the tokens as a string, appending to each token how many times it is repeated in a row
+ * @param {string[]} arr tokens
+ * @return {string} ex) ["-U/", "-U/", "-/"] => "-U/2-/1"
+ */
+export function concatListAsString(arr) {
+  if (!Array.isArray(arr) || arr.length === 0) return '';
+
+  let result = '';
+  let current = arr[0];
+  let count = 1;
+
+  for (let i = 1; i < arr.length; i++) {
+    if (arr[i] === current) {
+      count++;
+    } else {
+      result += current + count;
+      current = arr[i];
+      count = 1;
+    }
+  }
+
+  // 마지막 문자 처리
+  result += current + count;
+
+  return result;
+}
+
+/**
+ * Encode the list of user inputs to the serve code shown on the code viewer
+ * @param {PikaUserInput[]} actList user inputs of each frame
+ * @param {number} playerNum 1 or 2
+ * @return {string} ex) "ULH/3-L/5"
+ */
+export function encodeServeCode(actList, playerNum) {
+  return concatListAsString(encodeActList(actList, playerNum)).slice(1);
+}
+
+/**
+ * Encode the list of user inputs and the keys held down on each frame
+ * to the extended serve code shown on the code viewer
+ * @param {PikaUserInput[]} actList user inputs of each frame
+ * @param {PikaHeldKeys[]} heldKeysList keys held down on each frame, as many as actList
+ * @param {number} playerNum 1 or 2
+ * @return {string} ex) "UH/1-Uh/6-U/3"
+ */
+export function encodeExtendedServeCode(actList, heldKeysList, playerNum) {
+  const tokens = [];
+  for (let i = 0; i < actList.length; i++) {
+    tokens.push(
+      encodeUserInput(
+        actList[i],
+        playerNum,
+        encodeHeldLetters(heldKeysList[i], actList[i])
+      )
+    );
+  }
+  return concatListAsString(tokens).slice(1);
+}
+
+/**
+ * Decode the serve code back to the user inputs of each frame.
+ * The leading "-" can be omitted as it is on the code viewer.
+ *
+ * If the code consists of "no input" tokens only ("-/"), the side can not be told from the code,
+ * so defaultPlayerNum is used for the side.
+ * The ready section is skipped, as the inputs are the ones played from the start of the round.
+ *
+ * @param {string} code ex) "ULH/3-L/5"
+ * @param {number} [defaultPlayerNum] 1 or 2
+ * @return {{playerNum: number, inputs: PikaUserInput[]}}
+ * @throws {ServeCodeSyntaxError} if the code is malformed
+ */
+export function decodeServeCode(code, defaultPlayerNum = 1) {
+  const parsed = parseServeCode(code);
+  const inputs = [];
+  for (const token of parsed.tokens) {
+    for (let i = 0; i < token.count; i++) {
+      const userInput = new PikaUserInput();
+      userInput.xDirection = token.xDirection;
+      userInput.yDirection = token.yDirection;
+      userInput.powerHit = token.powerHit;
+      inputs.push(userInput);
+    }
+  }
+  return {
+    playerNum: parsed.playerNum === null ? defaultPlayerNum : parsed.playerNum,
+    inputs: inputs,
+  };
+}
+
+/**
+ * Encode the input during the "Ready?" message before the round to the ready section of a code
+ * @param {PikaUserInput[]} readyInputs user inputs of each frame before the round
+ * @param {PikaHeldKeys[]} readyHeldKeysList keys held down on each frame before the round
+ * @param {number} playerNum 1 or 2
+ * @return {string} ex) "(/25-Uh/5)", "" if no key was held before the round
+ */
+export function encodeReadySection(readyInputs, readyHeldKeysList, playerNum) {
+  const isAnyKeyHeld = readyHeldKeysList.some(
+    (heldKeys) =>
+      heldKeys.left ||
+      heldKeys.right ||
+      heldKeys.up ||
+      heldKeys.down ||
+      heldKeys.powerHit
+  );
+  if (!isAnyKeyHeld) {
+    return '';
+  }
+  return `(${encodeExtendedServeCode(
+    readyInputs,
+    readyHeldKeysList,
+    playerNum
+  )})`;
+}
+
+/**
+ * @typedef DecodedExtendedServeCode
+ * @property {number} playerNum 1 or 2
+ * @property {PikaUserInput[]} inputs user inputs of each frame from the start of the round
+ * @property {PikaHeldKeys[]} heldKeys keys held down on each frame from the start of the round
+ * @property {PikaUserInput[]} readyInputs user inputs of each frame of the ready section
+ * @property {PikaHeldKeys[]} readyHeldKeys keys held down on each frame of the ready section
+ */
+
+/**
+ * Decode the extended serve code back to the user inputs and the keys held down on each frame,
+ * those of the ready section included.
+ * A plain serve code is decoded with nothing but the input held.
+ * @param {string} code ex) "(/25-Uh/5)UH/1-Uh/6-U/3"
+ * @param {number} [defaultPlayerNum] 1 or 2
+ * @return {DecodedExtendedServeCode}
+ * @throws {ServeCodeSyntaxError} if the code is malformed
+ */
+export function decodeExtendedServeCode(code, defaultPlayerNum = 1) {
+  const parsed = parseServeCode(code);
+  /**
+   * @param {ServeCodeToken[]} tokens
+   * @return {{inputs: PikaUserInput[], heldKeys: PikaHeldKeys[]}}
+   */
+  const decodeTokens = (tokens) => {
+    const inputs = [];
+    const heldKeys = [];
+    for (const token of tokens) {
+      const tokenInput = decodeInputLetters(token.input);
+      for (let i = 0; i < token.count; i++) {
+        inputs.push(decodeInputLetters(token.input));
+        heldKeys.push(decodeHeldLetters(token.held, tokenInput));
+      }
+    }
+    return { inputs: inputs, heldKeys: heldKeys };
+  };
+  const decoded = decodeTokens(parsed.tokens);
+  const decodedReady = decodeTokens(parsed.readyTokens);
+  return {
+    playerNum: parsed.playerNum === null ? defaultPlayerNum : parsed.playerNum,
+    inputs: decoded.inputs,
+    heldKeys: decoded.heldKeys,
+    readyInputs: decodedReady.inputs,
+    readyHeldKeys: decodedReady.heldKeys,
+  };
+}
+
+/**
+ * Mirror the serve code to the other side of the net:
+ * a player 1 code becomes the equivalent player 2 code and vice versa.
+ * "L" and "R" are swapped, since x directions mean opposite things relative to the net,
+ * and each token is moved to the other side of "/". The counts are kept as they are.
+ * The held letters of the extended notation are mirrored the same way ("l" and "r" are swapped).
+ * @param {string} code ex) "ULH/3-L/5"
+ * @return {string} mirrored code as it is shown on the code viewer, ex) "/URH3-/R5"
+ * @throws {ServeCodeSyntaxError} if the code is malformed
+ */
+export function mirrorServeCode(code) {
+  const parsed = parseServeCode(code);
+  const mirroredPlayerNum = parsed.playerNum === 1 ? 2 : 1;
+  const mirroredBody = mirrorTokens(parsed.tokens, mirroredPlayerNum);
+  if (parsed.readyTokens.length === 0) {
+    return mirroredBody;
+  }
+  return `(${mirrorTokens(
+    parsed.readyTokens,
+    mirroredPlayerNum
+  )})${mirroredBody}`;
+}
+
+/**
+ * Mirror the tokens of a section of a serve code
+ * @param {ServeCodeToken[]} tokens
+ * @param {number} mirroredPlayerNum 1 or 2, the side the tokens are mirrored to
+ * @return {string} mirrored tokens without the leading "-"
+ */
+function mirrorTokens(tokens, mirroredPlayerNum) {
+  let result = '';
+  for (const token of tokens) {
+    const userInput = new PikaUserInput();
+    userInput.xDirection = -token.xDirection;
+    userInput.yDirection = token.yDirection;
+    userInput.powerHit = token.powerHit;
+    // "l" and "r" are swapped while the letters are kept in the order "u", "d", "l", "r", "h"
+    const mirroredHeld = ['u', 'd', 'r', 'l', 'h']
+      .filter((letter) => token.held.indexOf(letter) !== -1)
+      .map((letter) => (letter === 'l' ? 'r' : letter === 'r' ? 'l' : letter))
+      .join('');
+    result +=
+      encodeUserInput(userInput, mirroredPlayerNum, mirroredHeld) + token.count;
+  }
+  return result.slice(1);
+}
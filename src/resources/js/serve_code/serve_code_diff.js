@@ -0,0 +1,140 @@
+/**
+ * This module compares two serve codes frame by frame.
+ *
+ * Both codes are expanded to the user inputs of each frame (as "ActList" in "pikavolley.js")
+ * and aligned by frame number. After the end of the shorter code, its input is "no input",
+ * as it is when the code is played.
+ * If the two codes are on different sides, the reference code is mirrored to the side of the other code
+ * so that "L" and "R" mean the same thing relative to the net.
+ */
+'use strict';
+import { PikaUserInput } from '../physics.js';
+import {
+  decodeServeCode,
+  encodeInputLetters,
+  mirrorServeCode,
+} from './serve_code.js';
+
+/** @typedef {import('./serve_code_parser.js').ServeCodeSyntaxError} ServeCodeSyntaxError */
+
+/**
+ * @typedef ServeCodeFrameDiff
+ * @property {number} frame frame number (0 for the first frame of the round)
+ * @property {string} input input letters of the code on the frame, ex) "U"
+ * @property {string} referenceInput input letters of the reference code on the frame, ex) "UR"
+ * @property {boolean} isDirectionDifferent Do the x or y directions differ?
+ * @property {boolean} isPowerHitDifferent Do the power hit inputs differ?
+ */
+
+/**
+ * An edit is a run of consecutive frames on which the code should be changed
+ * in the same way to become the reference code.
+ * @typedef ServeCodeEdit
+ * @property {number} fromFrame first frame of the run
+ * @property {number} toFrame last frame of the run
+ * @property {string} input input letters of the code on the frames
+ * @property {string} referenceInput input letters of the reference code on the frames
+ * @property {boolean} isDirectionDifferent
+ * @property {boolean} isPowerHitDifferent
+ */
+
+/**
+ * @typedef ServeCodeDiff
+ * @property {number} playerNum 1 or 2, the side of the code
+ * @property {boolean} isReferenceMirrored Was the reference code mirrored to the side of the code?
+ * @property {number} length number of frames of the code
+ * @property {number} referenceLength number of frames of the reference code
+ * @property {ServeCodeFrameDiff[]} frames frames on which the inputs differ, in order
+ * @property {ServeCodeEdit[]} edits
+ */
+
+/**
+ * Compare the serve code with the reference serve code frame by frame
+ * @param {string} code ex) "U/3-/4-UH/1-/30"
+ * @param {string} referenceCode ex) "U/3-/3-URH/2-/30"
+ * @param {number} [defaultPlayerNum] 1 or 2, the side used if it can not be told from the codes
+ * @return {ServeCodeDiff}
+ * @throws {ServeCodeSyntaxError} if either code is malformed
+ */
+export function diffServeCodes(code, referenceCode, defaultPlayerNum = 1) {
+  const decoded = decodeServeCode(code, defaultPlayerNum);
+  let reference = decodeServeCode(referenceCode, decoded.playerNum);
+  let isReferenceMirrored = false;
+  if (reference.playerNum !== decoded.playerNum) {
+    reference = decodeServeCode(
+      mirrorServeCode(referenceCode),
+      decoded.playerNum
+    );
+    isReferenceMirrored = true;
+  }
+
+  const noInput = new PikaUserInput();
+  const length = Math.max(decoded.inputs.length, reference.inputs.length);
+  const frames = [];
+  for (let frame = 0; frame < length; frame++) {
+    const input =
+      frame < decoded.inputs.length ? decoded.inputs[frame] : noInput;
+    const referenceInput =
+      frame < reference.inputs.length ? reference.inputs[frame] : noInput;
+    const isDirectionDifferent =
+      input.xDirection !== referenceInput.xDirection ||
+      input.yDirection !== referenceInput.yDirection;
+    const isPowerHitDifferent = input.powerHit !== referenceInput.powerHit;
+    if (isDirectionDifferent || isPowerHitDifferent) {
+      frames.push({
+        frame: frame,
+        input: encodeInputLetters(input),
+        referenceInput: encodeInputLetters(referenceInput),
+        isDirectionDifferent: isDirectionDifferent,
+        isPowerHitDifferent: isPowerHitDifferent,
+      });
+    }
+  }
+
+  const edits = [];
+  for (const frameDiff of frames) {
+    const last = edits[edits.length - 1];
+    if (
+      last &&
+      last.toFrame === frameDiff.frame - 1 &&
+      last.input === frameDiff.input &&
+      last.referenceInput === frameDiff.referenceInput
+    ) {
+      last.toFrame = frameDiff.frame;
+    } else {
+      edits.push({
+        fromFrame: frameDiff.frame,
+        toFrame: frameDiff.frame,
+        input: frameDiff.input,
+        referenceInput: frameDiff.referenceInput,
+        isDirectionDifferent: frameDiff.isDirectionDifferent,
+        isPowerHitDifferent: frameDiff.isPowerHitDifferent,
+      });
+    }
+  }
+
+  return {
+    playerNum: decoded.playerNum,
+    isReferenceMirrored: isReferenceMirrored,
+    length: decoded.inputs.length,
+    referenceLength: reference.inputs.length,
+    frames: frames,
+    edits: edits,
+  };
+}
+
+/**
+ * Describe the edit as a one-line text
+ * @param {ServeCodeEdit} edit
+ * @return {string} ex) "frame 14: you pressed U, the reference pressed UR"
+ */
+export function describeServeCodeEdit(edit) {
+  const frames =
+    edit.fromFrame === edit.toFrame
+      ? `frame ${edit.fromFrame}`
+      : `frames ${edit.fromFrame}-${edit.toFrame}`;
+  const pressed = (input) => (input === '' ? 'nothing' : input);
+  return `${frames}: you pressed ${pressed(
+    edit.input
+  )}, the reference pressed ${pressed(edit.referenceInput)}`;
+}
@@ -0,0 +1,395 @@
+/**
+ * This module parses a serve code by the grammar below and reports where and why a malformed code fails.
+ *
+ * Grammar (EBNF):
+ *
+ *   code     = [ ready ] tokens
+ *   ready    = "(" tokens ")"
+ *   tokens   = [ "-" ] token { "-" token }
+ *   token    = input "/" input count      (at most one of the two inputs is non-empty)
+ *   input    = [ "U" | "D" ] [ "L" | "R" ] [ "H" ] held
+ *   held     = [ "u" ] [ "d" ] [ "l" ] [ "r" ] [ "h" ]
+ *   count    = digit { digit }            (greater than 0)
+ *
+ * The counts of the tokens in a section add up to at most MAX_CODE_FRAMES,
+ * since a code is expanded to one input per frame when it is decoded.
+ *
+ * A token whose input is on the left side of "/" is a player 1 token,
+ * and a token whose input is on the right side of "/" is a player 2 token.
+ * A token with empty inputs on both sides ("-/") is "no input" and belongs to either player.
+ * Player 1 tokens and player 2 tokens can not be mixed in one code.
+ * Whitespace around the code is ignored. The leading "-" is optional as it is on the code viewer.
+ *
+ * The lowercase letters are the held keys of the extended notation (see "serve_code.js"):
+ * keys held down on the frame beyond the keys the uppercase input letters already imply,
+ * so a held letter can not repeat an input letter (e.g. "Uu" is malformed).
+ * A code without lowercase letters is a plain serve code.
+ *
+ * The ready section in parentheses is the input during the "Ready?" message before the round
+ * (see "encodeReadySection" in "serve_code.js"). It is not played, since the players do not move
+ * before the round, but it tells what was held when the round started.
+ * Its tokens belong to the same player as the rest of the code.
+ *
+ * A rally code (see "rally_code.js") has the same grammar except that a token can have inputs
+ * on both sides of "/": the input of player 1 on the left and that of player 2 on the right.
+ */
+'use strict';
+
+/**
+ * @typedef ServeCodeToken
+ * @property {number} offset character offset of the token in the code
+ * @property {string} text the token as it is written in the code, ex) "-ULH/3"
+ * @property {number} playerNum 1 or 2, null for a "no input" token
+ * @property {string} input input letters, ex) "ULH"
+ * @property {string} held held letters of the extended notation, ex) "rh", "" for a plain token
+ * @property {number} xDirection 0: no input, -1: left, 1: right
+ * @property {number} yDirection 0: no input, -1: up, 1: down
+ * @property {number} powerHit 0: no input, 1: power hit
+ * @property {number} count number of frames the input lasts
+ */
+
+/**
+ * @typedef ParsedServeCode
+ * @property {number} playerNum 1 or 2, null if every token is a "no input" token
+ * @property {ServeCodeToken[]} tokens
+ * @property {ServeCodeToken[]} readyTokens tokens of the ready section, empty if there is none
+ */
+
+/**
+ * @typedef RallyCodeToken
+ * @property {number} offset character offset of the token in the code
+ * @property {string} text the token as it is written in the code, ex) "-UL/R3"
+ * @property {string} player1Input input letters of player 1, ex) "UL"
+ * @property {string} player2Input input letters of player 2, ex) "R"
+ * @property {number} count number of frames the inputs last
+ */
+
+/**
+ * A token read by {@link readTokens}
+ * @typedef RawToken
+ * @property {number} offset
+ * @property {string} text
+ * @property {RawInput} left
+ * @property {RawInput} right
+ * @property {number} count
+ */
+
+/**
+ * One side of a token read by {@link readTokens}
+ * @typedef RawInput
+ * @property {string} input input letters
+ * @property {string} held held letters
+ * @property {number} xDirection
+ * @property {number} yDirection
+ * @property {number} powerHit
+ */
+
+/**
+ * Class representing an error thrown on a malformed serve code
+ */
+export class ServeCodeSyntaxError extends Error {
+  /**
+   * @param {number} offset character offset in the code where the error is found
+   * @param {string} reason
+   */
+  constructor(offset, reason) {
+    super(`${reason} (at character ${offset})`);
+    this.name = 'ServeCodeSyntaxError';
+    /** @type {number} */
+    this.offset = offset;
+    /** @type {string} */
+    this.reason = reason;
+  }
+}
+
+/**
+ * Maximum number of frames of the tokens of a section. A code lasting longer than this
+ * (more than 5 minutes even in the "fast" speed) is not a serve or a rally, and it is rejected
+ * before it is expanded to one input per frame by a decoder.
+ * @constant @type {number}
+ */
+export const MAX_CODE_FRAMES = 10000;
+
+/** @constant @type {string} held letters of the extended notation, in the order they are written */
+const HELD_LETTERS = 'udlrh';
+
+/**
+ * Is one side of a token empty, with neither input letters nor held letters?
+ * @param {RawInput} read
+ * @return {boolean}
+ */
+function isEmptyInput(read) {
+  return read.input === '' && read.held === '';
+}
+
+/**
+ * Read the tokens of a section of the code, calling back on each token as soon as it is read
+ * so that errors are reported in the order of the code
+ * @param {string} code
+ * @param {number} start offset where the section starts
+ * @param {number} sectionEnd offset where the section ends (exclusive)
+ * @param {boolean} allowsBothSides Can a token have inputs on both sides of "/"?
+ * @param {function(RawToken):void} onToken
+ * @throws {ServeCodeSyntaxError} if the code is malformed
+ */
+function readTokens(code, start, sectionEnd, allowsBothSides, onToken) {
+  let pos = start;
+  let end = sectionEnd;
+  while (pos < end && /\s/.test(code[pos])) {
+    pos++;
+  }
+  while (end > pos && /\s/.test(code[end - 1])) {
+    end--;
+  }
+  if (pos === end) {
+    throw new ServeCodeSyntaxError(pos, 'The serve code is empty');
+  }
+
+  /**
+   * Read the input letters and the held letters starting at pos
+   * @return {RawInput}
+   */
+  const readInput = () => {
+    const read = {
+      input: '',
+      held: '',
+      xDirection: 0,
+      yDirection: 0,
+      powerHit: 0,
+    };
+    // 0: expecting U or D, 1: expecting L or R, 2: expecting H,
+    // 3 to 7: expecting u, d, l, r and h in this order, 8: no more letters
+    let stage = 0;
+    while (pos < end && /[A-Za-z]/.test(code[pos])) {
+      const letter = code[pos];
+      let letterStage;
+      switch (letter) {
+        case 'U':
+          letterStage = 0;
+          read.yDirection = -1;
+          break;
+        case 'D':
+          letterStage = 0;
+          read.yDirection = 1;
+          break;
+        case 'L':
+          letterStage = 1;
+          read.xDirection = -1;
+          break;
+        case 'R':
+          letterStage = 1;
+          read.xDirection = 1;
+          break;
+        case 'H':
+          letterStage = 2;
+          read.powerHit = 1;
+          break;
+        default:
+          letterStage = 3 + HELD_LETTERS.indexOf(letter);
+          if (letterStage === 2) {
+            throw new ServeCodeSyntaxError(
+              pos,
+              `Unknown input letter "${letter}" (expected U, D, L, R, H or held u, d, l, r, h)`
+            );
+          }
+      }
+      if (letterStage < stage) {
+        throw new ServeCodeSyntaxError(
+          pos,
+          `Input letter "${letter}" is repeated or out of order (expected order: U/D, L/R, H, u, d, l, r, h)`
+        );
+      }
+      stage = letterStage + 1;
+      if (letterStage >= 3) {
+        if (read.input.indexOf(letter.toUpperCase()) !== -1) {
+          throw new ServeCodeSyntaxError(
+            pos,
+            `Held letter "${letter}" repeats the input letter "${letter.toUpperCase()}"`
+          );
+        }
+        read.held += letter;
+      } else {
+        read.input += letter;
+      }
+      pos++;
+    }
+    return read;
+  };
+
+  /**
+   * @return {string} description of the character at pos for error messages
+   */
+  const found = () => (pos < end ? `"${code[pos]}"` : 'the end of the code');
+
+  let isFirstToken = true;
+  let totalCount = 0;
+  while (pos < end) {
+    const tokenOffset = pos;
+    if (code[pos] === '-') {
+      pos++;
+    } else if (!isFirstToken) {
+      throw new ServeCodeSyntaxError(
+        pos,
+        `Expected "-" before the next token but found ${found()}`
+      );
+    }
+
+    const left = readInput();
+    if (pos >= end || code[pos] !== '/') {
+      throw new ServeCodeSyntaxError(pos, `Expected "/" but found ${found()}`);
+    }
+    pos++;
+    const rightOffset = pos;
+    const right = readInput();
+    if (!allowsBothSides && !isEmptyInput(left) && !isEmptyInput(right)) {
+      throw new ServeCodeSyntaxError(
+        rightOffset,
+        'A token can not have inputs on both sides of "/"'
+      );
+    }
+
+    const countOffset = pos;
+    while (pos < end && /[0-9]/.test(code[pos])) {
+      pos++;
+    }
+    if (pos === countOffset) {
+      throw new ServeCodeSyntaxError(
+        pos,
+        `Missing count: expected a number but found ${found()}`
+      );
+    }
+    const count = Number(code.slice(countOffset, pos));
+    if (count === 0) {
+      throw new ServeCodeSyntaxError(
+        countOffset,
+        'The count must be greater than 0'
+      );
+    }
+    totalCount += count;
+    if (totalCount > MAX_CODE_FRAMES) {
+      throw new ServeCodeSyntaxError(
+        countOffset,
+        `The code lasts more than ${MAX_CODE_FRAMES} frames`
+      );
+    }
+
+    isFirstToken = false;
+    onToken({
+      offset: tokenOffset,
+      text: code.slice(tokenOffset, pos),
+      left: left,
+      right: right,
+      count: count,
+    });
+  }
+}
+
+/**
+ * Parse the serve code
+ * @param {string} code ex) "ULH/3-L/5"
+ * @return {ParsedServeCode}
+ * @throws {ServeCodeSyntaxError} if the code is malformed
+ */
+export function parseServeCode(code) {
+  let playerNum = null;
+  /**
+   * @param {ServeCodeToken[]} tokens tokens of the section being read
+   * @return {function(RawToken):void}
+   */
+  const pushTo = (tokens) => (rawToken) => {
+    const left = rawToken.left;
+    const right = rawToken.right;
+
+    let tokenPlayerNum = null;
+    if (!isEmptyInput(left)) {
+      tokenPlayerNum = 1;
+    } else if (!isEmptyInput(right)) {
+      tokenPlayerNum = 2;
+    }
+    if (tokenPlayerNum !== null) {
+      if (playerNum !== null && playerNum !== tokenPlayerNum) {
+        throw new ServeCodeSyntaxError(
+          rawToken.offset,
+          `Player ${tokenPlayerNum} token in a player ${playerNum} serve code`
+        );
+      }
+      playerNum = tokenPlayerNum;
+    }
+
+    const read = tokenPlayerNum === 2 ? right : left;
+    tokens.push({
+      offset: rawToken.offset,
+      text: rawToken.text,
+      playerNum: tokenPlayerNum,
+      input: read.input,
+      held: read.held,
+      xDirection: read.xDirection,
+      yDirection: read.yDirection,
+      powerHit: read.powerHit,
+      count: rawToken.count,
+    });
+  };
+
+  const readyTokens = [];
+  let bodyStart = 0;
+  const readyStart = code.search(/\S/);
+  if (readyStart !== -1 && code[readyStart] === '(') {
+    const readyEnd = code.indexOf(')', readyStart);
+    if (readyEnd === -1) {
+      throw new ServeCodeSyntaxError(
+        code.length,
+        'Missing ")" at the end of the ready section'
+      );
+    }
+    if (!/\S/.test(code.slice(readyStart + 1, readyEnd))) {
+      throw new ServeCodeSyntaxError(readyStart, 'The ready section is empty');
+    }
+    readTokens(code, readyStart + 1, readyEnd, false, pushTo(readyTokens));
+    bodyStart = readyEnd + 1;
+  }
+  const tokens = [];
+  readTokens(code, bodyStart, code.length, false, pushTo(tokens));
+
+  return {
+    playerNum: playerNum,
+    tokens: tokens,
+    readyTokens: readyTokens,
+  };
+}
+
+/**
+ * Parse the rally code, whose tokens can have inputs on both sides of "/"
+ * @param {string} code ex) "UL/R3-/L5"
+ * @return {RallyCodeToken[]}
+ * @throws {ServeCodeSyntaxError} if the code is malformed
+ */
+export function parseRallyCode(code) {
+  const tokens = [];
+  readTokens(code, 0, code.length, true, (rawToken) => {
+    tokens.push({
+      offset: rawToken.offset,
+      text: rawToken.text,
+      player1Input: rawToken.left.input,
+      player2Input: rawToken.right.input,
+      count: rawToken.count,
+    });
+  });
+  return tokens;
+}
+
+/**
+ * Validate the serve code
+ * @param {string} code
+ * @return {ServeCodeSyntaxError} null if the code is valid
+ */
+export function validateServeCode(code) {
+  try {
+    parseServeCode(code);
+  } catch (err) {
+    if (err instanceof ServeCodeSyntaxError) {
+      return err;
+    }
+    throw err;
+  }
+  return null;
+}
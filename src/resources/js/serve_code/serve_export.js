@@ -0,0 +1,158 @@
+/**
+ * This module exports the serve history as a CSV or JSON file, for analyzing serves in a spreadsheet.
+ */
+'use strict';
+import { saveAs } from 'file-saver';
+
+/** @typedef {import('./serve_history.js').ServeHistoryEntry} ServeHistoryEntry */
+
+/**
+ * Columns of the exported rows, in order
+ * @constant @type {string[]}
+ */
+const COLUMNS = [
+  'id',
+  'time',
+  'code',
+  'side',
+  'fps',
+  'roomID',
+  'seed',
+  'player1Score',
+  'player2Score',
+  'landed',
+  'landingFrame',
+  'landingX',
+  'landingSide',
+  'contactFrame',
+  'contactXVelocity',
+  'contactYVelocity',
+  'isPowerHit',
+  'hitNetPillar',
+  'hitWall',
+  'isReceiverAI',
+  'returned',
+  'netCrossingFrame',
+];
+
+/**
+ * Convert the history entry to a flat row with the columns in {@link COLUMNS}.
+ * The values not recorded are null.
+ * @param {ServeHistoryEntry} entry
+ * @return {Object.<string, string|number|boolean>}
+ */
+export function convertServeHistoryEntryToRow(entry) {
+  const outcome = entry.outcome;
+  const contact = outcome ? outcome.serveContact : null;
+  const roomID = entry.roomID === undefined ? null : entry.roomID;
+  return {
+    id: entry.id,
+    time: new Date(entry.timestamp).toISOString(),
+    code: entry.code,
+    side: entry.playerNum,
+    fps: entry.fps,
+    roomID: roomID,
+    // the RNG is seeded with the part after "uzaramen", see "main.js"
+    seed: roomID === null ? null : roomID.slice(8),
+    player1Score: entry.scores[0],
+    player2Score: entry.scores[1],
+    landed: outcome ? outcome.landed : null,
+    landingFrame: outcome ? outcome.landingFrame : null,
+    landingX: outcome ? outcome.landingX : null,
+    landingSide: outcome ? outcome.landingSide : null,
+    contactFrame: contact ? contact.frame : null,
+    contactXVelocity: contact ? contact.xVelocity : null,
+    contactYVelocity: contact ? contact.yVelocity : null,
+    isPowerHit: outcome ? outcome.isPowerHit : null,
+    hitNetPillar: outcome ? outcome.hitNetPillar : null,
+    hitWall: outcome ? outcome.hitWall : null,
+    // outcomes recorded before the receiving AI was restored do not have these
+    isReceiverAI: outcome ? Boolean(outcome.isReceiverAI) : null,
+    returned: outcome ? Boolean(outcome.returned) : null,
+    netCrossingFrame:
+      outcome && outcome.netCrossingFrame !== undefined
+        ? outcome.netCrossingFrame
+        : null,
+  };
+}
+
+/**
+ * Escape the value as a CSV field (RFC 4180)
+ * @param {string|number|boolean} value null for an empty field
+ * @return {string}
+ */
+function escapeCSVField(value) {
+  if (value === null) {
+    return '';
+  }
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Convert the history entries to a CSV text with a header row
+ * @param {ServeHistoryEntry[]} entries
+ * @return {string}
+ */
+export function convertServeHistoryToCSV(entries) {
+  const lines = [COLUMNS.join(',')];
+  for (const entry of entries) {
+    const row = convertServeHistoryEntryToRow(entry);
+    lines.push(COLUMNS.map((column) => escapeCSVField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Convert the history entries to a JSON text.
+ * Unlike the CSV, every contact of each serve is kept.
+ * @param {ServeHistoryEntry[]} entries
+ * @return {string}
+ */
+export function convertServeHistoryToJSON(entries) {
+  const rows = entries.map((entry) => {
+    const row = convertServeHistoryEntryToRow(entry);
+    row.contacts = entry.outcome ? entry.outcome.contacts : [];
+    return row;
+  });
+  return JSON.stringify(rows, null, 2);
+}
+
+/**
+ * Make a file name stamped with the current time
+ * @param {string} extension ex) "csv"
+ * @return {string} ex) "20250101_1234_serves.csv"
+ */
+function makeFilename(extension) {
+  const d = new Date();
+  return `${d.getFullYear()}${('0' + (d.getMonth() + 1)).slice(-2)}${(
+    '0' + d.getDate()
+  ).slice(-2)}_${('0' + d.getHours()).slice(-2)}${('0' + d.getMinutes()).slice(
+    -2
+  )}_serves.${extension}`;
+}
+
+/**
+ * Save the history entries as a CSV file
+ * @param {ServeHistoryEntry[]} entries
+ */
+export function saveServeHistoryAsCSV(entries) {
+  const blob = new Blob([convertServeHistoryToCSV(entries)], {
+    type: 'text/csv;charset=utf-8',
+  });
+  saveAs(blob, makeFilename('csv'), { autoBom: true });
+}
+
+/**
+ * Save the history entries as a JSON file
+ * @param {ServeHistoryEntry[]} entries
+ */
+export function saveServeHistoryAsJSON(entries) {
+  const blob = new Blob([convertServeHistoryToJSON(entries)], {
+    type: 'application/json;charset=utf-8',
+  });
+  saveAs(blob, makeFilename('json'));
+}
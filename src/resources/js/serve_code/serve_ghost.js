@@ -0,0 +1,98 @@
+/**
+ * This module is the model of the "ghost": a reference serve acted out by a second physics pack
+ * in sync with the round start, so that the player can match its timing visually.
+ *
+ * The ghost physics pack has its own RNG, seeded again on each reset.
+ * The physics engine draws from the RNG on every reset (e.g. the computer boldness of each player),
+ * so sharing the RNG of the game would change the random sequence of the game being played
+ * and its replay would go out of sync.
+ */
+'use strict';
+import seedrandom from 'seedrandom';
+import { PikaUserInput } from '../physics.js';
+import { setCustomRng } from '../rand.js';
+import { decodeServeCode, mirrorServeCode } from './serve_code.js';
+import { createPhysicsForServe, preservingRng } from './serve_simulator.js';
+
+/** @constant @type {string} seed of the RNG of the ghost */
+const GHOST_RNG_SEED = 'serve-ghost';
+
+/** @typedef {import('../physics.js').PikaPhysics} PikaPhysics */
+/** @typedef {import('./serve_code_parser.js').ServeCodeSyntaxError} ServeCodeSyntaxError */
+
+/**
+ * Class representing a ghost of a reference serve
+ */
+export class ServeGhost {
+  /**
+   * Create a ghost. If the code is on the other side of the player, it is mirrored to the player's side.
+   * @param {string} code reference serve code
+   * @param {number} playerNum 1 or 2, the side of the player who practices
+   * @throws {ServeCodeSyntaxError} if the code is malformed
+   */
+  constructor(code, playerNum) {
+    let decoded = decodeServeCode(code, playerNum);
+    if (decoded.playerNum !== playerNum) {
+      decoded = decodeServeCode(mirrorServeCode(code), playerNum);
+    }
+    /** @type {string} */
+    this.code = code;
+    /** @type {number} 1 or 2, the side of the ghost */
+    this.playerNum = decoded.playerNum;
+    /** @type {PikaUserInput[]} */
+    this.inputs = decoded.inputs;
+    /** @type {PikaPhysics} */
+    this.physics = null;
+    /** @type {function():number} RNG used while the ghost physics pack runs */
+    this.rng = null;
+    /** @type {number} number of frames stepped since the round start */
+    this.frame = 0;
+    /** @type {boolean} Has the ghost ball touched ground? */
+    this.landed = false;
+    this.reset();
+  }
+
+  /**
+   * Put the ghost back to the round start
+   */
+  reset() {
+    this.rng = seedrandom.alea(GHOST_RNG_SEED);
+    this.physics = this.withOwnRng(() => createPhysicsForServe(this.playerNum));
+    this.frame = 0;
+    this.landed = false;
+  }
+
+  /**
+   * Call the function with the RNG of the ghost, leaving the RNG of the game untouched
+   * @template T
+   * @param {function():T} fn
+   * @return {T} return value of fn
+   */
+  withOwnRng(fn) {
+    return preservingRng(() => {
+      setCustomRng(this.rng);
+      return fn();
+    });
+  }
+
+  /**
+   * Step the ghost physics pack for a frame.
+   * After the ghost ball touches ground, the ghost stays still.
+   */
+  step() {
+    if (this.landed) {
+      return;
+    }
+    const noInput = new PikaUserInput();
+    const input =
+      this.frame < this.inputs.length ? this.inputs[this.frame] : noInput;
+    // the computer writes its decision on its user input object
+    const computerInput = new PikaUserInput();
+    const userInputArray =
+      this.playerNum === 1 ? [input, computerInput] : [computerInput, input];
+    this.landed = this.withOwnRng(() =>
+      this.physics.runEngineForNextFrame(userInputArray)
+    );
+    this.frame++;
+  }
+}
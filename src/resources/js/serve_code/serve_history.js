@@ -0,0 +1,166 @@
+/**
+ * This module keeps the history of the serve codes encoded in this session.
+ * The history is saved in the localStorage so that it survives a page reload.
+ */
+'use strict';
+import { localStorageWrapper } from '../utils/local_storage_wrapper.js';
+import { isServeOutcome } from './serve_outcome.js';
+
+/** @typedef {import('./serve_outcome.js').ServeOutcome} ServeOutcome */
+
+/** @constant @type {string} localStorage key for the serve history */
+const STORAGE_KEY = 'pv-offline-serve-history';
+/** @constant @type {number} maximum number of entries kept in the history, older ones are dropped */
+const MAX_ENTRIES = 500;
+
+/**
+ * @typedef ServeHistoryEntry
+ * @property {number} id
+ * @property {string} code serve code as it is shown on the code viewer
+ * @property {number} timestamp milliseconds since the epoch when the serve was encoded
+ * @property {number} playerNum 1 or 2, the side of the player who served
+ * @property {number} fps game speed (normalFPS) when the serve was encoded
+ * @property {number[]} scores [0]: player 1 score, [1]: player 2 score when the serve was encoded
+ * @property {string} roomID room ID which the RNG was seeded with, ex) "uzaramen12345", undefined if it was not recorded
+ * @property {ServeOutcome} outcome outcome of the serve, undefined if it was not recorded
+ */
+
+/**
+ * Is the value read back from the localStorage a well-formed entry?
+ * @param {*} entry
+ * @return {boolean}
+ */
+function isValidEntry(entry) {
+  return (
+    typeof entry === 'object' &&
+    entry !== null &&
+    Number.isInteger(entry.id) &&
+    typeof entry.code === 'string' &&
+    typeof entry.timestamp === 'number' &&
+    (entry.playerNum === 1 || entry.playerNum === 2) &&
+    typeof entry.fps === 'number' &&
+    Array.isArray(entry.scores) &&
+    entry.scores.length === 2 &&
+    entry.scores.every((score) => typeof score === 'number') &&
+    (entry.roomID === undefined || typeof entry.roomID === 'string') &&
+    (entry.outcome === undefined || isServeOutcome(entry.outcome))
+  );
+}
+
+/**
+ * Class representing the serve history
+ */
+class ServeHistory {
+  constructor() {
+    /** @type {ServeHistoryEntry[]} oldest first */
+    this.entries = [];
+    /** @type {number} id for the next entry */
+    this.nextID = 0;
+  }
+
+  /**
+   * Load the history saved in the localStorage. Malformed entries are dropped.
+   */
+  load() {
+    const saved = localStorageWrapper.get(STORAGE_KEY);
+    if (saved === null) {
+      return;
+    }
+    try {
+      const parsed = JSON.parse(saved);
+      if (!parsed || !Array.isArray(parsed.entries)) {
+        throw new Error('Malformed serve history');
+      }
+      this.entries = parsed.entries.filter(isValidEntry);
+      // ids must not be reused even if nextID is malformed
+      this.nextID = this.entries.reduce(
+        (nextID, entry) => Math.max(nextID, entry.id + 1),
+        Number.isInteger(parsed.nextID) ? parsed.nextID : 0
+      );
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  /**
+   * Save the history to the localStorage
+   */
+  save() {
+    localStorageWrapper.set(
+      STORAGE_KEY,
+      JSON.stringify({ nextID: this.nextID, entries: this.entries })
+    );
+  }
+
+  /**
+   * Add a serve to the history
+   * @param {string} code
+   * @param {number} playerNum 1 or 2
+   * @param {number} fps
+   * @param {number[]} scores
+   * @param {string} roomID
+   * @param {ServeOutcome} outcome
+   * @return {ServeHistoryEntry} the added entry
+   */
+  add(code, playerNum, fps, scores, roomID, outcome) {
+    const entry = {
+      id: this.nextID,
+      code: code,
+      timestamp: Date.now(),
+      playerNum: playerNum,
+      fps: fps,
+      scores: scores.slice(),
+      roomID: roomID,
+      outcome: outcome,
+    };
+    this.nextID++;
+    this.entries.push(entry);
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.splice(0, this.entries.length - MAX_ENTRIES);
+    }
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Get the entry
+   * @param {number} id
+   * @return {ServeHistoryEntry} undefined if there is no such entry
+   */
+  get(id) {
+    return this.entries.find((entry) => entry.id === id);
+  }
+
+  /**
+   * Get the latest entry of the code
+   * @param {string} code
+   * @return {ServeHistoryEntry} undefined if there is no such entry
+   */
+  findLatestByCode(code) {
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      if (this.entries[i].code === code) {
+        return this.entries[i];
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Remove the entry
+   * @param {number} id
+   */
+  remove(id) {
+    this.entries = this.entries.filter((entry) => entry.id !== id);
+    this.save();
+  }
+
+  /**
+   * Remove all the entries
+   */
+  clear() {
+    this.entries = [];
+    this.save();
+  }
+}
+
+export const serveHistory = new ServeHistory();
@@ -0,0 +1,329 @@
+/**
+ * This module keeps the serve library: serve codes saved under a name, with tags and notes.
+ * Unlike the serve history, the entries are kept until the user deletes them.
+ * The library is saved in the localStorage and can be exported to or imported from a JSON file.
+ */
+'use strict';
+import { saveAs } from 'file-saver';
+import { localStorageWrapper } from '../utils/local_storage_wrapper.js';
+import { parseServeCode } from './serve_code_parser.js';
+import { isServeOutcome } from './serve_outcome.js';
+
+/** @typedef {import('./serve_outcome.js').ServeOutcome} ServeOutcome */
+
+/** @constant @type {string} localStorage key for the serve library */
+const STORAGE_KEY = 'pv-offline-serve-library';
+/** @constant @type {string} version written in the exported file */
+const FILE_VERSION = 'serve-library-1';
+
+/**
+ * @typedef ServeLibraryEntry
+ * @property {number} id
+ * @property {string} name
+ * @property {string} code serve code as it is shown on the code viewer
+ * @property {number} playerNum 1 or 2, the side of the serving player
+ * @property {string[]} tags ex) ["jump-smash", "short"]
+ * @property {string} notes free text
+ * @property {ServeOutcome} outcome recorded outcome of the serve, null if there is none
+ * @property {string} roomID room ID which the RNG was seeded with, null if unknown
+ * @property {number} createdAt milliseconds since the epoch
+ * @property {number} updatedAt milliseconds since the epoch
+ */
+
+/**
+ * @typedef NewServeLibraryEntry
+ * @property {string} name
+ * @property {string} code
+ * @property {number} [playerNum] side used if it can not be told from the code, 1 by default
+ * @property {string[]} [tags]
+ * @property {string} [notes]
+ * @property {ServeOutcome} [outcome]
+ * @property {string} [roomID]
+ */
+
+/**
+ * Sort orders of {@link ServeLibrary#search}
+ * @enum {string}
+ */
+export const ServeLibrarySortOrder = {
+  newest: 'newest',
+  oldest: 'oldest',
+  name: 'name',
+  landingX: 'landingX',
+};
+
+/**
+ * Split a comma separated text to tags. Tags are trimmed, lower-cased and deduplicated.
+ * @param {string} text ex) "jump-smash, Short"
+ * @return {string[]} ex) ["jump-smash", "short"]
+ */
+export function parseTags(text) {
+  const tags = [];
+  for (const part of text.split(',')) {
+    const tag = part.trim().toLowerCase();
+    if (tag !== '' && tags.indexOf(tag) === -1) {
+      tags.push(tag);
+    }
+  }
+  return tags;
+}
+
+/**
+ * Is the value read back from the localStorage a well-formed entry?
+ * @param {*} entry
+ * @return {boolean}
+ */
+function isValidEntry(entry) {
+  return (
+    typeof entry === 'object' &&
+    entry !== null &&
+    Number.isInteger(entry.id) &&
+    typeof entry.name === 'string' &&
+    typeof entry.code === 'string' &&
+    (entry.playerNum === 1 || entry.playerNum === 2) &&
+    Array.isArray(entry.tags) &&
+    entry.tags.every((tag) => typeof tag === 'string') &&
+    typeof entry.notes === 'string' &&
+    (entry.outcome === null || isServeOutcome(entry.outcome)) &&
+    (entry.roomID === null || typeof entry.roomID === 'string') &&
+    typeof entry.createdAt === 'number' &&
+    typeof entry.updatedAt === 'number'
+  );
+}
+
+/**
+ * Class representing the serve library
+ */
+class ServeLibrary {
+  constructor() {
+    /** @type {ServeLibraryEntry[]} oldest first */
+    this.entries = [];
+    /** @type {number} id for the next entry */
+    this.nextID = 0;
+  }
+
+  /**
+   * Load the library saved in the localStorage. Malformed entries are dropped.
+   */
+  load() {
+    const saved = localStorageWrapper.get(STORAGE_KEY);
+    if (saved === null) {
+      return;
+    }
+    try {
+      const parsed = JSON.parse(saved);
+      if (!parsed || !Array.isArray(parsed.entries)) {
+        throw new Error('Malformed serve library');
+      }
+      this.entries = parsed.entries.filter(isValidEntry);
+      // ids must not be reused even if nextID is malformed
+      this.nextID = this.entries.reduce(
+        (nextID, entry) => Math.max(nextID, entry.id + 1),
+        Number.isInteger(parsed.nextID) ? parsed.nextID : 0
+      );
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  /**
+   * Save the library to the localStorage
+   */
+  save() {
+    localStorageWrapper.set(
+      STORAGE_KEY,
+      JSON.stringify({ nextID: this.nextID, entries: this.entries })
+    );
+  }
+
+  /**
+   * Add a serve to the library
+   * @param {NewServeLibraryEntry} newEntry
+   * @return {ServeLibraryEntry} the added entry
+   * @throws {import('./serve_code_parser.js').ServeCodeSyntaxError} if the code is malformed
+   */
+  add(newEntry) {
+    const entry = this._createEntry(newEntry);
+    this.entries.push(entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Get the entry
+   * @param {number} id
+   * @return {ServeLibraryEntry} undefined if there is no such entry
+   */
+  get(id) {
+    return this.entries.find((entry) => entry.id === id);
+  }
+
+  /**
+   * Change the name, tags or notes of the entry
+   * @param {number} id
+   * @param {{name?: string, tags?: string[], notes?: string}} changes
+   */
+  update(id, changes) {
+    const entry = this.get(id);
+    if (!entry) {
+      return;
+    }
+    if (changes.name !== undefined) {
+      entry.name = changes.name;
+    }
+    if (changes.tags !== undefined) {
+      entry.tags = changes.tags.slice();
+    }
+    if (changes.notes !== undefined) {
+      entry.notes = changes.notes;
+    }
+    entry.updatedAt = Date.now();
+    this.save();
+  }
+
+  /**
+   * Remove the entry
+   * @param {number} id
+   */
+  remove(id) {
+    this.entries = this.entries.filter((entry) => entry.id !== id);
+    this.save();
+  }
+
+  /**
+   * Search the library.
+   * An entry matches if every word of the query is found in its name, code, tags or notes (case-insensitive).
+   * @param {string} query words separated by spaces, "" matches every entry
+   * @param {string} sortOrder ServeLibrarySortOrder enum
+   * @return {ServeLibraryEntry[]}
+   */
+  search(query, sortOrder) {
+    const words = query
+      .toLowerCase()
+      .split(/\s+/)
+      .filter((word) => word);
+    const found = this.entries.filter((entry) => {
+      const text = [entry.name, entry.code, entry.notes]
+        .concat(entry.tags)
+        .join(' ')
+        .toLowerCase();
+      return words.every((word) => text.indexOf(word) !== -1);
+    });
+    switch (sortOrder) {
+      case ServeLibrarySortOrder.oldest:
+        found.sort((a, b) => a.createdAt - b.createdAt);
+        break;
+      case ServeLibrarySortOrder.name:
+        found.sort((a, b) => a.name.localeCompare(b.name));
+        break;
+      case ServeLibrarySortOrder.landingX: {
+        // entries which did not land go last
+        const landingX = (entry) =>
+          entry.outcome && entry.outcome.landed
+            ? entry.outcome.landingX
+            : Infinity;
+        found.sort((a, b) => landingX(a) - landingX(b));
+        break;
+      }
+      default:
+        found.sort((a, b) => b.createdAt - a.createdAt);
+        break;
+    }
+    return found;
+  }
+
+  /**
+   * Save the whole library as a JSON file
+   */
+  exportAsFile() {
+    const pack = {
+      version: FILE_VERSION,
+      entries: this.entries,
+    };
+    const blob = new Blob([JSON.stringify(pack, null, 2)], {
+      type: 'application/json;charset=utf-8',
+    });
+    const d = new Date();
+    const filename = `${d.getFullYear()}${('0' + (d.getMonth() + 1)).slice(
+      -2
+    )}${('0' + d.getDate()).slice(-2)}_serve_library.json`;
+    saveAs(blob, filename);
+  }
+
+  /**
+   * Import the entries of a JSON file exported by {@link ServeLibrary#exportAsFile}.
+   * The imported entries are added to the library with new ids.
+   * Entries without a code or with a malformed code are skipped,
+   * and malformed optional fields (tags, notes, outcome, ...) are dropped.
+   * @param {string} text content of the file
+   * @return {number} number of the imported entries
+   * @throws {Error} if the file is not a serve library file
+   */
+  importFromJSON(text) {
+    const pack = JSON.parse(text);
+    if (
+      !pack ||
+      pack.version !== FILE_VERSION ||
+      !Array.isArray(pack.entries)
+    ) {
+      throw new Error('Not a serve library file');
+    }
+    let count = 0;
+    for (const imported of pack.entries) {
+      if (
+        typeof imported !== 'object' ||
+        imported === null ||
+        typeof imported.code !== 'string'
+      ) {
+        continue;
+      }
+      let entry;
+      try {
+        entry = this._createEntry(imported);
+      } catch (err) {
+        console.error(err);
+        continue;
+      }
+      if (typeof imported.createdAt === 'number') {
+        entry.createdAt = imported.createdAt;
+      }
+      this.entries.push(entry);
+      count++;
+    }
+    this.save();
+    return count;
+  }
+
+  /**
+   * Create an entry with a new id
+   * @param {NewServeLibraryEntry} newEntry
+   * @return {ServeLibraryEntry}
+   * @throws {import('./serve_code_parser.js').ServeCodeSyntaxError} if the code is malformed
+   */
+  _createEntry(newEntry) {
+    const code = String(newEntry.code).trim();
+    let playerNum = parseServeCode(code).playerNum;
+    if (playerNum === null) {
+      playerNum = newEntry.playerNum === 2 ? 2 : 1;
+    }
+    const now = Date.now();
+    const entry = {
+      id: this.nextID,
+      name: String(newEntry.name || code),
+      code: code,
+      playerNum: playerNum,
+      tags: Array.isArray(newEntry.tags)
+        ? newEntry.tags.filter((tag) => typeof tag === 'string')
+        : [],
+      notes: newEntry.notes ? String(newEntry.notes) : '',
+      outcome: isServeOutcome(newEntry.outcome) ? newEntry.outcome : null,
+      roomID: typeof newEntry.roomID === 'string' ? newEntry.roomID : null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.nextID++;
+    return entry;
+  }
+}
+
+export const serveLibrary = new ServeLibrary();
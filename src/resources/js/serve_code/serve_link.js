@@ -0,0 +1,73 @@
+/**
+ * This module builds and parses a link which shares a serve code through the URL fragment.
+ *
+ * ex) https://example.com/en/#code=U%2F3-%2F4-UH%2F1-%2F30&side=1&speed=medium
+ *
+ * "code" is the serve code as it is shown on the code viewer, "side" is the side of the serving player,
+ * and "speed" is the game speed option ("slow", "medium" or "fast").
+ * Only "code" is required.
+ *
+ * The RNG seed is not shared. The clouds and the wave draw from the same RNG on every frame,
+ * so seeding the RNG of the game again does not reproduce the random sequence the serve was played with.
+ * A "seed" in a link made before is ignored.
+ */
+'use strict';
+import { parseServeCode } from './serve_code_parser.js';
+
+/** @typedef {import('./serve_code_parser.js').ServeCodeSyntaxError} ServeCodeSyntaxError */
+
+/**
+ * @typedef SharedServe
+ * @property {string} code serve code as it is shown on the code viewer
+ * @property {number} playerNum 1 or 2, the side of the serving player
+ * @property {string} [speed] "slow", "medium" or "fast"
+ */
+
+/** @constant @type {string[]} values of the speed option */
+const SPEEDS = ['slow', 'medium', 'fast'];
+
+/**
+ * Build a link sharing the serve
+ * @param {string} baseURL URL of the page without the fragment
+ * @param {SharedServe} sharedServe
+ * @return {string}
+ */
+export function buildServeLink(baseURL, sharedServe) {
+  const params = new URLSearchParams();
+  params.set('code', sharedServe.code);
+  params.set('side', String(sharedServe.playerNum));
+  if (sharedServe.speed) {
+    params.set('speed', sharedServe.speed);
+  }
+  return `${baseURL}#${params.toString()}`;
+}
+
+/**
+ * Parse the URL fragment of a link built by {@link buildServeLink}.
+ * If the side in the fragment does not match the code, the side of the code is used.
+ * An unknown speed is ignored.
+ * @param {string} hash URL fragment, with or without the leading "#"
+ * @return {SharedServe} null if the fragment does not have a serve code
+ * @throws {ServeCodeSyntaxError} if the serve code is malformed
+ */
+export function parseServeLink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const code = params.get('code');
+  if (code === null) {
+    return null;
+  }
+  const parsed = parseServeCode(code);
+  let playerNum = parsed.playerNum;
+  if (playerNum === null) {
+    playerNum = params.get('side') === '2' ? 2 : 1;
+  }
+  const sharedServe = {
+    code: code.trim(),
+    playerNum: playerNum,
+  };
+  const speed = params.get('speed');
+  if (SPEEDS.indexOf(speed) !== -1) {
+    sharedServe.speed = speed;
+  }
+  return sharedServe;
+}
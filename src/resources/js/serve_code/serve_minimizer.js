@@ -0,0 +1,316 @@
+/**
+ * This module minimizes serve codes and checks whether two serve codes are equivalent.
+ *
+ * Two serve codes are equivalent if simulating them gives the same state of the physics pack
+ * (both players and the ball) on every frame until the ball touches ground.
+ * The strings of equivalent codes can be quite different: many recorded codes include inputs
+ * which change nothing, such as x-direction presses while the player is in a state that ignores them,
+ * or presses after the ball touches ground.
+ *
+ * The minimizer strips or merges those inputs as long as the state trace stays the same.
+ * It greedily replaces a run of the same input (a token), and then a single frame,
+ * with the input of a neighboring run, with no input or with one letter fewer,
+ * and keeps the replacement if the code gets shorter and stays equivalent.
+ */
+'use strict';
+import {
+  decodeServeCode,
+  decodeInputLetters,
+  encodeInputLetters,
+  encodeServeCode,
+} from './serve_code.js';
+import { parseServeCode } from './serve_code_parser.js';
+import { createPhysicsForServe, traceServe } from './serve_simulator.js';
+
+/** @typedef {import('./serve_simulator.js').PhysicsSnapshot} PhysicsSnapshot */
+/** @typedef {import('./serve_code_parser.js').ServeCodeSyntaxError} ServeCodeSyntaxError */
+
+/**
+ * @typedef EquivalenceOptions
+ * @property {string} [roomID] room ID for the RNG, ex) "uzaramen12345"
+ * @property {number} [defaultPlayerNum] 1 or 2, the side used if it can not be told from the code
+ * @property {number} [maxFrames] maximum number of frames to simulate
+ */
+
+/**
+ * @typedef ServeEquivalence
+ * @property {boolean} equivalent
+ * @property {number} frames number of frames of the state trace of the first code
+ * @property {number} otherFrames number of frames of the state trace of the other code
+ * @property {number} firstDifferentFrame frame on which the states differ first, -1 if equivalent
+ * @property {string[]} differentParts parts of the state which differ on that frame,
+ *                                     some of "player1", "player2" and "ball"
+ */
+
+/**
+ * @typedef MinimizedServe
+ * @property {string} code shortest equivalent code found, as it is shown on the code viewer
+ * @property {number} playerNum 1 or 2
+ * @property {number} tokenCount number of tokens of the minimized code
+ * @property {number} originalTokenCount number of tokens of the original code
+ * @property {number} frames number of frames of the state trace
+ */
+
+/** @constant @type {string[]} parts of a physics snapshot */
+const SNAPSHOT_PARTS = ['player1', 'player2', 'ball'];
+
+/**
+ * Compare two state traces
+ * @param {PhysicsSnapshot[]} trace
+ * @param {PhysicsSnapshot[]} otherTrace
+ * @return {ServeEquivalence}
+ */
+function compareTraces(trace, otherTrace) {
+  const frames = Math.max(trace.length, otherTrace.length);
+  for (let frame = 0; frame < frames; frame++) {
+    const snapshot = trace[frame];
+    const otherSnapshot = otherTrace[frame];
+    let differentParts;
+    if (snapshot === undefined || otherSnapshot === undefined) {
+      // the ball touched ground in one trace only
+      differentParts = ['ball'];
+    } else {
+      differentParts = SNAPSHOT_PARTS.filter(
+        (part) => snapshot[part] !== otherSnapshot[part]
+      );
+    }
+    if (differentParts.length > 0) {
+      return {
+        equivalent: false,
+        frames: trace.length,
+        otherFrames: otherTrace.length,
+        firstDifferentFrame: frame,
+        differentParts: differentParts,
+      };
+    }
+  }
+  return {
+    equivalent: true,
+    frames: trace.length,
+    otherFrames: otherTrace.length,
+    firstDifferentFrame: -1,
+    differentParts: [],
+  };
+}
+
+/**
+ * Simulate the input letters of each frame and record the state trace
+ * @param {string[]} letters input letters of each frame
+ * @param {number} playerNum
+ * @param {string} roomID
+ * @param {number} [maxFrames]
+ * @return {PhysicsSnapshot[]}
+ */
+function traceLetters(letters, playerNum, roomID, maxFrames) {
+  return traceServe(
+    createPhysicsForServe(playerNum, roomID),
+    playerNum,
+    letters.map((input) => decodeInputLetters(input)),
+    maxFrames
+  );
+}
+
+/**
+ * Check whether the two serve codes give the same state trace.
+ * Note that the RNG is seeded again for each simulation.
+ * @param {string} code
+ * @param {string} otherCode
+ * @param {EquivalenceOptions} [options]
+ * @return {ServeEquivalence}
+ * @throws {ServeCodeSyntaxError} if a code is malformed
+ */
+export function checkServeEquivalence(code, otherCode, options = {}) {
+  const roomID = options.roomID || 'uzaramen0';
+  const defaultPlayerNum = options.defaultPlayerNum || 1;
+  const traces = [code, otherCode].map((eachCode) => {
+    const decoded = decodeServeCode(eachCode, defaultPlayerNum);
+    return traceServe(
+      createPhysicsForServe(decoded.playerNum, roomID),
+      decoded.playerNum,
+      decoded.inputs,
+      options.maxFrames
+    );
+  });
+  return compareTraces(traces[0], traces[1]);
+}
+
+/**
+ * Cost of the input letters: the number of tokens first, and then the number of pressed letters
+ * @param {string[]} letters input letters of each frame
+ * @return {number[]} [tokens, pressed letters]
+ */
+function costOf(letters) {
+  let tokens = 0;
+  let pressed = 0;
+  for (let frame = 0; frame < letters.length; frame++) {
+    if (frame === 0 || letters[frame] !== letters[frame - 1]) {
+      tokens++;
+    }
+    pressed += letters[frame].length;
+  }
+  return [tokens, pressed];
+}
+
+/**
+ * @param {number[]} cost
+ * @param {number[]} otherCost
+ * @return {boolean} Is the cost lower than the other one?
+ */
+function isLowerCost(cost, otherCost) {
+  return (
+    cost[0] < otherCost[0] ||
+    (cost[0] === otherCost[0] && cost[1] < otherCost[1])
+  );
+}
+
+/**
+ * Remove "no input" frames at the end, which are the same as no frames at all.
+ * At least one frame is kept so that the code is not empty.
+ * @param {string[]} letters input letters of each frame
+ * @return {string[]}
+ */
+function trimTrailingNoInput(letters) {
+  let end = letters.length;
+  while (end > 1 && letters[end - 1] === '') {
+    end--;
+  }
+  return letters.slice(0, end);
+}
+
+/**
+ * Make the replacements to try for the input letters
+ * @param {string} current input letters to replace
+ * @param {string[]} neighbors input letters of the neighboring runs or frames
+ * @return {string[]}
+ */
+function makeReplacements(current, neighbors) {
+  const replacements = [];
+  const push = (letters) => {
+    if (letters !== current && replacements.indexOf(letters) === -1) {
+      replacements.push(letters);
+    }
+  };
+  neighbors.forEach(push);
+  push('');
+  for (let i = 0; i < current.length; i++) {
+    push(current.slice(0, i) + current.slice(i + 1));
+  }
+  return replacements;
+}
+
+/**
+ * Find the shortest code equivalent to the serve code.
+ * Note that the RNG is seeded again for each simulation.
+ * @param {string} code ex) "L/3-UL/1-L/20-LH/1-L/40"
+ * @param {EquivalenceOptions} [options]
+ * @return {MinimizedServe}
+ * @throws {ServeCodeSyntaxError} if the code is malformed
+ */
+export function minimizeServeCode(code, options = {}) {
+  const roomID = options.roomID || 'uzaramen0';
+  const decoded = decodeServeCode(code, options.defaultPlayerNum || 1);
+  const playerNum = decoded.playerNum;
+  const originalLetters = decoded.inputs.map((input) =>
+    encodeInputLetters(input)
+  );
+  const trace = traceLetters(
+    originalLetters,
+    playerNum,
+    roomID,
+    options.maxFrames
+  );
+  const isEquivalent = (letters) =>
+    compareTraces(
+      trace,
+      traceLetters(letters, playerNum, roomID, options.maxFrames)
+    ).equivalent;
+
+  // inputs after the ball touches ground are never read
+  let letters = trimTrailingNoInput(originalLetters.slice(0, trace.length));
+  let cost = costOf(letters);
+  /**
+   * Keep the replacement of the frames in [start, end) if it makes the code shorter and equivalent
+   * @return {boolean} Is it kept?
+   */
+  const tryReplacing = (start, end, replacement) => {
+    const candidate = letters.slice();
+    for (let frame = start; frame < end; frame++) {
+      candidate[frame] = replacement;
+    }
+    const trimmed = trimTrailingNoInput(candidate);
+    const candidateCost = costOf(trimmed);
+    if (!isLowerCost(candidateCost, cost) || !isEquivalent(trimmed)) {
+      return false;
+    }
+    letters = trimmed;
+    cost = candidateCost;
+    return true;
+  };
+
+  let improved = true;
+  while (improved) {
+    improved = false;
+    // replace a whole run
+    const runs = [];
+    for (let frame = 0; frame < letters.length; frame++) {
+      if (frame === 0 || letters[frame] !== letters[frame - 1]) {
+        runs.push({ start: frame, end: frame + 1 });
+      } else {
+        runs[runs.length - 1].end = frame + 1;
+      }
+    }
+    for (let i = 0; i < runs.length && !improved; i++) {
+      const neighbors = [];
+      if (i > 0) neighbors.push(letters[runs[i - 1].start]);
+      if (i < runs.length - 1) neighbors.push(letters[runs[i + 1].start]);
+      const replacements = makeReplacements(letters[runs[i].start], neighbors);
+      for (const replacement of replacements) {
+        if (tryReplacing(runs[i].start, runs[i].end, replacement)) {
+          improved = true;
+          break;
+        }
+      }
+    }
+    // replace a single frame, which moves the boundary between runs
+    for (let frame = 0; frame < letters.length && !improved; frame++) {
+      const neighbors = [];
+      if (frame > 0) neighbors.push(letters[frame - 1]);
+      if (frame < letters.length - 1) neighbors.push(letters[frame + 1]);
+      const replacements = makeReplacements(letters[frame], neighbors);
+      for (const replacement of replacements) {
+        if (tryReplacing(frame, frame + 1, replacement)) {
+          improved = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return {
+    code: encodeServeCode(
+      letters.map((input) => decodeInputLetters(input)),
+      playerNum
+    ),
+    playerNum: playerNum,
+    tokenCount: cost[0],
+    originalTokenCount: parseServeCode(code).tokens.length,
+    frames: trace.length,
+  };
+}
+
+/**
+ * Describe the result of the equivalence check as a one-line text
+ * @param {ServeEquivalence} equivalence
+ * @return {string} ex) "equivalent: the same state on all 61 frames",
+ *                      "not equivalent: player 1 and ball differ first on frame 14"
+ */
+export function describeServeEquivalence(equivalence) {
+  if (equivalence.equivalent) {
+    return `equivalent: the same state on all ${equivalence.frames} frames`;
+  }
+  const parts = equivalence.differentParts
+    .map((part) => part.replace('player', 'player '))
+    .join(' and ');
+  const verb = equivalence.differentParts.length === 1 ? 'differs' : 'differ';
+  return `not equivalent: ${parts} ${verb} first on frame ${equivalence.firstDifferentFrame}`;
+}
@@ -0,0 +1,155 @@
+/**
+ * This module records the outcome of a serve from the physics pack, frame by frame.
+ * It is used both by the game and by the headless serve simulator so that they report the same outcome.
+ */
+'use strict';
+import { GROUND_HALF_WIDTH } from '../physics.js';
+
+/** @typedef {import('../physics.js').PikaPhysics} PikaPhysics */
+
+/**
+ * @typedef ServeContact
+ * @property {number} frame frame number of the contact (0 for the first frame of the round)
+ * @property {number} playerNum 1 or 2, the player who touched the ball
+ * @property {boolean} isPowerHit Was it a power hit?
+ * @property {number} xVelocity ball x velocity right after the contact
+ * @property {number} yVelocity ball y velocity right after the contact
+ */
+
+/**
+ * @typedef ServeOutcome
+ * @property {number} playerNum 1 or 2, the player who served
+ * @property {boolean} landed Did the ball touch ground?
+ * @property {number} landingFrame frame number when the ball touched ground, null if not landed
+ * @property {number} landingX ball.punchEffectX when the ball touched ground, null if not landed
+ * @property {number} landingSide 1: player 1 side (left), 2: player 2 side (right), null if not landed
+ * @property {ServeContact[]} contacts every contact between the ball and a player
+ * @property {ServeContact} serveContact the last contact by the serving player, null if there is none
+ * @property {boolean} isPowerHit Did a power hit happen?
+ * @property {boolean} hitNetPillar Did the ball bounce off the net pillar?
+ * @property {boolean} hitWall Did the ball bounce off a wall?
+ * @property {boolean} isReceiverAI Was the receiving player controlled by computer with a strategy that plays (not frozen)?
+ * @property {string} receiverStrategy name of the strategy of the receiving player, null if it is not controlled by computer
+ * @property {ServeContact} receiverContact the first contact by the receiving player, null if there is none
+ * @property {boolean} returned Did the receiving player touch the ball and send it back over the net?
+ * @property {number} netCrossingFrame frame on which the ball crossed GROUND_HALF_WIDTH
+ *                                     to the side of the receiving player first, null if it never did
+ */
+
+/**
+ * Does the value look like a ServeOutcome? It is for checking the outcomes read back from
+ * the localStorage or from a file, which may be of any shape.
+ * @param {*} value
+ * @return {boolean}
+ */
+export function isServeOutcome(value) {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    (value.playerNum === 1 || value.playerNum === 2) &&
+    typeof value.landed === 'boolean' &&
+    Array.isArray(value.contacts)
+  );
+}
+
+/**
+ * Class representing a recorder of the outcome of a serve
+ */
+export class ServeOutcomeRecorder {
+  /**
+   * Create a recorder
+   * @param {number} playerNum 1 or 2, the player who serves
+   */
+  constructor(playerNum) {
+    /** @type {ServeOutcome} */
+    this.outcome = {
+      playerNum: playerNum,
+      landed: false,
+      landingFrame: null,
+      landingX: null,
+      landingSide: null,
+      contacts: [],
+      serveContact: null,
+      isPowerHit: false,
+      hitNetPillar: false,
+      hitWall: false,
+      isReceiverAI: false,
+      receiverStrategy: null,
+      receiverContact: null,
+      returned: false,
+      netCrossingFrame: null,
+    };
+    /** @type {boolean[]} isCollisionWithBallHappened of each player on the previous frame */
+    this.wasCollisionHappened = [false, false];
+  }
+
+  /**
+   * Record what happened on the frame.
+   * It should be called right after each {@link PikaPhysics#runEngineForNextFrame} call.
+   * @param {PikaPhysics} physics
+   * @param {number} frame frame number (0 for the first frame of the round)
+   * @param {boolean} isBallTouchingGround return value of runEngineForNextFrame
+   */
+  recordFrame(physics, frame, isBallTouchingGround) {
+    const outcome = this.outcome;
+    const ball = physics.ball;
+    const players = [physics.player1, physics.player2];
+    const receiver = players[outcome.playerNum === 1 ? 1 : 0];
+    outcome.isReceiverAI =
+      receiver.isComputer && !receiver.computerStrategy.isFrozen;
+    outcome.receiverStrategy = receiver.isComputer
+      ? receiver.computerStrategy.name
+      : null;
+    for (let i = 0; i < 2; i++) {
+      const isHappened = players[i].isCollisionWithBallHappened;
+      if (!this.wasCollisionHappened[i] && isHappened) {
+        const contact = {
+          frame: frame,
+          playerNum: i + 1,
+          isPowerHit: ball.isPowerHit,
+          xVelocity: ball.xVelocity,
+          yVelocity: ball.yVelocity,
+        };
+        outcome.contacts.push(contact);
+        if (contact.playerNum === outcome.playerNum) {
+          outcome.serveContact = contact;
+        } else if (outcome.receiverContact === null) {
+          outcome.receiverContact = contact;
+        }
+        if (ball.isPowerHit) {
+          outcome.isPowerHit = true;
+        }
+      }
+      this.wasCollisionHappened[i] = isHappened;
+    }
+
+    const isBallOnServerSide =
+      outcome.playerNum === 1
+        ? ball.x < GROUND_HALF_WIDTH
+        : ball.x > GROUND_HALF_WIDTH;
+    if (outcome.receiverContact !== null && isBallOnServerSide) {
+      outcome.returned = true;
+    }
+    const isBallOnReceiverSide =
+      outcome.playerNum === 1
+        ? ball.x > GROUND_HALF_WIDTH
+        : ball.x < GROUND_HALF_WIDTH;
+    if (isBallOnReceiverSide && outcome.netCrossingFrame === null) {
+      outcome.netCrossingFrame = frame;
+    }
+
+    if (ball.bouncedOff.netPillar) {
+      outcome.hitNetPillar = true;
+    }
+    if (ball.bouncedOff.wall) {
+      outcome.hitWall = true;
+    }
+
+    if (isBallTouchingGround && !outcome.landed) {
+      outcome.landed = true;
+      outcome.landingFrame = frame;
+      outcome.landingX = ball.punchEffectX;
+      outcome.landingSide = ball.punchEffectX < GROUND_HALF_WIDTH ? 1 : 2;
+    }
+  }
+}
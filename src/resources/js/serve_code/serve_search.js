@@ -0,0 +1,200 @@
+/**
+ * This module searches for serve codes whose ball lands inside a target x-range on the opponent side.
+ *
+ * It explores input sequences of the usual shape of a serve within a frame budget:
+ *
+ *   move (none, left or right) for some frames
+ *   -> jump (up, up-left or up-right) for a frame, or no jump
+ *   -> hold a direction (none, left or right) for some frames
+ *   -> power hit with a direction for a frame
+ *
+ * Each candidate is run through the headless physics ("serve_simulator.js").
+ * A candidate is kept only if its power hit actually hits the ball, since otherwise the last input
+ * does nothing, and only the simplest of the candidates with the same landing is kept.
+ * The codes found are ranked by input simplicity (number of tokens), and then by timing tolerance
+ * ("serve_tolerance.js").
+ *
+ * It takes a while, so it is run in a Web Worker ("serve_search_worker.js") in the browser.
+ */
+'use strict';
+import { decodeInputLetters, encodeServeCode } from './serve_code.js';
+import { parseServeCode } from './serve_code_parser.js';
+import { createPhysicsForServe, runServe } from './serve_simulator.js';
+import { analyzeServeTolerance } from './serve_tolerance.js';
+
+/** @typedef {import('./serve_outcome.js').ServeOutcome} ServeOutcome */
+
+/** @constant @type {number} default maximum number of frames before the power hit */
+const DEFAULT_FRAME_BUDGET = 40;
+/**
+ * Maximum frame budget, as every candidate is made before the search
+ * (the number of candidates grows linearly with the frame budget)
+ * @constant @type {number}
+ */
+export const MAX_FRAME_BUDGET = 100;
+/** @constant @type {number} default number of the codes returned */
+const DEFAULT_MAX_RESULTS = 10;
+/** @constant @type {number} maximum number of frames to move before the jump */
+const MAX_MOVE_FRAMES = 16;
+/** @constant @type {number} step of the number of frames to move before the jump */
+const MOVE_FRAMES_STEP = 2;
+/** @constant @type {number} how many times of maxResults are checked for the timing tolerance */
+const TOLERANCE_CHECK_FACTOR = 3;
+/** @constant @type {number} number of candidates between progress reports */
+const PROGRESS_INTERVAL = 1000;
+
+const MOVE_INPUTS = ['', 'L', 'R'];
+const JUMP_INPUTS = [null, 'U', 'UL', 'UR'];
+const HOLD_INPUTS = ['', 'L', 'R'];
+const HIT_INPUTS = ['H', 'UH', 'DH', 'LH', 'RH', 'ULH', 'URH', 'DLH', 'DRH'];
+
+/**
+ * @typedef SearchOptions
+ * @property {number} playerNum 1 or 2, the serving player
+ * @property {number} minX minimum landing x (ball.punchEffectX)
+ * @property {number} maxX maximum landing x
+ * @property {string} [roomID] room ID for the RNG, ex) "uzaramen12345"
+ * @property {number} [frameBudget] maximum number of frames before the power hit, at most MAX_FRAME_BUDGET
+ * @property {number} [maxResults] number of the codes returned
+ * @property {function(number, number):void} [onProgress] called with (done, total) while searching
+ */
+
+/**
+ * @typedef SearchResult
+ * @property {string} code serve code as it is shown on the code viewer
+ * @property {ServeOutcome} outcome
+ * @property {number} simplicity number of tokens of the code, the smaller the simpler
+ * @property {number} tolerance sum of the tolerance window widths (in frames) of the input transitions
+ */
+
+/**
+ * Make the list of candidates
+ * @param {number} frameBudget
+ * @return {{letters: string, frames: number}[][]} each candidate is a list of (input letters, number of frames)
+ */
+function makeCandidates(frameBudget) {
+  const candidates = [];
+  for (const moveInput of MOVE_INPUTS) {
+    for (
+      let moveFrames = 0;
+      moveFrames <= Math.min(MAX_MOVE_FRAMES, frameBudget);
+      moveFrames += MOVE_FRAMES_STEP
+    ) {
+      if (moveInput !== '' && moveFrames === 0) continue;
+      for (const jumpInput of JUMP_INPUTS) {
+        const jumpFrames = jumpInput === null ? 0 : 1;
+        for (const holdInput of HOLD_INPUTS) {
+          for (
+            let holdFrames = 0;
+            moveFrames + jumpFrames + holdFrames <= frameBudget;
+            holdFrames++
+          ) {
+            if (holdInput !== '' && holdFrames === 0) continue;
+            for (const hitInput of HIT_INPUTS) {
+              const segments = [];
+              if (moveFrames > 0) {
+                segments.push({ letters: moveInput, frames: moveFrames });
+              }
+              if (jumpInput !== null) {
+                segments.push({ letters: jumpInput, frames: 1 });
+              }
+              if (holdFrames > 0) {
+                segments.push({ letters: holdInput, frames: holdFrames });
+              }
+              segments.push({ letters: hitInput, frames: 1 });
+              candidates.push(segments);
+            }
+          }
+        }
+      }
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Search for serve codes whose ball lands inside the x-range on the opponent side.
+ * Note that the RNG is seeded again for each simulation.
+ * @param {SearchOptions} options
+ * @return {SearchResult[]} ranked, the best first
+ */
+export function searchServes(options) {
+  const playerNum = options.playerNum;
+  const roomID = options.roomID || 'uzaramen0';
+  const frameBudget = Math.min(
+    options.frameBudget || DEFAULT_FRAME_BUDGET,
+    MAX_FRAME_BUDGET
+  );
+  const maxResults = options.maxResults || DEFAULT_MAX_RESULTS;
+  const opponentSide = playerNum === 1 ? 2 : 1;
+
+  const candidates = makeCandidates(frameBudget);
+  // the simplest result found for each landing, keyed by "landingFrame,landingX"
+  const foundByLanding = {};
+  for (let i = 0; i < candidates.length; i++) {
+    if (options.onProgress && i % PROGRESS_INTERVAL === 0) {
+      options.onProgress(i, candidates.length);
+    }
+    const inputs = [];
+    for (const segment of candidates[i]) {
+      const userInput = decodeInputLetters(segment.letters);
+      for (let j = 0; j < segment.frames; j++) {
+        inputs.push(userInput);
+      }
+    }
+    const outcome = runServe(
+      createPhysicsForServe(playerNum, roomID),
+      playerNum,
+      inputs
+    );
+    if (
+      !outcome.landed ||
+      outcome.landingSide !== opponentSide ||
+      outcome.landingX < options.minX ||
+      outcome.landingX > options.maxX
+    ) {
+      continue;
+    }
+    const isPowerHitByServer = outcome.contacts.some(
+      (contact) => contact.playerNum === playerNum && contact.isPowerHit
+    );
+    if (!isPowerHitByServer) {
+      continue;
+    }
+    const code = encodeServeCode(inputs, playerNum);
+    const simplicity = parseServeCode(code).tokens.length;
+    const landing = `${outcome.landingFrame},${outcome.landingX}`;
+    const sameLanding = foundByLanding[landing];
+    if (sameLanding && sameLanding.simplicity <= simplicity) {
+      continue;
+    }
+    foundByLanding[landing] = {
+      code: code,
+      outcome: outcome,
+      simplicity: simplicity,
+      tolerance: 0,
+    };
+  }
+  const found = Object.keys(foundByLanding).map(
+    (landing) => foundByLanding[landing]
+  );
+  if (options.onProgress) {
+    options.onProgress(candidates.length, candidates.length);
+  }
+
+  found.sort((a, b) => a.simplicity - b.simplicity);
+  const results = found.slice(0, maxResults * TOLERANCE_CHECK_FACTOR);
+  for (const result of results) {
+    const report = analyzeServeTolerance(result.code, {
+      roomID: roomID,
+      defaultPlayerNum: playerNum,
+    });
+    for (const transition of report.transitions) {
+      result.tolerance += transition.latest - transition.earliest;
+    }
+  }
+  results.sort(
+    (a, b) => a.simplicity - b.simplicity || b.tolerance - a.tolerance
+  );
+  return results.slice(0, maxResults);
+}
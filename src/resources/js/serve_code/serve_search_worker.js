@@ -0,0 +1,31 @@
+/**
+ * This module is the entry of the Web Worker which runs the serve search ("serve_search.js"),
+ * so that the game stays responsive while searching.
+ *
+ * It is bundled as "serve_search_worker.bundle.js" (see "webpack.common.js").
+ *
+ * Messages from the page: {type: "search", options: SearchOptions without onProgress}
+ * Messages to the page:
+ *   {type: "progress", done: number, total: number}
+ *   {type: "result", results: SearchResult[]}
+ *   {type: "error", message: string}
+ */
+'use strict';
+import { searchServes } from './serve_search.js';
+
+self.addEventListener('message', (event) => {
+  const data = event.data;
+  if (data.type !== 'search') {
+    return;
+  }
+  try {
+    const options = data.options;
+    options.onProgress = (done, total) => {
+      self.postMessage({ type: 'progress', done: done, total: total });
+    };
+    const results = searchServes(options);
+    self.postMessage({ type: 'result', results: results });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+});
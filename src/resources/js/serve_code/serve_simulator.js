@@ -0,0 +1,202 @@
+/**
+ * This module simulates a serve code without rendering, so it can be run in Node as well as in the browser.
+ *
+ * It only depends on the physics engine ("physics.js") and the random number generator ("rand.js"),
+ * not on pixi.js or the DOM.
+ *
+ * ex) in Node:
+ *   import { simulateServeCode } from './serve_code/serve_simulator.js';
+ *   simulateServeCode('U/3-/4-UH/1-/30', { roomID: 'uzaramen123' });
+ *   // => { playerNum: 1, landed: true, landingFrame: 60, landingX: 326, landingSide: 2, contacts: [...], isPowerHit: true }
+ *
+ * Note that the RNG is also used for the clouds and the wave in the game,
+ * so the RNG state in the middle of a live game differs from the one in the simulation.
+ * It matters only if the ball x velocity becomes 0 at a contact (then it is chosen randomly).
+ */
+'use strict';
+import seedrandom from 'seedrandom';
+import { PikaPhysics, PikaUserInput, frozenStrategy } from '../physics.js';
+import { setCustomRng, getCustomRng } from '../rand.js';
+import { decodeServeCode } from './serve_code.js';
+import { ServeOutcomeRecorder } from './serve_outcome.js';
+
+/** @typedef {import('./serve_code_parser.js').ServeCodeSyntaxError} ServeCodeSyntaxError */
+/** @typedef {import('./serve_outcome.js').ServeOutcome} ServeOutcome */
+/** @typedef {import('../physics.js').ComputerStrategy} ComputerStrategy */
+
+/** @constant @type {number} default maximum number of frames to simulate before giving up */
+const DEFAULT_MAX_FRAMES = 500;
+
+/**
+ * @typedef SimulationOptions
+ * @property {string} [roomID] room ID for the RNG, in the form of replaySaver.roomID, ex) "uzaramen12345"
+ * @property {number} [defaultPlayerNum] 1 or 2, the side used if it can not be told from the code
+ * @property {number} [maxFrames] maximum number of frames to simulate
+ * @property {ComputerStrategy} [computerStrategy] strategy of the receiving player, frozen by default
+ */
+
+/**
+ * Call the function and then set the custom RNG back to the one before the call.
+ * Simulations seed the RNG again, so wrap them with this function
+ * not to change the RNG state of the game being played.
+ * @template T
+ * @param {function():T} fn
+ * @return {T} return value of fn
+ */
+export function preservingRng(fn) {
+  const savedRng = getCustomRng();
+  try {
+    return fn();
+  } finally {
+    setCustomRng(savedRng);
+  }
+}
+
+/**
+ * Create a physics pack set up as the game does on "startOfNewGame" in "pikavolley.js".
+ * If the room ID is given, the RNG is seeded with it, as "main.js" does.
+ * @param {number} playerNum 1 or 2, the player who serves (the other player is controlled by computer)
+ * @param {string} [roomID]
+ * @param {ComputerStrategy} [computerStrategy] strategy of the receiving player
+ * @return {PikaPhysics}
+ */
+export function createPhysicsForServe(
+  playerNum,
+  roomID,
+  computerStrategy = frozenStrategy
+) {
+  if (roomID !== undefined) {
+    const customRng = seedrandom.alea(roomID.slice(8));
+    setCustomRng(customRng);
+  }
+
+  const physics = new PikaPhysics(playerNum === 2, playerNum === 1);
+  physics.setComputerStrategy(computerStrategy);
+  physics.player1.initializeForNewRound();
+  physics.player2.initializeForNewRound();
+  physics.ball.initializeForNewRound(false);
+  if (physics.player1.isComputer) {
+    physics.ball.x = 376;
+  } else {
+    physics.ball.x = 56;
+  }
+  return physics;
+}
+
+/**
+ * @typedef PhysicsSnapshot
+ * @property {string} player1 JSON of the player 1 state
+ * @property {string} player2 JSON of the player 2 state
+ * @property {string} ball JSON of the ball state
+ */
+
+/**
+ * Run the user inputs of the serving player on the physics pack until the ball touches ground,
+ * calling back after each frame
+ * @param {PikaPhysics} physics physics pack set up by {@link createPhysicsForServe}
+ * @param {number} playerNum 1 or 2, the player who serves
+ * @param {PikaUserInput[]} inputs user inputs of each frame for the serving player
+ * @param {number} maxFrames
+ * @param {function(number, boolean):void} onFrame called with (frame, isBallTouchingGround)
+ */
+export function runServeFrames(physics, playerNum, inputs, maxFrames, onFrame) {
+  // the computer writes its decision on its user input object,
+  // so the serving player must not share it
+  const noInput = new PikaUserInput();
+  const computerInput = new PikaUserInput();
+  for (let frame = 0; frame < maxFrames; frame++) {
+    const input = frame < inputs.length ? inputs[frame] : noInput;
+    const userInputArray =
+      playerNum === 1 ? [input, computerInput] : [computerInput, input];
+    const isBallTouchingGround = physics.runEngineForNextFrame(userInputArray);
+    onFrame(frame, isBallTouchingGround);
+    if (isBallTouchingGround) {
+      break;
+    }
+  }
+}
+
+/**
+ * Run the user inputs of the serving player on the physics pack until the ball touches ground
+ * @param {PikaPhysics} physics physics pack set up by {@link createPhysicsForServe}
+ * @param {number} playerNum 1 or 2, the player who serves
+ * @param {PikaUserInput[]} inputs user inputs of each frame for the serving player
+ * @param {number} [maxFrames]
+ * @return {ServeOutcome}
+ */
+export function runServe(
+  physics,
+  playerNum,
+  inputs,
+  maxFrames = DEFAULT_MAX_FRAMES
+) {
+  const recorder = new ServeOutcomeRecorder(playerNum);
+  runServeFrames(
+    physics,
+    playerNum,
+    inputs,
+    maxFrames,
+    (frame, isBallTouchingGround) => {
+      recorder.recordFrame(physics, frame, isBallTouchingGround);
+    }
+  );
+  return recorder.outcome;
+}
+
+/**
+ * Take a snapshot of the whole state of the physics pack
+ * @param {PikaPhysics} physics
+ * @return {PhysicsSnapshot}
+ */
+export function snapshotPhysics(physics) {
+  return {
+    player1: JSON.stringify(physics.player1),
+    player2: JSON.stringify(physics.player2),
+    ball: JSON.stringify(physics.ball),
+  };
+}
+
+/**
+ * Run the user inputs of the serving player as {@link runServe} does,
+ * recording the state of the physics pack after each frame
+ * @param {PikaPhysics} physics physics pack set up by {@link createPhysicsForServe}
+ * @param {number} playerNum 1 or 2, the player who serves
+ * @param {PikaUserInput[]} inputs user inputs of each frame for the serving player
+ * @param {number} [maxFrames]
+ * @return {PhysicsSnapshot[]} a snapshot for each frame, the last one is the frame the ball touched ground on
+ */
+export function traceServe(
+  physics,
+  playerNum,
+  inputs,
+  maxFrames = DEFAULT_MAX_FRAMES
+) {
+  const trace = [];
+  runServeFrames(physics, playerNum, inputs, maxFrames, () => {
+    trace.push(snapshotPhysics(physics));
+  });
+  return trace;
+}
+
+/**
+ * Simulate the serve code and report its outcome
+ * @param {string} code serve code ex) "ULH/3-L/5"
+ * @param {SimulationOptions} [options]
+ * @return {ServeOutcome}
+ * @throws {ServeCodeSyntaxError} if the code is malformed
+ */
+export function simulateServeCode(code, options = {}) {
+  const roomID = options.roomID || 'uzaramen0';
+  const decoded = decodeServeCode(code, options.defaultPlayerNum || 1);
+  const physics = createPhysicsForServe(
+    decoded.playerNum,
+    roomID,
+    options.computerStrategy
+  );
+  return runServe(
+    physics,
+    decoded.playerNum,
+    decoded.inputs,
+    options.maxFrames
+  );
+}
@@ -0,0 +1,224 @@
+/**
+ * This module analyzes how forgiving a serve code is about timing.
+ *
+ * Each input transition of the decoded code (a frame on which the input differs from the previous frame)
+ * is shifted earlier and later by 1 to N frames, one transition at a time,
+ * and each variant is simulated headlessly.
+ * A shift is tolerated if the variant keeps the outcome of the original code:
+ * it lands on the same side, the landing x is within a threshold, and it is still a power hit if the original is.
+ * The tolerance window of a transition is the range of consecutive tolerated shifts around 0.
+ */
+'use strict';
+import { PikaUserInput } from '../physics.js';
+import { decodeServeCode, encodeInputLetters } from './serve_code.js';
+import { createPhysicsForServe, runServe } from './serve_simulator.js';
+
+/** @typedef {import('./serve_outcome.js').ServeOutcome} ServeOutcome */
+/** @typedef {import('./serve_code_parser.js').ServeCodeSyntaxError} ServeCodeSyntaxError */
+
+/** @constant @type {number} default maximum number of frames to shift a transition */
+const DEFAULT_MAX_SHIFT = 5;
+/** @constant @type {number} default maximum difference of the landing x to be the same outcome */
+const DEFAULT_LANDING_X_THRESHOLD = 16;
+
+/** @constant @type {Object.<string, string>} names of the input letters */
+const INPUT_NAMES = {
+  U: 'jump',
+  D: 'down',
+  L: 'left',
+  R: 'right',
+  H: 'power hit',
+};
+
+/**
+ * @typedef ToleranceOptions
+ * @property {string} [roomID] room ID for the RNG, ex) "uzaramen12345"
+ * @property {number} [defaultPlayerNum] 1 or 2, the side used if it can not be told from the code
+ * @property {number} [maxShift] maximum number of frames to shift each transition
+ * @property {number} [landingXThreshold] maximum difference of the landing x to be the same outcome
+ */
+
+/**
+ * @typedef TransitionTolerance
+ * @property {number} frame frame number of the transition in the original code
+ * @property {string} from input letters before the transition, ex) ""
+ * @property {string} to input letters after the transition, ex) "UH"
+ * @property {string} label ex) "jump + power hit"
+ * @property {number} earliest most negative tolerated shift (0 if it can not be shifted earlier)
+ * @property {number} latest most positive tolerated shift (0 if it can not be shifted later)
+ * @property {{shift: number, ok: boolean}[]} checked every simulated shift and whether it was tolerated
+ */
+
+/**
+ * @typedef ToleranceReport
+ * @property {number} playerNum 1 or 2
+ * @property {ServeOutcome} outcome outcome of the original code
+ * @property {TransitionTolerance[]} transitions
+ */
+
+/**
+ * Label a transition by what is pressed and released
+ * @param {string} from input letters before the transition
+ * @param {string} to input letters after the transition
+ * @return {string} ex) "jump + power hit", "release left"
+ */
+function labelTransition(from, to) {
+  const parts = [];
+  for (const letter of 'UDLRH') {
+    const wasPressed = from.indexOf(letter) !== -1;
+    const isPressed = to.indexOf(letter) !== -1;
+    if (!wasPressed && isPressed) {
+      parts.push(INPUT_NAMES[letter]);
+    } else if (wasPressed && !isPressed) {
+      parts.push(`release ${INPUT_NAMES[letter]}`);
+    }
+  }
+  return parts.join(' + ');
+}
+
+/**
+ * Is the outcome of the variant the same as the original one?
+ * @param {ServeOutcome} original
+ * @param {ServeOutcome} variant
+ * @param {number} landingXThreshold
+ * @return {boolean}
+ */
+export function isSameServeOutcome(original, variant, landingXThreshold) {
+  if (original.landed !== variant.landed) {
+    return false;
+  }
+  if (
+    original.landed &&
+    (original.landingSide !== variant.landingSide ||
+      Math.abs(original.landingX - variant.landingX) > landingXThreshold)
+  ) {
+    return false;
+  }
+  return !original.isPowerHit || variant.isPowerHit;
+}
+
+/**
+ * Move the transition on the frame by the shift.
+ * Moving it later extends the input before it, moving it earlier extends the input after it.
+ * @param {PikaUserInput[]} inputs
+ * @param {number} frame frame number of the transition
+ * @param {number} shift
+ * @return {PikaUserInput[]}
+ */
+function shiftTransition(inputs, frame, shift) {
+  const shifted = inputs.slice();
+  const before = frame > 0 ? inputs[frame - 1] : new PikaUserInput();
+  const after = inputs[frame];
+  if (shift > 0) {
+    for (let i = frame; i < frame + shift; i++) {
+      shifted[i] = before;
+    }
+  } else {
+    for (let i = frame + shift; i < frame; i++) {
+      shifted[i] = after;
+    }
+  }
+  return shifted;
+}
+
+/**
+ * Analyze the timing tolerance of each input transition of the serve code.
+ * Note that the RNG is seeded again for each simulation.
+ * @param {string} code serve code ex) "U/3-/4-UH/1-/30"
+ * @param {ToleranceOptions} [options]
+ * @return {ToleranceReport}
+ * @throws {ServeCodeSyntaxError} if the code is malformed
+ */
+export function analyzeServeTolerance(code, options = {}) {
+  const roomID = options.roomID || 'uzaramen0';
+  const maxShift = options.maxShift || DEFAULT_MAX_SHIFT;
+  const landingXThreshold =
+    options.landingXThreshold === undefined
+      ? DEFAULT_LANDING_X_THRESHOLD
+      : options.landingXThreshold;
+  const decoded = decodeServeCode(code, options.defaultPlayerNum || 1);
+  const playerNum = decoded.playerNum;
+  const inputs = decoded.inputs;
+  const simulate = (variantInputs) =>
+    runServe(
+      createPhysicsForServe(playerNum, roomID),
+      playerNum,
+      variantInputs
+    );
+
+  const outcome = simulate(inputs);
+
+  const letters = inputs.map((input) => encodeInputLetters(input));
+  const transitionFrames = [];
+  for (let frame = 0; frame < letters.length; frame++) {
+    const previous = frame > 0 ? letters[frame - 1] : '';
+    if (letters[frame] !== previous) {
+      transitionFrames.push(frame);
+    }
+  }
+
+  const transitions = [];
+  for (let i = 0; i < transitionFrames.length; i++) {
+    const frame = transitionFrames[i];
+    // a shift can not make the transition reach the neighboring ones
+    const lowerBound = i > 0 ? transitionFrames[i - 1] + 1 : 0;
+    const upperBound =
+      i < transitionFrames.length - 1
+        ? transitionFrames[i + 1] - 1
+        : letters.length - 1;
+    const checked = [];
+    let earliest = 0;
+    for (let shift = -1; shift >= -maxShift; shift--) {
+      if (frame + shift < lowerBound) break;
+      const ok = isSameServeOutcome(
+        outcome,
+        simulate(shiftTransition(inputs, frame, shift)),
+        landingXThreshold
+      );
+      checked.push({ shift: shift, ok: ok });
+      if (!ok) break;
+      earliest = shift;
+    }
+    let latest = 0;
+    for (let shift = 1; shift <= maxShift; shift++) {
+      if (frame + shift > upperBound) break;
+      const ok = isSameServeOutcome(
+        outcome,
+        simulate(shiftTransition(inputs, frame, shift)),
+        landingXThreshold
+      );
+      checked.push({ shift: shift, ok: ok });
+      if (!ok) break;
+      latest = shift;
+    }
+    const from = frame > 0 ? letters[frame - 1] : '';
+    transitions.push({
+      frame: frame,
+      from: from,
+      to: letters[frame],
+      label: labelTransition(from, letters[frame]),
+      earliest: earliest,
+      latest: latest,
+      checked: checked,
+    });
+  }
+
+  return {
+    playerNum: playerNum,
+    outcome: outcome,
+    transitions: transitions,
+  };
+}
+
+/**
+ * Describe the tolerance window of the transition as a one-line text
+ * @param {TransitionTolerance} transition
+ * @return {string} ex) "frame 7, jump: -1/+2 frames", "frame 12, power hit: exact"
+ */
+export function describeTransitionTolerance(transition) {
+  const tolerance =
+    transition.earliest === 0 && transition.latest === 0
+      ? 'exact'
+      : `-${-transition.earliest}/+${transition.latest} frames`;
+  return `frame ${transition.frame}, ${transition.label}: ${tolerance}`;
+}
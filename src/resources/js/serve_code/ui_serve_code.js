@@ -0,0 +1,508 @@
+/**
+ * Renders the serve code features on the web page
+ */
+'use strict';
+import { serveHistory } from './serve_history.js';
+import { describeServeCodeEdit } from './serve_code_diff.js';
+import { describeServeEquivalence } from './serve_minimizer.js';
+import { serveLibrary } from './serve_library.js';
+import { ServeTrialResult } from './serve_benchmark.js';
+import { fillText } from '../utils/fill_text.js';
+
+/** @typedef {import('./serve_outcome.js').ServeOutcome} ServeOutcome */
+/** @typedef {import('./serve_code_diff.js').ServeCodeDiff} ServeCodeDiff */
+/** @typedef {import('./serve_search.js').SearchResult} SearchResult */
+/** @typedef {import('./serve_benchmark.js').BenchmarkReport} BenchmarkReport */
+/** @typedef {import('./receive_practice.js').ReceivePractice} ReceivePractice */
+/** @typedef {import('./receive_practice.js').ReceiveRecord} ReceiveRecord */
+/** @typedef {import('./rally_code.js').EncodedRally} EncodedRally */
+/** @typedef {import('./serve_boundaries.js').TrimmedServeCode} TrimmedServeCode */
+
+/** @constant @type {Object.<string, string>} descriptions of ServeTrialResult */
+const TRIAL_RESULT_DESCRIPTIONS = {
+  [ServeTrialResult.missed]: 'won: the AI missed',
+  [ServeTrialResult.intoNet]: 'won: the AI hit it into the net',
+  [ServeTrialResult.fumbled]: 'won: the AI did not get it over the net',
+  [ServeTrialResult.returned]: 'lost: the AI returned it',
+  [ServeTrialResult.fault]: 'lost: the serve landed on your side',
+  [ServeTrialResult.notLanded]: 'not landed',
+};
+/** @constant @type {number} length of the longest bar of the landing x histogram */
+const HISTOGRAM_BAR_LENGTH = 20;
+
+/**
+ * Format the outcome of a serve as a one-line text, in the texts translated on each page
+ * (the "data-*-text" attributes of the outcome on the code viewer)
+ * @param {ServeOutcome} outcome
+ * @return {string} ex) "x=326 (P2 side) | contact: frame 12, power hit, v=(20, -32) | net | beat AI"
+ */
+export function formatServeOutcome(outcome) {
+  const texts = document.getElementById('code-viewer-outcome').dataset;
+  const parts = [];
+  if (outcome.landed) {
+    parts.push(
+      fillText(texts.landedText, {
+        x: outcome.landingX,
+        side: outcome.landingSide,
+      })
+    );
+  } else {
+    parts.push(texts.notLandedText);
+  }
+  const contact = outcome.serveContact;
+  if (contact) {
+    parts.push(
+      fillText(
+        contact.isPowerHit ? texts.powerHitContactText : texts.contactText,
+        {
+          frame: contact.frame,
+          xVelocity: contact.xVelocity,
+          yVelocity: contact.yVelocity,
+        }
+      )
+    );
+  } else {
+    parts.push(texts.noContactText);
+  }
+  if (outcome.hitNetPillar) {
+    parts.push(texts.netText);
+  }
+  if (outcome.hitWall) {
+    parts.push(texts.wallText);
+  }
+  if (outcome.isReceiverAI) {
+    parts.push(outcome.returned ? texts.returnedText : texts.beatenText);
+  }
+  return parts.join(' | ');
+}
+
+/**
+ * Show the outcome of the serve next to the serve code on the code viewer
+ * @param {ServeOutcome} outcome
+ */
+export function showServeOutcome(outcome) {
+  const target = document.getElementById('code-viewer-outcome');
+  if (!target) return;
+  target.textContent = formatServeOutcome(outcome);
+}
+
+/**
+ * Show the serve code trimmed to the encoding boundaries under the untrimmed one on the code viewer
+ * @param {TrimmedServeCode} trimmed null to clear it
+ */
+export function showTrimmedServeCode(trimmed) {
+  const code = document.getElementById('code-viewer-trimmed');
+  const range = document.getElementById('code-viewer-trimmed-range');
+  if (!code || !range) return;
+  if (trimmed === null || !trimmed.isTrimmed) {
+    code.textContent = '';
+    range.textContent = '';
+    return;
+  }
+  code.textContent = trimmed.code;
+  range.textContent = `trimmed: frames ${trimmed.fromFrame}-${trimmed.toFrame}`;
+}
+
+/**
+ * Show the extended serve code, which keeps the keys held down, under the serve code.
+ * It is hidden if nothing but the input was held, since it is the same as the serve code then.
+ * @param {string} extendedCode
+ * @param {string} code the serve code of the same inputs
+ */
+export function showExtendedServeCode(extendedCode, code) {
+  const target = document.getElementById('code-viewer-extended');
+  if (!target) return;
+  target.textContent = extendedCode === code ? '' : extendedCode;
+}
+
+/**
+ * Show the frames on which a key tapped between two frames was caught
+ * by the keyboard input buffering (see "keyboard.js")
+ * @param {number[]} frames frame numbers (0 for the first frame of the round)
+ */
+export function showBufferedFrames(frames) {
+  const target = document.getElementById('code-viewer-buffered');
+  if (!target) return;
+  target.textContent =
+    frames.length === 0
+      ? ''
+      : `taps caught between frames: ${frames.join(', ')}`;
+}
+
+/**
+ * Show the result of a receive of the receive practice next to the receive code on the code viewer
+ * @param {ReceiveRecord} record
+ * @param {ReceivePractice} practice
+ */
+export function showReceiveRecord(record, practice) {
+  const target = document.getElementById('code-viewer-outcome');
+  if (!target) return;
+  target.textContent = [
+    `receive of "${record.serve.name}"`,
+    record.returned ? 'returned' : 'not returned',
+    `${practice.returnedCount}/${practice.records.length} returned`,
+  ].join(' | ');
+}
+
+/**
+ * Create a button for an entry of a list
+ * @param {string} text
+ * @param {string} action value of the "data-action" attribute
+ * @param {number} id value of the "data-id" attribute
+ * @return {HTMLButtonElement}
+ */
+function createListBtn(text, action, id) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.classList.add('btn-in-list');
+  btn.textContent = text;
+  btn.dataset.action = action;
+  btn.dataset.id = String(id);
+  return btn;
+}
+
+/**
+ * Show the serve history on the serve history list, newest first.
+ * Each entry has a copy button, a compare button, a save-to-library button and a delete button
+ * which have "data-action" and "data-id" attributes.
+ */
+export function showServeHistory() {
+  const list = document.getElementById('serve-history-list');
+  if (!list) return;
+  const copyBtnText = document.getElementById('code-copy-btn').textContent;
+  const compareBtnText =
+    document.getElementById('code-compare-btn').textContent;
+
+  list.textContent = '';
+  for (let i = serveHistory.entries.length - 1; i >= 0; i--) {
+    const entry = serveHistory.entries[i];
+    const item = document.createElement('li');
+    item.classList.add('serve-history-entry');
+
+    const info = document.createElement('span');
+    info.classList.add('serve-history-info');
+    info.textContent = `${new Date(entry.timestamp).toLocaleString()} | P${
+      entry.playerNum
+    } | ${entry.fps} FPS | ${entry.scores[0]} : ${entry.scores[1]}`;
+    item.appendChild(info);
+
+    if (entry.outcome) {
+      const outcome = document.createElement('span');
+      outcome.classList.add('serve-history-info');
+      outcome.textContent = formatServeOutcome(entry.outcome);
+      item.appendChild(outcome);
+    }
+
+    const code = document.createElement('code');
+    code.textContent = entry.code;
+    item.appendChild(code);
+
+    item.appendChild(createListBtn(copyBtnText, 'copy', entry.id));
+    item.appendChild(createListBtn(compareBtnText, 'compare', entry.id));
+    item.appendChild(createListBtn('★', 'save', entry.id));
+    item.appendChild(createListBtn('✕', 'delete', entry.id));
+
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Show the frame-aligned diff of two serve codes on the serve compare box
+ * @param {ServeCodeDiff} diff
+ */
+export function showServeCodeDiff(diff) {
+  const summary = document.getElementById('serve-compare-summary');
+  const list = document.getElementById('serve-compare-list');
+  if (!summary || !list) return;
+
+  let summaryText = `${diff.frames.length} frame(s) differ in ${diff.edits.length} edit(s)`;
+  if (diff.length !== diff.referenceLength) {
+    summaryText += ` | length: ${diff.length} vs ${diff.referenceLength} frames`;
+  }
+  if (diff.isReferenceMirrored) {
+    summaryText += ` | reference mirrored to P${diff.playerNum}`;
+  }
+  summary.textContent = summaryText;
+
+  list.textContent = '';
+  for (const edit of diff.edits) {
+    const item = document.createElement('li');
+    item.appendChild(document.createTextNode(describeServeCodeEdit(edit)));
+    if (edit.isDirectionDifferent) {
+      const kind = document.createElement('span');
+      kind.classList.add('serve-diff-kind');
+      kind.textContent = 'direction';
+      item.appendChild(kind);
+    }
+    if (edit.isPowerHitDifferent) {
+      const kind = document.createElement('span');
+      kind.classList.add('serve-diff-kind');
+      kind.textContent = 'power hit';
+      item.appendChild(kind);
+    }
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Clear the serve compare box
+ */
+export function clearServeCodeDiff() {
+  const summary = document.getElementById('serve-compare-summary');
+  const list = document.getElementById('serve-compare-list');
+  if (!summary || !list) return;
+  summary.textContent = '';
+  list.textContent = '';
+}
+
+/**
+ * Show the result of the equivalence check on the serve compare box
+ * @param {import('./serve_minimizer.js').ServeEquivalence} equivalence
+ */
+export function showServeEquivalence(equivalence) {
+  const summary = document.getElementById('serve-compare-summary');
+  const list = document.getElementById('serve-compare-list');
+  if (!summary || !list) return;
+  summary.textContent = describeServeEquivalence(equivalence);
+  list.textContent = '';
+}
+
+/**
+ * Show the entries of the serve library found by the search box, sorted by the sort select box.
+ * Each entry has play, ghost, copy, rename, edit (tags and notes) and delete buttons
+ * which have "data-action" and "data-id" attributes.
+ */
+export function showServeLibrary() {
+  const list = document.getElementById('serve-library-list');
+  if (!list) return;
+  // @ts-ignore
+  const query = document.getElementById('serve-library-search').value;
+  // @ts-ignore
+  const sortOrder = document.getElementById('serve-library-sort').value;
+  const playBtnText = document.getElementById('code-play-btn').textContent;
+  const ghostBtnText = document.getElementById('code-ghost-btn').textContent;
+  const copyBtnText = document.getElementById('code-copy-btn').textContent;
+
+  list.textContent = '';
+  for (const entry of serveLibrary.search(query, sortOrder)) {
+    const item = document.createElement('li');
+
+    const head = document.createElement('span');
+    head.classList.add('serve-history-info');
+    const name = document.createElement('span');
+    name.classList.add('serve-library-name');
+    name.textContent = `${entry.name} (P${entry.playerNum})`;
+    head.appendChild(name);
+    for (const tag of entry.tags) {
+      const tagSpan = document.createElement('span');
+      tagSpan.classList.add('serve-library-tag');
+      tagSpan.textContent = tag;
+      head.appendChild(tagSpan);
+    }
+    item.appendChild(head);
+
+    if (entry.notes) {
+      const notes = document.createElement('span');
+      notes.classList.add('serve-history-info');
+      notes.textContent = entry.notes;
+      item.appendChild(notes);
+    }
+
+    if (entry.outcome) {
+      const outcome = document.createElement('span');
+      outcome.classList.add('serve-history-info');
+      outcome.textContent = formatServeOutcome(entry.outcome);
+      item.appendChild(outcome);
+    }
+
+    const code = document.createElement('code');
+    code.textContent = entry.code;
+    item.appendChild(code);
+
+    item.appendChild(createListBtn(playBtnText, 'play', entry.id));
+    item.appendChild(createListBtn(ghostBtnText, 'ghost', entry.id));
+    item.appendChild(createListBtn(copyBtnText, 'copy', entry.id));
+    item.appendChild(createListBtn('✎', 'rename', entry.id));
+    item.appendChild(createListBtn('#', 'edit', entry.id));
+    item.appendChild(createListBtn('✕', 'delete', entry.id));
+
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Show the rally code of the rally and its segments on the rally box.
+ * The whole rally and each segment have a copy button which has "data-action" and "data-id" attributes:
+ * "copy-rally" for the whole rally, and "copy-segment" with the index of the segment.
+ * @param {EncodedRally} rally
+ */
+export function showRally(rally) {
+  const summary = document.getElementById('rally-summary');
+  const list = document.getElementById('rally-list');
+  if (!summary || !list) return;
+  const copyBtnText = document.getElementById('code-copy-btn').textContent;
+  const contacts = rally.segments.filter((segment) => segment.contact).length;
+  summary.textContent = `${rally.frames} frames | ${contacts} contacts`;
+
+  list.textContent = '';
+  const whole = document.createElement('li');
+  const wholeInfo = document.createElement('span');
+  wholeInfo.classList.add('serve-history-info');
+  wholeInfo.textContent = 'whole rally';
+  whole.appendChild(wholeInfo);
+  const wholeCode = document.createElement('code');
+  wholeCode.textContent = rally.code;
+  whole.appendChild(wholeCode);
+  whole.appendChild(createListBtn(copyBtnText, 'copy-rally', 0));
+  list.appendChild(whole);
+
+  rally.segments.forEach((segment, index) => {
+    const item = document.createElement('li');
+    const info = document.createElement('span');
+    info.classList.add('serve-history-info');
+    const contact = segment.contact;
+    let ending = 'until the ball touches ground';
+    if (contact) {
+      ending = `P${contact.playerNum} contact`;
+      if (contact.isPowerHit) {
+        ending += ', power hit';
+      }
+    }
+    info.textContent = `frames ${segment.fromFrame}-${segment.toFrame}: ${ending}`;
+    item.appendChild(info);
+    const code = document.createElement('code');
+    code.textContent = segment.code;
+    item.appendChild(code);
+    item.appendChild(createListBtn(copyBtnText, 'copy-segment', index));
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Show the result of a serve analysis on the serve analysis box
+ * @param {string} summary one-line summary
+ * @param {string[]} lines
+ */
+export function showServeAnalysis(summary, lines) {
+  const summaryElem = document.getElementById('serve-analysis-summary');
+  const list = document.getElementById('serve-analysis-list');
+  if (!summaryElem || !list) return;
+  summaryElem.textContent = summary;
+  list.textContent = '';
+  for (const line of lines) {
+    const item = document.createElement('li');
+    item.textContent = line;
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Show the progress of the serve search
+ * @param {number} done
+ * @param {number} total
+ */
+export function showServeSearchProgress(done, total) {
+  const progress = document.getElementById('serve-search-progress');
+  if (!progress) return;
+  progress.style.width = `${total === 0 ? 0 : (100 * done) / total}%`;
+}
+
+/**
+ * Show the results of the serve search.
+ * Each result has play, copy and save-to-library buttons
+ * which have "data-action" and "data-id" (index of the result) attributes.
+ * @param {SearchResult[]} results
+ */
+export function showServeSearchResults(results) {
+  const summary = document.getElementById('serve-search-summary');
+  const list = document.getElementById('serve-search-list');
+  if (!summary || !list) return;
+  const playBtnText = document.getElementById('code-play-btn').textContent;
+  const copyBtnText = document.getElementById('code-copy-btn').textContent;
+
+  // the texts are translated on each page
+  summary.textContent = fillText(summary.dataset.summaryText, {
+    count: results.length,
+  });
+  list.textContent = '';
+  for (let i = 0; i < results.length; i++) {
+    const result = results[i];
+    const item = document.createElement('li');
+
+    const info = document.createElement('span');
+    info.classList.add('serve-history-info');
+    info.textContent = fillText(summary.dataset.resultText, {
+      tokens: result.simplicity,
+      tolerance: result.tolerance,
+    });
+    item.appendChild(info);
+
+    const outcome = document.createElement('span');
+    outcome.classList.add('serve-history-info');
+    outcome.textContent = formatServeOutcome(result.outcome);
+    item.appendChild(outcome);
+
+    const code = document.createElement('code');
+    code.textContent = result.code;
+    item.appendChild(code);
+
+    item.appendChild(createListBtn(playBtnText, 'play', i));
+    item.appendChild(createListBtn(copyBtnText, 'copy', i));
+    item.appendChild(createListBtn('★', 'save', i));
+
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Show the progress of the serve benchmark on its progress bar
+ * @param {number} done
+ * @param {number} total
+ */
+export function showServeBenchmarkProgress(done, total) {
+  const progress = document.getElementById('serve-benchmark-progress');
+  if (!progress) return;
+  progress.style.width = `${total === 0 ? 0 : (100 * done) / total}%`;
+}
+
+/**
+ * Show the report of the serve benchmark:
+ * the percentage of points won, how the AI failed and the histogram of the landing x
+ * @param {BenchmarkReport} report
+ */
+export function showServeBenchmarkReport(report) {
+  const summary = document.getElementById('serve-benchmark-summary');
+  const list = document.getElementById('serve-benchmark-list');
+  if (!summary || !list) return;
+
+  const parts = [
+    `${report.code} (P${report.playerNum})`,
+    `won ${report.winPercentage.toFixed(1)}% (${report.won}/${report.trials})`,
+  ];
+  if (report.landingXMean !== null) {
+    parts.push(`mean landing x=${report.landingXMean.toFixed(1)}`);
+  }
+  summary.textContent = parts.join(' | ');
+
+  list.textContent = '';
+  for (const key of Object.keys(ServeTrialResult)) {
+    const result = ServeTrialResult[key];
+    if (report.results[result] === 0) continue;
+    const item = document.createElement('li');
+    item.textContent = `${TRIAL_RESULT_DESCRIPTIONS[result]}: ${report.results[result]}`;
+    list.appendChild(item);
+  }
+  const maxCount = Math.max.apply(
+    null,
+    report.landingXBins.map((bin) => bin.count)
+  );
+  for (const bin of report.landingXBins) {
+    if (bin.count === 0) continue;
+    const item = document.createElement('li');
+    const bar = '█'.repeat(
+      Math.max(1, Math.round((HISTOGRAM_BAR_LENGTH * bin.count) / maxCount))
+    );
+    item.textContent = `x=${bin.from}-${bin.to - 1}: ${bar} ${bin.count}`;
+    list.appendChild(item);
+  }
+}
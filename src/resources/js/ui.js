@@ -4,11 +4,61 @@
 'use strict';
 
 import { localStorageWrapper } from './utils/local_storage_wrapper.js';
+import { fillText } from './utils/fill_text.js';
+import { frozenStrategy, originalAIStrategy } from './physics.js';
+import {
+  perfectReceiverStrategy,
+  createReplayStrategy,
+  loadStrategyFromSource,
+} from './opponent_strategy.js';
 import { replaySaver } from './replay/replay_saver.js';
+import { serveHistory } from './serve_code/serve_history.js';
+import {
+  showServeHistory,
+  showServeCodeDiff,
+  clearServeCodeDiff,
+  showServeLibrary,
+  showServeAnalysis,
+  formatServeOutcome,
+  showServeSearchProgress,
+  showServeSearchResults,
+  showServeEquivalence,
+  showServeBenchmarkProgress,
+  showServeBenchmarkReport,
+} from './serve_code/ui_serve_code.js';
+import { preservingRng } from './serve_code/serve_simulator.js';
+import {
+  analyzeServeTolerance,
+  describeTransitionTolerance,
+} from './serve_code/serve_tolerance.js';
+import {
+  checkServeEquivalence,
+  minimizeServeCode,
+} from './serve_code/serve_minimizer.js';
+import { MAX_FRAME_BUDGET } from './serve_code/serve_search.js';
+import { serveLibrary, parseTags } from './serve_code/serve_library.js';
+import { ReceivePractice } from './serve_code/receive_practice.js';
+import { EncodingStart, EncodingEnd } from './serve_code/serve_boundaries.js';
+import { diffServeCodes } from './serve_code/serve_code_diff.js';
+import { buildServeLink, parseServeLink } from './serve_code/serve_link.js';
+import {
+  saveServeHistoryAsCSV,
+  saveServeHistoryAsJSON,
+} from './serve_code/serve_export.js';
+import { decodeServeCode, mirrorServeCode } from './serve_code/serve_code.js';
+import { keyBindingProfiles, applyKeyBindings } from './key_bindings.js';
+import {
+  DEFAULT_GAMEPAD_DEADZONE,
+  createDefaultGamepadMapping,
+  formatGamepadMapping,
+  getConnectedGamepads,
+  isGamepadAssignment,
+  parseGamepadMapping,
+} from './gamepad.js';
 
 /** @typedef {import('./pikavolley.js').PikachuVolleyball} PikachuVolleyball */
 /** @typedef {import('@pixi/ticker').Ticker} Ticker */
-/** @typedef {{graphic?: string, bgm?: string, sfx?: string, speed?: string, winningScore?: string}} Options */
+/** @typedef {{graphic?: string, bgm?: string, sfx?: string, speed?: string, winningScore?: string, opponent?: string, encodingStart?: string, encodingEnd?: string, encodingLeadFrames?: string, gamepad1?: string, gamepad2?: string, gamepadDeadzone?: string, gamepadMapping?: string}} Options */
 
 /**
  * Enum for "game paused by what?".
@@ -26,6 +76,18 @@ const PauseResumePrecedence = {
 
 
 
+/**
+ * URL of the serve search Web Worker bundle, relative to the pages ("en/", "ko/" and "zh/")
+ * @constant @type {string}
+ */
+const SERVE_SEARCH_WORKER_URL = '../serve_search_worker.bundle.js';
+
+/**
+ * URL of the serve benchmark Web Worker bundle, relative to the pages ("en/", "ko/" and "zh/")
+ * @constant @type {string}
+ */
+const SERVE_BENCHMARK_WORKER_URL = '../serve_benchmark_worker.bundle.js';
+
 /**
  * Manages pausing and resuming of the game
  */
@@ -123,6 +185,78 @@ export function setUpUI(pikaVolley, ticker) {
         pikaVolley.winningScore = 15;
         break;
     }
+    switch (options.opponent) {
+      case 'frozen':
+        pikaVolley.physics.setComputerStrategy(frozenStrategy);
+        replaySaver.recordOptions({ opponent: 'frozen' });
+        break;
+      case 'ai':
+        pikaVolley.physics.setComputerStrategy(originalAIStrategy);
+        replaySaver.recordOptions({ opponent: 'ai' });
+        break;
+      case 'perfect':
+        pikaVolley.physics.setComputerStrategy(perfectReceiverStrategy);
+        replaySaver.recordOptions({ opponent: 'perfect' });
+        break;
+      case 'replay': {
+        const code = localStorageWrapper.get('pv-offline-opponent-replay-code');
+        try {
+          pikaVolley.physics.setComputerStrategy(createReplayStrategy(code));
+          replaySaver.recordOptions({
+            opponent: 'replay',
+            opponentReplayCode: code,
+          });
+        } catch (err) {
+          console.log(err);
+          pikaVolley.physics.setComputerStrategy(frozenStrategy);
+          replaySaver.recordOptions({ opponent: 'frozen' });
+        }
+        break;
+      }
+    }
+    switch (options.encodingStart) {
+      case EncodingStart.roundStart:
+      case EncodingStart.firstInput:
+      case EncodingStart.beforeContact:
+        pikaVolley.encodingBoundaries.start = options.encodingStart;
+        break;
+    }
+    switch (options.encodingEnd) {
+      case EncodingEnd.firstContact:
+      case EncodingEnd.netCrossing:
+      case EncodingEnd.landing:
+        pikaVolley.encodingBoundaries.end = options.encodingEnd;
+        break;
+    }
+    if (options.encodingLeadFrames) {
+      const frames = Number(options.encodingLeadFrames);
+      if (Number.isInteger(frames) && frames >= 0) {
+        pikaVolley.encodingBoundaries.framesBeforeContact = frames;
+      }
+    }
+    if (isGamepadAssignment(options.gamepad1)) {
+      pikaVolley.gamepadArray[0].assignment = options.gamepad1;
+    }
+    if (isGamepadAssignment(options.gamepad2)) {
+      pikaVolley.gamepadArray[1].assignment = options.gamepad2;
+    }
+    if (options.gamepadDeadzone) {
+      const deadzone = Number(options.gamepadDeadzone);
+      if (deadzone >= 0 && deadzone < 1) {
+        for (const gamepad of pikaVolley.gamepadArray) {
+          gamepad.deadzone = deadzone;
+        }
+      }
+    }
+    if (options.gamepadMapping) {
+      try {
+        for (const gamepad of pikaVolley.gamepadArray) {
+          gamepad.mapping = parseGamepadMapping(options.gamepadMapping);
+        }
+      } catch (err) {
+        console.log(err);
+      }
+    }
   };
 
   /**
@@ -146,6 +280,42 @@ export function setUpUI(pikaVolley, ticker) {
     if (options.winningScore) {
       localStorageWrapper.set('pv-offline-winningScore', options.winningScore);
     }
+    if (options.opponent) {
+      localStorageWrapper.set('pv-offline-opponent', options.opponent);
+    }
+    if (options.encodingStart) {
+      localStorageWrapper.set(
+        'pv-offline-encodingStart',
+        options.encodingStart
+      );
+    }
+    if (options.encodingEnd) {
+      localStorageWrapper.set('pv-offline-encodingEnd', options.encodingEnd);
+    }
+    if (options.encodingLeadFrames) {
+      localStorageWrapper.set(
+        'pv-offline-encodingLeadFrames',
+        options.encodingLeadFrames
+      );
+    }
+    if (options.gamepad1) {
+      localStorageWrapper.set('pv-offline-gamepad1', options.gamepad1);
+    }
+    if (options.gamepad2) {
+      localStorageWrapper.set('pv-offline-gamepad2', options.gamepad2);
+    }
+    if (options.gamepadDeadzone) {
+      localStorageWrapper.set(
+        'pv-offline-gamepadDeadzone',
+        options.gamepadDeadzone
+      );
+    }
+    if (options.gamepadMapping) {
+      localStorageWrapper.set(
+        'pv-offline-gamepadMapping',
+        options.gamepadMapping
+      );
+    }
   };
 
   /**
@@ -158,6 +328,16 @@ export function setUpUI(pikaVolley, ticker) {
     sfx: localStorageWrapper.get('pv-offline-sfx'),
     speed: localStorageWrapper.get('pv-offline-speed'),
     winningScore: localStorageWrapper.get('pv-offline-winningScore'),
+    opponent: localStorageWrapper.get('pv-offline-opponent'),
+    encodingStart: localStorageWrapper.get('pv-offline-encodingStart'),
+    encodingEnd: localStorageWrapper.get('pv-offline-encodingEnd'),
+    encodingLeadFrames: localStorageWrapper.get(
+      'pv-offline-encodingLeadFrames'
+    ),
+    gamepad1: localStorageWrapper.get('pv-offline-gamepad1'),
+    gamepad2: localStorageWrapper.get('pv-offline-gamepad2'),
+    gamepadDeadzone: localStorageWrapper.get('pv-offline-gamepadDeadzone'),
+    gamepadMapping: localStorageWrapper.get('pv-offline-gamepadMapping'),
   });
 
   /**
@@ -171,15 +351,29 @@ export function setUpUI(pikaVolley, ticker) {
 
   const saveReplayBtn = document.getElementById('save-replay-btn');
   saveReplayBtn.addEventListener('click', () => {
+    if (!replaySaver.isReproducible) {
+      alert(saveReplayBtn.dataset.notReproducibleText);
+      return;
+    }
     replaySaver.saveAsFile();
   });
 
   // Load and apply saved options
   applyOptions(loadOptions());
 
+  // Load the serve history of the previous sessions
+  serveHistory.load();
+  showServeHistory();
+  serveLibrary.load();
+  setUpKeyBindings(pikaVolley);
+  setUpGamepadStatus();
+
   setUpBtns(pikaVolley, applyAndSaveOptions);
   setUpToShowDropdownsAndSubmenus(pikaVolley);
 
+  // Load the serve code shared through the URL fragment
+  loadSharedServe(pikaVolley, applyOptions);
+
   // hide or show menubar if the user presses the "esc" key
   window.addEventListener('keydown', (event) => {
     if (event.code === 'Escape') {
@@ -206,6 +400,269 @@ export function setUpUI(pikaVolley, ticker) {
     }
   });
 }
+
+/**
+ * Save the serve to the serve library, asking the user for its name, tags and notes
+ * @param {string} code
+ * @param {number} playerNum 1 or 2
+ * @param {import('./serve_code/serve_outcome.js').ServeOutcome} outcome null if there is none
+ * @param {string} roomID null if unknown
+ */
+function saveServeToLibrary(code, playerNum, outcome, roomID) {
+  const name = prompt('서브 이름을 입력해 주세요.', code);
+  if (name === null) {
+    return;
+  }
+  const tags = prompt(
+    '태그를 쉼표로 구분해서 입력해 주세요. (예: jump-smash, short)',
+    ''
+  );
+  if (tags === null) {
+    return;
+  }
+  const notes = prompt('메모를 입력해 주세요.', '');
+  if (notes === null) {
+    return;
+  }
+  try {
+    serveLibrary.add({
+      name: name.trim(),
+      code: code,
+      playerNum: playerNum,
+      tags: parseTags(tags),
+      notes: notes,
+      outcome: outcome,
+      roomID: roomID,
+    });
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  showServeLibrary();
+}
+
+/**
+ * Remove the shared serve code from the URL fragment after it is loaded,
+ * so that reloading the page does not offer to play it again
+ */
+function clearSharedServeLink() {
+  history.replaceState(
+    null,
+    '',
+    window.location.pathname + window.location.search
+  );
+}
+
+/**
+ * Show the serve code shared through the URL fragment on the code viewer and offer to play it
+ * @param {PikachuVolleyball} pikaVolley
+ * @param {(options: Options) => void} applyOptions
+ */
+function loadSharedServe(pikaVolley, applyOptions) {
+  let sharedServe;
+  try {
+    sharedServe = parseServeLink(window.location.hash);
+  } catch (err) {
+    clearSharedServeLink();
+    alert(`공유된 서브 코드가 올바르지 않습니다.\n${err.message}`);
+    return;
+  }
+  if (sharedServe === null) {
+    return;
+  }
+  clearSharedServeLink();
+  document.getElementById('code-viewer-output').textContent = sharedServe.code;
+  if (sharedServe.speed) {
+    // applied for this visit only, not saved
+    applyOptions({ speed: sharedServe.speed });
+  }
+  if (
+    !confirm(
+      `공유된 P${sharedServe.playerNum} 서브 코드를 재생할까요?\n${sharedServe.code}`
+    )
+  ) {
+    return;
+  }
+  pikaVolley.playServeCode(sharedServe.code, sharedServe.playerNum);
+}
+
+/**
+ * Set up the key binding btns: the keys of the profile being used are applied to the keyboards,
+ * and a key is rebound by clicking its btn and then pressing the new key
+ * @param {PikachuVolleyball} pikaVolley
+ */
+function setUpKeyBindings(pikaVolley) {
+  keyBindingProfiles.load();
+  const applyCurrentProfile = () => {
+    applyKeyBindings(
+      pikaVolley.keyboardArray,
+      keyBindingProfiles.current.bindings
+    );
+    showKeyBindings();
+  };
+  applyCurrentProfile();
+  // the texts of the alerts and the prompts are translated on each page
+  const texts = document.getElementById('key-bindings-submenu').dataset;
+
+  /** @type {function(KeyboardEvent):void} null if not waiting for a new key */
+  let waitingListener = null;
+  const stopWaiting = () => {
+    if (waitingListener !== null) {
+      window.removeEventListener('keydown', waitingListener, true);
+      waitingListener = null;
+      showKeyBindings();
+    }
+  };
+
+  const keyBindingBtns = document.getElementsByClassName('key-binding-btn');
+  for (let i = 0; i < keyBindingBtns.length; i++) {
+    const btn = keyBindingBtns[i];
+    btn.addEventListener('click', () => {
+      stopWaiting();
+      const playerNum = Number(btn.getAttribute('data-player'));
+      const action = btn.getAttribute('data-action');
+      btn.getElementsByClassName('key-code')[0].textContent = texts.waitingText;
+      // on the capture phase, so that the key does not reach the game or the other listeners
+      waitingListener = (event) => {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        stopWaiting();
+        if (event.code === 'Escape') {
+          return;
+        }
+        const conflict = keyBindingProfiles.bind(playerNum, action, event.code);
+        if (conflict !== null) {
+          const label = document.querySelector(
+            `.key-binding-btn[data-player="${conflict.playerNum}"][data-action="${conflict.action}"] .key-binding-label`
+          );
+          alert(
+            fillText(texts.conflictText, {
+              key: event.code,
+              action: label.textContent,
+            })
+          );
+          return;
+        }
+        applyCurrentProfile();
+      };
+      window.addEventListener('keydown', waitingListener, true);
+    });
+  }
+  // stop waiting if the user clicks anywhere else
+  window.addEventListener('click', (event) => {
+    // @ts-ignore
+    if (!event.target.matches('.key-binding-btn, .key-binding-btn *')) {
+      stopWaiting();
+    }
+  });
+
+  document
+    .getElementById('key-binding-profile-btn')
+    .addEventListener('click', () => {
+      const names = keyBindingProfiles.profiles.map((profile) => profile.name);
+      const name = prompt(
+        fillText(texts.selectProfileText, { names: names.join(', ') }),
+        keyBindingProfiles.currentName
+      );
+      if (name === null) {
+        return;
+      }
+      if (!keyBindingProfiles.select(name.trim())) {
+        alert(texts.noProfileText);
+        return;
+      }
+      applyCurrentProfile();
+    });
+  document
+    .getElementById('key-binding-new-profile-btn')
+    .addEventListener('click', () => {
+      const name = prompt(texts.newProfileText);
+      if (name === null || name.trim() === '') {
+        return;
+      }
+      if (!keyBindingProfiles.create(name.trim())) {
+        alert(texts.duplicateProfileText);
+        return;
+      }
+      applyCurrentProfile();
+    });
+  document
+    .getElementById('key-binding-delete-profile-btn')
+    .addEventListener('click', () => {
+      if (keyBindingProfiles.profiles.length === 1) {
+        alert(texts.lastProfileText);
+        return;
+      }
+      if (
+        confirm(
+          fillText(texts.deleteProfileText, {
+            name: keyBindingProfiles.currentName,
+          })
+        )
+      ) {
+        keyBindingProfiles.deleteCurrent();
+        applyCurrentProfile();
+      }
+    });
+}
+
+/**
+ * Show the keys of the profile being used on the key binding btns
+ */
+function showKeyBindings() {
+  const bindings = keyBindingProfiles.current.bindings;
+  const keyBindingBtns = document.getElementsByClassName('key-binding-btn');
+  for (let i = 0; i < keyBindingBtns.length; i++) {
+    const btn = keyBindingBtns[i];
+    const playerNum = Number(btn.getAttribute('data-player'));
+    const action = btn.getAttribute('data-action');
+    btn.getElementsByClassName('key-code')[0].textContent =
+      bindings[playerNum - 1][action];
+  }
+  document.getElementById('key-binding-profile-name').textContent =
+    keyBindingProfiles.currentName;
+}
+
+/**
+ * Show the gamepads connected now on the gamepad status btn,
+ * and keep it up to date as gamepads are plugged in or out
+ */
+function setUpGamepadStatus() {
+  const showConnectedGamepads = () => {
+    const numbers = getConnectedGamepads().map(
+      (gamepad) => `#${gamepad.index + 1}`
+    );
+    const status = document.getElementById('gamepad-status');
+    // the text for no gamepad is translated on each page
+    status.textContent =
+      numbers.length > 0 ? numbers.join(', ') : status.dataset.noneText;
+  };
+  showConnectedGamepads();
+  window.addEventListener('gamepadconnected', showConnectedGamepads);
+  window.addEventListener('gamepaddisconnected', showConnectedGamepads);
+
+  document
+    .getElementById('gamepad-status-btn')
+    .addEventListener('click', () => {
+      const gamepads = getConnectedGamepads();
+      if (gamepads.length === 0) {
+        // the text is translated on each page
+        alert(document.getElementById('gamepad-submenu').dataset.noGamepadText);
+        return;
+      }
+      alert(
+        gamepads
+          .map(
+            (gamepad) =>
+              `#${gamepad.index + 1}: ${gamepad.id} (mapping: ${
+                gamepad.mapping || 'none'
+              })`
+          )
+          .join('\n')
+      );
+    });
+}
+
 function copyToClipboard(text) {
 	navigator.clipboard.writeText(text).then(() => {
     	alert("복사되었습니다. 원하는 곳에 붙여넣기하여 주세요.");
@@ -231,6 +688,805 @@ function setUpBtns(pikaVolley, applyAndSaveOptions) {
     const text = codeBlock.textContent//|| codeBlock.innerText; ✅ 텍스트 추출
     copyToClipboard(text);
   });
+
+  const codeShareBtn = document.getElementById('code-share-btn');
+  codeShareBtn.addEventListener('click', () => {
+    const code = document.getElementById('code-viewer-output').textContent;
+    if (code === '') {
+      return;
+    }
+    const humanPlayerNum = pikaVolley.physics.player1.isComputer ? 2 : 1;
+    let playerNum;
+    try {
+      playerNum = decodeServeCode(code, humanPlayerNum).playerNum;
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    const speeds = { 20: 'slow', 25: 'medium', 30: 'fast' };
+    const link = buildServeLink(window.location.href.replace(/#.*$/, ''), {
+      code: code,
+      playerNum: playerNum,
+      speed: speeds[pikaVolley.normalFPS],
+    });
+    copyToClipboard(link);
+  });
+
+  const codePlayBtn = document.getElementById('code-play-btn');
+  codePlayBtn.addEventListener('click', () => {
+    if (!pikaVolley.isGamePlaying) {
+      alert('게임을 시작한 뒤에 서브 코드를 재생할 수 있습니다.');
+      return;
+    }
+    const codeBlock = document.getElementById('code-viewer-output');
+    const code = prompt(
+      '재생할 서브 코드를 붙여넣어 주세요.',
+      codeBlock.textContent
+    );
+    if (code === null) {
+      return;
+    }
+    const humanPlayerNum = pikaVolley.physics.player1.isComputer ? 2 : 1;
+    try {
+      let codeToPlay = code;
+      const codePlayerNum = decodeServeCode(code, humanPlayerNum).playerNum;
+      if (
+        codePlayerNum !== humanPlayerNum &&
+        confirm(
+          `P${codePlayerNum} 서브 코드입니다. 좌우 반전해서 P${humanPlayerNum} 쪽에서 재생할까요?`
+        )
+      ) {
+        codeToPlay = mirrorServeCode(code);
+      }
+      pikaVolley.playServeCode(codeToPlay, humanPlayerNum);
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  const codeGhostBtn = document.getElementById('code-ghost-btn');
+  codeGhostBtn.addEventListener('click', () => {
+    if (pikaVolley.serveGhost !== null) {
+      pikaVolley.setServeGhost(null);
+      return;
+    }
+    const codeBlock = document.getElementById('code-viewer-output');
+    const code = prompt(
+      '고스트로 보여줄 기준 서브 코드를 붙여넣어 주세요.',
+      codeBlock.textContent
+    );
+    if (code === null || code.trim() === '') {
+      return;
+    }
+    try {
+      pikaVolley.setServeGhost(code);
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  const codeMirrorBtn = document.getElementById('code-mirror-btn');
+  codeMirrorBtn.addEventListener('click', () => {
+    const codeBlock = document.getElementById('code-viewer-output');
+    if (codeBlock.textContent === '') {
+      return;
+    }
+    try {
+      codeBlock.textContent = mirrorServeCode(codeBlock.textContent);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    // the outcome shown is of the code before mirroring
+    document.getElementById('code-viewer-outcome').textContent = '';
+  });
+
+  const serveHistoryBox = document.getElementById('serve-history-box');
+  const serveHistoryBtn = document.getElementById('serve-history-btn');
+  const closeServeHistoryBtn = document.getElementById(
+    'close-serve-history-btn'
+  );
+  const clearServeHistoryBtn = document.getElementById(
+    'clear-serve-history-btn'
+  );
+  const serveHistoryList = document.getElementById('serve-history-list');
+  const closeServeHistoryBox = () => {
+    if (!serveHistoryBox.classList.contains('hidden')) {
+      serveHistoryBox.classList.add('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = false;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = false;
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
+    }
+  };
+  serveHistoryBtn.addEventListener('click', () => {
+    if (serveHistoryBox.classList.contains('hidden')) {
+      showServeHistory();
+      serveHistoryBox.classList.remove('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = true;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = true;
+      pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+    } else {
+      closeServeHistoryBox();
+    }
+  });
+  closeServeHistoryBtn.addEventListener('click', closeServeHistoryBox);
+  const exportServeHistoryCSVBtn = document.getElementById(
+    'export-serve-history-csv-btn'
+  );
+  const exportServeHistoryJSONBtn = document.getElementById(
+    'export-serve-history-json-btn'
+  );
+  exportServeHistoryCSVBtn.addEventListener('click', () => {
+    saveServeHistoryAsCSV(serveHistory.entries);
+  });
+  exportServeHistoryJSONBtn.addEventListener('click', () => {
+    saveServeHistoryAsJSON(serveHistory.entries);
+  });
+  clearServeHistoryBtn.addEventListener('click', () => {
+    if (confirm('서브 기록을 모두 지울까요?')) {
+      serveHistory.clear();
+      showServeHistory();
+    }
+  });
+  serveHistoryList.addEventListener('click', (event) => {
+    // @ts-ignore
+    const dataset = event.target.dataset;
+    if (!dataset || dataset.id === undefined) {
+      return;
+    }
+    const entry = serveHistory.get(Number(dataset.id));
+    if (!entry) {
+      return;
+    }
+    if (dataset.action === 'copy') {
+      copyToClipboard(entry.code);
+    } else if (dataset.action === 'compare') {
+      closeServeHistoryBox();
+      openServeCompareBox(entry.code);
+    } else if (dataset.action === 'save') {
+      saveServeToLibrary(
+        entry.code,
+        entry.playerNum,
+        entry.outcome,
+        entry.roomID
+      );
+    } else if (dataset.action === 'delete') {
+      serveHistory.remove(entry.id);
+      showServeHistory();
+    }
+  });
+
+  const serveCompareBox = document.getElementById('serve-compare-box');
+  const codeCompareBtn = document.getElementById('code-compare-btn');
+  const compareServeCodesBtn = document.getElementById(
+    'compare-serve-codes-btn'
+  );
+  const closeServeCompareBtn = document.getElementById(
+    'close-serve-compare-btn'
+  );
+  const serveCompareInput = document.getElementById('serve-compare-input');
+  const serveCompareReference = document.getElementById(
+    'serve-compare-reference'
+  );
+  /**
+   * Open the serve compare box, filling in the code on the code viewer as "yours"
+   * @param {string} referenceCode
+   */
+  function openServeCompareBox(referenceCode) {
+    // @ts-ignore
+    serveCompareInput.value =
+      document.getElementById('code-viewer-output').textContent;
+    // @ts-ignore
+    serveCompareReference.value = referenceCode;
+    clearServeCodeDiff();
+    if (serveCompareBox.classList.contains('hidden')) {
+      serveCompareBox.classList.remove('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = true;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = true;
+      pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+    }
+  }
+  const closeServeCompareBox = () => {
+    if (!serveCompareBox.classList.contains('hidden')) {
+      serveCompareBox.classList.add('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = false;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = false;
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
+    }
+  };
+  codeCompareBtn.addEventListener('click', () => {
+    if (serveCompareBox.classList.contains('hidden')) {
+      // @ts-ignore
+      openServeCompareBox(serveCompareReference.value);
+    } else {
+      closeServeCompareBox();
+    }
+  });
+  closeServeCompareBtn.addEventListener('click', closeServeCompareBox);
+  compareServeCodesBtn.addEventListener('click', () => {
+    const humanPlayerNum = pikaVolley.physics.player1.isComputer ? 2 : 1;
+    try {
+      const diff = diffServeCodes(
+        // @ts-ignore
+        serveCompareInput.value,
+        // @ts-ignore
+        serveCompareReference.value,
+        humanPlayerNum
+      );
+      showServeCodeDiff(diff);
+    } catch (err) {
+      clearServeCodeDiff();
+      alert(err.message);
+    }
+  });
+  const checkServeEquivalenceBtn = document.getElementById(
+    'check-serve-equivalence-btn'
+  );
+  checkServeEquivalenceBtn.addEventListener('click', () => {
+    const humanPlayerNum = pikaVolley.physics.player1.isComputer ? 2 : 1;
+    try {
+      const equivalence = preservingRng(() =>
+        checkServeEquivalence(
+          // @ts-ignore
+          serveCompareInput.value,
+          // @ts-ignore
+          serveCompareReference.value,
+          { roomID: replaySaver.roomID, defaultPlayerNum: humanPlayerNum }
+        )
+      );
+      showServeEquivalence(equivalence);
+    } catch (err) {
+      clearServeCodeDiff();
+      alert(err.message);
+    }
+  });
+
+  const serveLibraryBox = document.getElementById('serve-library-box');
+  const serveLibraryBtn = document.getElementById('serve-library-btn');
+  const closeServeLibraryBtn = document.getElementById(
+    'close-serve-library-btn'
+  );
+  const saveToServeLibraryBtn = document.getElementById(
+    'save-to-serve-library-btn'
+  );
+  const exportServeLibraryBtn = document.getElementById(
+    'export-serve-library-btn'
+  );
+  const serveLibraryImportInput = document.getElementById(
+    'serve-library-import-input'
+  );
+  const serveLibrarySearch = document.getElementById('serve-library-search');
+  const serveLibrarySort = document.getElementById('serve-library-sort');
+  const serveLibraryList = document.getElementById('serve-library-list');
+  const closeServeLibraryBox = () => {
+    if (!serveLibraryBox.classList.contains('hidden')) {
+      serveLibraryBox.classList.add('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = false;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = false;
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
+    }
+  };
+  serveLibraryBtn.addEventListener('click', () => {
+    if (serveLibraryBox.classList.contains('hidden')) {
+      showServeLibrary();
+      serveLibraryBox.classList.remove('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = true;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = true;
+      pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+    } else {
+      closeServeLibraryBox();
+    }
+  });
+  closeServeLibraryBtn.addEventListener('click', closeServeLibraryBox);
+  serveLibrarySearch.addEventListener('input', showServeLibrary);
+  serveLibrarySort.addEventListener('change', showServeLibrary);
+  saveToServeLibraryBtn.addEventListener('click', () => {
+    const code = document.getElementById('code-viewer-output').textContent;
+    if (code === '') {
+      return;
+    }
+    // the outcome is recorded only in the history, so look for the latest entry of the code
+    const historyEntry = serveHistory.findLatestByCode(code);
+    const humanPlayerNum = pikaVolley.physics.player1.isComputer ? 2 : 1;
+    if (historyEntry) {
+      saveServeToLibrary(
+        code,
+        historyEntry.playerNum,
+        historyEntry.outcome,
+        historyEntry.roomID
+      );
+    } else {
+      saveServeToLibrary(code, humanPlayerNum, null, null);
+    }
+  });
+  exportServeLibraryBtn.addEventListener('click', () => {
+    serveLibrary.exportAsFile();
+  });
+  serveLibraryImportInput.addEventListener('change', () => {
+    // @ts-ignore
+    const file = serveLibraryImportInput.files[0];
+    if (!file) {
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        // @ts-ignore
+        const count = serveLibrary.importFromJSON(event.target.result);
+        alert(`서브 ${count}개를 가져왔습니다.`);
+      } catch (err) {
+        console.log(err);
+        alert('서브 라이브러리 파일을 읽을 수 없습니다.');
+      }
+      showServeLibrary();
+    };
+    reader.readAsText(file);
+    // so that the same file can be imported again
+    // @ts-ignore
+    serveLibraryImportInput.value = '';
+  });
+  // Receive practice: the player controlled by computer serves the serves listed on the library
+  // (those found by the search box, in the order of the sort select box)
+  const startReceivePracticeBtn = document.getElementById(
+    'start-receive-practice-btn'
+  );
+  const stopReceivePracticeBtn = document.getElementById(
+    'stop-receive-practice-btn'
+  );
+  startReceivePracticeBtn.addEventListener('click', () => {
+    if (!pikaVolley.isGamePlaying) {
+      alert('게임을 시작한 뒤에 리시브 연습을 할 수 있습니다.');
+      return;
+    }
+    const serves = serveLibrary
+      .search(
+        // @ts-ignore
+        serveLibrarySearch.value,
+        // @ts-ignore
+        serveLibrarySort.value
+      )
+      .map((entry) => ({
+        name: entry.name,
+        code: entry.code,
+        playerNum: entry.playerNum,
+      }));
+    if (serves.length === 0) {
+      alert('연습할 서브가 없습니다.');
+      return;
+    }
+    let practice;
+    try {
+      practice = new ReceivePractice(
+        serves,
+        // @ts-ignore
+        document.getElementById('receive-practice-order').value
+      );
+    } catch (err) {
+      console.log(err);
+      alert(err.message);
+      return;
+    }
+    closeServeLibraryBox();
+    pikaVolley.startReceivePractice(practice);
+  });
+  stopReceivePracticeBtn.addEventListener('click', () => {
+    closeServeLibraryBox();
+    pikaVolley.stopReceivePractice();
+  });
+  serveLibraryList.addEventListener('click', (event) => {
+    // @ts-ignore
+    const dataset = event.target.dataset;
+    if (!dataset || dataset.id === undefined) {
+      return;
+    }
+    const entry = serveLibrary.get(Number(dataset.id));
+    if (!entry) {
+      return;
+    }
+    if (dataset.action === 'play') {
+      if (!pikaVolley.isGamePlaying) {
+        alert('게임을 시작한 뒤에 서브 코드를 재생할 수 있습니다.');
+        return;
+      }
+      closeServeLibraryBox();
+      document.getElementById('code-viewer-output').textContent = entry.code;
+      pikaVolley.playServeCode(entry.code, entry.playerNum);
+    } else if (dataset.action === 'ghost') {
+      closeServeLibraryBox();
+      pikaVolley.setServeGhost(entry.code);
+    } else if (dataset.action === 'copy') {
+      copyToClipboard(entry.code);
+    } else if (dataset.action === 'rename') {
+      const name = prompt('새 이름을 입력해 주세요.', entry.name);
+      if (name !== null && name.trim() !== '') {
+        serveLibrary.update(entry.id, { name: name.trim() });
+        showServeLibrary();
+      }
+    } else if (dataset.action === 'edit') {
+      const tags = prompt(
+        '태그를 쉼표로 구분해서 입력해 주세요. (예: jump-smash, short)',
+        entry.tags.join(', ')
+      );
+      if (tags === null) {
+        return;
+      }
+      const notes = prompt('메모를 입력해 주세요.', entry.notes);
+      if (notes === null) {
+        return;
+      }
+      serveLibrary.update(entry.id, { tags: parseTags(tags), notes: notes });
+      showServeLibrary();
+    } else if (dataset.action === 'delete') {
+      if (confirm(`"${entry.name}" 서브를 라이브러리에서 지울까요?`)) {
+        serveLibrary.remove(entry.id);
+        showServeLibrary();
+      }
+    }
+  });
+
+  const serveAnalysisBox = document.getElementById('serve-analysis-box');
+  const closeServeAnalysisBtn = document.getElementById(
+    'close-serve-analysis-btn'
+  );
+  /**
+   * Show the result of a serve analysis on the serve analysis box and open it
+   * @param {string} summary
+   * @param {string[]} lines
+   */
+  function openServeAnalysisBox(summary, lines) {
+    showServeAnalysis(summary, lines);
+    if (serveAnalysisBox.classList.contains('hidden')) {
+      serveAnalysisBox.classList.remove('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = true;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = true;
+      pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+    }
+  }
+  const closeServeAnalysisBox = () => {
+    if (!serveAnalysisBox.classList.contains('hidden')) {
+      serveAnalysisBox.classList.add('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = false;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = false;
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
+    }
+  };
+  closeServeAnalysisBtn.addEventListener('click', closeServeAnalysisBox);
+
+  // Rally: the last rally encoded with the inputs of both players, segmented at each contact
+  const rallyBtn = document.getElementById('rally-btn');
+  const rallyBox = document.getElementById('rally-box');
+  const closeRallyBtn = document.getElementById('close-rally-btn');
+  const rallyList = document.getElementById('rally-list');
+  const closeRallyBox = () => {
+    if (!rallyBox.classList.contains('hidden')) {
+      rallyBox.classList.add('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = false;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = false;
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
+    }
+  };
+  rallyBtn.addEventListener('click', () => {
+    if (rallyBox.classList.contains('hidden')) {
+      rallyBox.classList.remove('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = true;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = true;
+      pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+    } else {
+      closeRallyBox();
+    }
+  });
+  closeRallyBtn.addEventListener('click', closeRallyBox);
+  rallyList.addEventListener('click', (event) => {
+    // @ts-ignore
+    const dataset = event.target.dataset;
+    const rally = pikaVolley.lastRally;
+    if (!dataset || dataset.id === undefined || rally === null) {
+      return;
+    }
+    if (dataset.action === 'copy-rally') {
+      copyToClipboard(rally.code);
+    } else if (dataset.action === 'copy-segment') {
+      const segment = rally.segments[Number(dataset.id)];
+      if (segment) {
+        copyToClipboard(segment.code);
+      }
+    }
+  });
+
+  const codeToleranceBtn = document.getElementById('code-tolerance-btn');
+  codeToleranceBtn.addEventListener('click', () => {
+    const code = document.getElementById('code-viewer-output').textContent;
+    if (code === '') {
+      return;
+    }
+    const historyEntry = serveHistory.findLatestByCode(code);
+    const humanPlayerNum = pikaVolley.physics.player1.isComputer ? 2 : 1;
+    let report;
+    try {
+      report = preservingRng(() =>
+        analyzeServeTolerance(code, {
+          roomID:
+            historyEntry && historyEntry.roomID
+              ? historyEntry.roomID
+              : replaySaver.roomID,
+          defaultPlayerNum: humanPlayerNum,
+        })
+      );
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    openServeAnalysisBox(
+      `${code} | ${formatServeOutcome(report.outcome)}`,
+      report.transitions.map((transition) =>
+        describeTransitionTolerance(transition)
+      )
+    );
+  });
+
+  const codeMinimizeBtn = document.getElementById('code-minimize-btn');
+  codeMinimizeBtn.addEventListener('click', () => {
+    const code = document.getElementById('code-viewer-output').textContent;
+    if (code === '') {
+      return;
+    }
+    const historyEntry = serveHistory.findLatestByCode(code);
+    const humanPlayerNum = pikaVolley.physics.player1.isComputer ? 2 : 1;
+    let minimized;
+    try {
+      minimized = preservingRng(() =>
+        minimizeServeCode(code, {
+          roomID:
+            historyEntry && historyEntry.roomID
+              ? historyEntry.roomID
+              : replaySaver.roomID,
+          defaultPlayerNum: humanPlayerNum,
+        })
+      );
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    openServeAnalysisBox(`${code} → ${minimized.code}`, [
+      `tokens: ${minimized.originalTokenCount} → ${minimized.tokenCount}`,
+      `the same state on all ${minimized.frames} frames until the ball touches ground`,
+    ]);
+  });
+
+  const serveSearchBox = document.getElementById('serve-search-box');
+  const serveSearchBtn = document.getElementById('serve-search-btn');
+  const startServeSearchBtn = document.getElementById('start-serve-search-btn');
+  const stopServeSearchBtn = document.getElementById('stop-serve-search-btn');
+  const closeServeSearchBtn = document.getElementById('close-serve-search-btn');
+  const serveSearchList = document.getElementById('serve-search-list');
+  /** @type {Worker} */
+  let serveSearchWorker = null;
+  /** @type {import('./serve_code/serve_search.js').SearchResult[]} */
+  let serveSearchResults = [];
+  /** @type {number} side of the serving player of the search results */
+  let serveSearchPlayerNum = 1;
+  const stopServeSearch = () => {
+    if (serveSearchWorker !== null) {
+      serveSearchWorker.terminate();
+      serveSearchWorker = null;
+    }
+  };
+  const closeServeSearchBox = () => {
+    if (!serveSearchBox.classList.contains('hidden')) {
+      serveSearchBox.classList.add('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = false;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = false;
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
+    }
+  };
+  serveSearchBtn.addEventListener('click', () => {
+    if (serveSearchBox.classList.contains('hidden')) {
+      serveSearchBox.classList.remove('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = true;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = true;
+      pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+    } else {
+      closeServeSearchBox();
+    }
+  });
+  // the search goes on in the worker after the box is closed
+  closeServeSearchBtn.addEventListener('click', closeServeSearchBox);
+  stopServeSearchBtn.addEventListener('click', () => {
+    stopServeSearch();
+    showServeSearchProgress(0, 0);
+  });
+  startServeSearchBtn.addEventListener('click', () => {
+    const minX = Number(
+      // @ts-ignore
+      document.getElementById('serve-search-min-x').value
+    );
+    const maxX = Number(
+      // @ts-ignore
+      document.getElementById('serve-search-max-x').value
+    );
+    const frameBudget = Number(
+      // @ts-ignore
+      document.getElementById('serve-search-frame-budget').value
+    );
+    if (
+      !(minX <= maxX) ||
+      !(frameBudget > 0) ||
+      frameBudget > MAX_FRAME_BUDGET
+    ) {
+      alert(
+        `검색 조건이 올바르지 않습니다. (타격 전 프레임 수는 ${MAX_FRAME_BUDGET} 이하)`
+      );
+      return;
+    }
+    stopServeSearch();
+    serveSearchPlayerNum = pikaVolley.physics.player1.isComputer ? 2 : 1;
+    serveSearchWorker = new Worker(SERVE_SEARCH_WORKER_URL);
+    serveSearchWorker.addEventListener('message', (event) => {
+      const data = event.data;
+      if (data.type === 'progress') {
+        showServeSearchProgress(data.done, data.total);
+      } else if (data.type === 'result') {
+        serveSearchResults = data.results;
+        showServeSearchResults(serveSearchResults);
+        stopServeSearch();
+      } else if (data.type === 'error') {
+        alert(data.message);
+        stopServeSearch();
+      }
+    });
+    serveSearchWorker.postMessage({
+      type: 'search',
+      options: {
+        playerNum: serveSearchPlayerNum,
+        minX: minX,
+        maxX: maxX,
+        frameBudget: frameBudget,
+        roomID: replaySaver.roomID,
+      },
+    });
+  });
+  serveSearchList.addEventListener('click', (event) => {
+    // @ts-ignore
+    const dataset = event.target.dataset;
+    if (!dataset || dataset.id === undefined) {
+      return;
+    }
+    const result = serveSearchResults[Number(dataset.id)];
+    if (!result) {
+      return;
+    }
+    if (dataset.action === 'play') {
+      if (!pikaVolley.isGamePlaying) {
+        alert('게임을 시작한 뒤에 서브 코드를 재생할 수 있습니다.');
+        return;
+      }
+      closeServeSearchBox();
+      document.getElementById('code-viewer-output').textContent = result.code;
+      pikaVolley.playServeCode(result.code, serveSearchPlayerNum);
+    } else if (dataset.action === 'copy') {
+      copyToClipboard(result.code);
+    } else if (dataset.action === 'save') {
+      saveServeToLibrary(
+        result.code,
+        serveSearchPlayerNum,
+        result.outcome,
+        replaySaver.roomID
+      );
+    }
+  });
+
+  const serveBenchmarkBox = document.getElementById('serve-benchmark-box');
+  const codeBenchmarkBtn = document.getElementById('code-benchmark-btn');
+  const startServeBenchmarkBtn = document.getElementById(
+    'start-serve-benchmark-btn'
+  );
+  const stopServeBenchmarkBtn = document.getElementById(
+    'stop-serve-benchmark-btn'
+  );
+  const closeServeBenchmarkBtn = document.getElementById(
+    'close-serve-benchmark-btn'
+  );
+  const serveBenchmarkCode = document.getElementById('serve-benchmark-code');
+  /** @type {Worker} */
+  let serveBenchmarkWorker = null;
+  const stopServeBenchmark = () => {
+    if (serveBenchmarkWorker !== null) {
+      serveBenchmarkWorker.terminate();
+      serveBenchmarkWorker = null;
+    }
+  };
+  const closeServeBenchmarkBox = () => {
+    if (!serveBenchmarkBox.classList.contains('hidden')) {
+      serveBenchmarkBox.classList.add('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = false;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = false;
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
+    }
+  };
+  codeBenchmarkBtn.addEventListener('click', () => {
+    if (serveBenchmarkBox.classList.contains('hidden')) {
+      const code = document.getElementById('code-viewer-output').textContent;
+      if (code !== '') {
+        // @ts-ignore
+        serveBenchmarkCode.value = code;
+      }
+      serveBenchmarkBox.classList.remove('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = true;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = true;
+      pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+    } else {
+      closeServeBenchmarkBox();
+    }
+  });
+  // the benchmark goes on in the worker after the box is closed
+  closeServeBenchmarkBtn.addEventListener('click', closeServeBenchmarkBox);
+  stopServeBenchmarkBtn.addEventListener('click', () => {
+    stopServeBenchmark();
+    showServeBenchmarkProgress(0, 0);
+  });
+  startServeBenchmarkBtn.addEventListener('click', () => {
+    // @ts-ignore
+    const code = serveBenchmarkCode.value.trim();
+    const trials = Number(
+      // @ts-ignore
+      document.getElementById('serve-benchmark-trials').value
+    );
+    if (code === '' || !(trials >= 1)) {
+      alert('벤치마크 조건이 올바르지 않습니다.');
+      return;
+    }
+    stopServeBenchmark();
+    serveBenchmarkWorker = new Worker(SERVE_BENCHMARK_WORKER_URL);
+    serveBenchmarkWorker.addEventListener('message', (event) => {
+      const data = event.data;
+      if (data.type === 'progress') {
+        showServeBenchmarkProgress(data.done, data.total);
+      } else if (data.type === 'result') {
+        showServeBenchmarkReport(data.report);
+        stopServeBenchmark();
+      } else if (data.type === 'error') {
+        alert(data.message);
+        stopServeBenchmark();
+      }
+    });
+    serveBenchmarkWorker.postMessage({
+      type: 'benchmark',
+      code: code,
+      options: {
+        defaultPlayerNum: pikaVolley.physics.player1.isComputer ? 2 : 1,
+        trials: Math.floor(trials),
+      },
+    });
+  });
+
   // @ts-ignore
   gameDropdownBtn.disabled = false;
   // @ts-ignore
@@ -456,6 +1712,193 @@ function setUpBtns(pikaVolley, applyAndSaveOptions) {
     pikaVolley.isPracticeMode = false;
   });
 
+  // Opponent (the player controlled by computer):
+  //   frozen: it stands still and the ball passes through it
+  //   ai: the original computer AI receives the serve
+  //   perfect: it always runs to the expected landing point of the ball
+  //   replay: it replays a recorded code, e.g. a receive of the user
+  //   custom: a strategy loaded from a user-supplied JS module (see "opponent_strategy.js"),
+  //           which is not saved
+  const opponentFrozenBtn = document.getElementById('opponent-frozen-btn');
+  const opponentAIBtn = document.getElementById('opponent-ai-btn');
+  const opponentPerfectBtn = document.getElementById('opponent-perfect-btn');
+  const opponentReplayBtn = document.getElementById('opponent-replay-btn');
+  const opponentModuleInput = document.getElementById('opponent-module-input');
+  opponentFrozenBtn.addEventListener('click', () => {
+    applyAndSaveOptions({ opponent: 'frozen' });
+  });
+  opponentAIBtn.addEventListener('click', () => {
+    applyAndSaveOptions({ opponent: 'ai' });
+  });
+  opponentPerfectBtn.addEventListener('click', () => {
+    applyAndSaveOptions({ opponent: 'perfect' });
+  });
+  opponentReplayBtn.addEventListener('click', () => {
+    const code = prompt(
+      '상대가 재생할 코드를 입력하세요.',
+      localStorageWrapper.get('pv-offline-opponent-replay-code') ||
+        document.getElementById('code-viewer-output').textContent
+    );
+    if (code === null) {
+      return;
+    }
+    try {
+      createReplayStrategy(code.trim());
+    } catch (err) {
+      console.log(err);
+      alert('코드 형식이 올바르지 않습니다.');
+      return;
+    }
+    localStorageWrapper.set('pv-offline-opponent-replay-code', code.trim());
+    applyAndSaveOptions({ opponent: 'replay' });
+  });
+  opponentModuleInput.addEventListener('change', () => {
+    // @ts-ignore
+    const file = opponentModuleInput.files[0];
+    if (!file) {
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        pikaVolley.physics.setComputerStrategy(
+          // @ts-ignore
+          loadStrategyFromSource(event.target.result, (err) => {
+            console.log(err);
+            pikaVolley.physics.setComputerStrategy(frozenStrategy);
+            replaySaver.recordOptions({ opponent: 'frozen' });
+            setSelectedOptionsBtn({ opponent: 'frozen' });
+            alert('상대 모듈에서 오류가 나서 움직이지 않는 상대로 바꿉니다.');
+          })
+        );
+        // the module is not saved in the replay, so the replay can not be saved from now on
+        replaySaver.recordOptions({ opponent: 'custom' });
+        setSelectedOptionsBtn({ opponent: 'custom' });
+      } catch (err) {
+        console.log(err);
+        alert('상대 모듈을 불러올 수 없습니다.');
+      }
+    };
+    reader.readAsText(file);
+    // so that the same file can be loaded again
+    // @ts-ignore
+    opponentModuleInput.value = '';
+  });
+
+  // Encoding boundaries of the trimmed serve code shown under the untrimmed one
+  document
+    .getElementById('encoding-start-round-btn')
+    .addEventListener('click', () => {
+      applyAndSaveOptions({ encodingStart: EncodingStart.roundStart });
+    });
+  document
+    .getElementById('encoding-start-input-btn')
+    .addEventListener('click', () => {
+      applyAndSaveOptions({ encodingStart: EncodingStart.firstInput });
+    });
+  document
+    .getElementById('encoding-start-contact-btn')
+    .addEventListener('click', () => {
+      const input = prompt(
+        '첫 접촉 몇 프레임 전부터 인코딩할지 입력하세요.',
+        String(pikaVolley.encodingBoundaries.framesBeforeContact)
+      );
+      if (input === null) {
+        return;
+      }
+      const frames = Number(input.trim());
+      if (input.trim() === '' || !Number.isInteger(frames) || frames < 0) {
+        alert('0 이상의 정수를 입력하세요.');
+        return;
+      }
+      applyAndSaveOptions({
+        encodingStart: EncodingStart.beforeContact,
+        encodingLeadFrames: String(frames),
+      });
+    });
+  document
+    .getElementById('encoding-end-contact-btn')
+    .addEventListener('click', () => {
+      applyAndSaveOptions({ encodingEnd: EncodingEnd.firstContact });
+    });
+  document
+    .getElementById('encoding-end-net-btn')
+    .addEventListener('click', () => {
+      applyAndSaveOptions({ encodingEnd: EncodingEnd.netCrossing });
+    });
+  document
+    .getElementById('encoding-end-landing-btn')
+    .addEventListener('click', () => {
+      applyAndSaveOptions({ encodingEnd: EncodingEnd.landing });
+    });
+
+  // the texts of the alerts and the prompts about gamepads are translated on each page
+  const gamepadTexts = document.getElementById('gamepad-submenu').dataset;
+  for (let i = 0; i < 2; i++) {
+    const option = `gamepad${i + 1}`;
+    document
+      .getElementById(`gamepad-p${i + 1}-auto-btn`)
+      .addEventListener('click', () => {
+        applyAndSaveOptions({ [option]: 'auto' });
+      });
+    document
+      .getElementById(`gamepad-p${i + 1}-off-btn`)
+      .addEventListener('click', () => {
+        applyAndSaveOptions({ [option]: 'off' });
+      });
+    document
+      .getElementById(`gamepad-p${i + 1}-pick-btn`)
+      .addEventListener('click', () => {
+        const input = prompt(
+          fillText(gamepadTexts.pickText, { player: String(i + 1) }),
+          document.getElementById(`gamepad-p${i + 1}-number`).textContent
+        );
+        if (input === null) {
+          return;
+        }
+        if (!/^[1-4]$/.test(input.trim())) {
+          alert(gamepadTexts.pickErrorText);
+          return;
+        }
+        applyAndSaveOptions({ [option]: input.trim() });
+      });
+  }
+  document
+    .getElementById('gamepad-deadzone-btn')
+    .addEventListener('click', () => {
+      const input = prompt(
+        gamepadTexts.deadzoneText,
+        String(pikaVolley.gamepadArray[0].deadzone)
+      );
+      if (input === null) {
+        return;
+      }
+      const deadzone = Number(input.trim());
+      if (input.trim() === '' || !(deadzone >= 0 && deadzone < 1)) {
+        alert(gamepadTexts.deadzoneErrorText);
+        return;
+      }
+      applyAndSaveOptions({ gamepadDeadzone: String(deadzone) });
+    });
+  document
+    .getElementById('gamepad-mapping-btn')
+    .addEventListener('click', () => {
+      const input = prompt(
+        gamepadTexts.mappingText,
+        formatGamepadMapping(pikaVolley.gamepadArray[0].mapping)
+      );
+      if (input === null) {
+        return;
+      }
+      try {
+        parseGamepadMapping(input);
+      } catch (err) {
+        alert(fillText(gamepadTexts.mappingErrorText, { error: err.message }));
+        return;
+      }
+      applyAndSaveOptions({ gamepadMapping: input.trim() });
+    });
+
   const aboutBox = document.getElementById('about-box');
   const closeAboutBtn = document.getElementById('close-about-btn');
   aboutBtn.addEventListener('click', () => {
@@ -498,6 +1941,14 @@ function setUpBtns(pikaVolley, applyAndSaveOptions) {
       sfx: 'stereo',
       speed: 'medium',
       winningScore: '15',
+      opponent: 'frozen',
+      encodingStart: EncodingStart.roundStart,
+      encodingEnd: EncodingEnd.landing,
+      encodingLeadFrames: '10',
+      gamepad1: 'auto',
+      gamepad2: 'auto',
+      gamepadDeadzone: String(DEFAULT_GAMEPAD_DEADZONE),
+      gamepadMapping: formatGamepadMapping(createDefaultGamepadMapping()),
     };
     applyAndSaveOptions(defaultOptions);
   });
@@ -602,6 +2053,82 @@ function setSelectedOptionsBtn(options) {
         break;
     }
   }
+  if (options.opponent) {
+    const opponentBtnIds = {
+      frozen: 'opponent-frozen-btn',
+      ai: 'opponent-ai-btn',
+      perfect: 'opponent-perfect-btn',
+      replay: 'opponent-replay-btn',
+      custom: 'opponent-module-btn',
+    };
+    if (opponentBtnIds[options.opponent]) {
+      for (const opponent of Object.keys(opponentBtnIds)) {
+        document
+          .getElementById(opponentBtnIds[opponent])
+          .classList.toggle('selected', opponent === options.opponent);
+      }
+    }
+  }
+  if (options.encodingStart) {
+    const encodingStartBtnIds = {
+      [EncodingStart.roundStart]: 'encoding-start-round-btn',
+      [EncodingStart.firstInput]: 'encoding-start-input-btn',
+      [EncodingStart.beforeContact]: 'encoding-start-contact-btn',
+    };
+    if (encodingStartBtnIds[options.encodingStart]) {
+      for (const start of Object.keys(encodingStartBtnIds)) {
+        document
+          .getElementById(encodingStartBtnIds[start])
+          .classList.toggle('selected', start === options.encodingStart);
+      }
+    }
+  }
+  if (options.encodingEnd) {
+    const encodingEndBtnIds = {
+      [EncodingEnd.firstContact]: 'encoding-end-contact-btn',
+      [EncodingEnd.netCrossing]: 'encoding-end-net-btn',
+      [EncodingEnd.landing]: 'encoding-end-landing-btn',
+    };
+    if (encodingEndBtnIds[options.encodingEnd]) {
+      for (const end of Object.keys(encodingEndBtnIds)) {
+        document
+          .getElementById(encodingEndBtnIds[end])
+          .classList.toggle('selected', end === options.encodingEnd);
+      }
+    }
+  }
+  for (let i = 0; i < 2; i++) {
+    const assignment = options[`gamepad${i + 1}`];
+    if (isGamepadAssignment(assignment)) {
+      const picked =
+        assignment === 'auto' || assignment === 'off' ? null : assignment;
+      const gamepadBtnIds = {
+        auto: `gamepad-p${i + 1}-auto-btn`,
+        off: `gamepad-p${i + 1}-off-btn`,
+        pick: `gamepad-p${i + 1}-pick-btn`,
+      };
+      for (const key of Object.keys(gamepadBtnIds)) {
+        document
+          .getElementById(gamepadBtnIds[key])
+          .classList.toggle(
+            'selected',
+            key === (picked === null ? assignment : 'pick')
+          );
+      }
+      if (picked !== null) {
+        document.getElementById(`gamepad-p${i + 1}-number`).textContent =
+          picked;
+      }
+    }
+  }
+  if (options.gamepadDeadzone) {
+    document.getElementById('gamepad-deadzone').textContent =
+      options.gamepadDeadzone;
+  }
+  if (options.gamepadMapping) {
+    document.getElementById('gamepad-mapping').textContent =
+      options.gamepadMapping;
+  }
 }
 
 /**
@@ -612,7 +2139,13 @@ function setUpToShowDropdownsAndSubmenus(pikaVolley) {
   // hide dropdowns and submenus if the user clicks outside of these
   window.addEventListener('click', (event) => {
     // @ts-ignore
-    if (!event.target.matches('.dropdown-btn, .submenu-btn')) {
+    // a key binding btn keeps the submenu open while waiting for the new key
+    if (
+      // @ts-ignore
+      !event.target.matches(
+        '.dropdown-btn, .submenu-btn, .key-binding-btn, .key-binding-btn *'
+      )
+    ) {
       hideSubmenus();
       hideDropdownsExcept('');
       pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.dropdown);
@@ -660,6 +2193,31 @@ function setUpToShowDropdownsAndSubmenus(pikaVolley) {
     .addEventListener('mouseover', () => {
       showSubmenu('practice-mode-submenu-btn', 'practice-mode-submenu');
     });
+  document
+    .getElementById('opponent-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('opponent-submenu-btn', 'opponent-submenu');
+    });
+  document
+    .getElementById('encoding-start-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('encoding-start-submenu-btn', 'encoding-start-submenu');
+    });
+  document
+    .getElementById('encoding-end-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('encoding-end-submenu-btn', 'encoding-end-submenu');
+    });
+  document
+    .getElementById('key-bindings-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('key-bindings-submenu-btn', 'key-bindings-submenu');
+    });
+  document
+    .getElementById('gamepad-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('gamepad-submenu-btn', 'gamepad-submenu');
+    });
   document
     .getElementById('reset-to-default-btn')
     .addEventListener('mouseover', () => {
@@ -687,6 +2245,31 @@ function setUpToShowDropdownsAndSubmenus(pikaVolley) {
     .addEventListener('click', () => {
       showSubmenu('practice-mode-submenu-btn', 'practice-mode-submenu');
     });
+  document
+    .getElementById('opponent-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('opponent-submenu-btn', 'opponent-submenu');
+    });
+  document
+    .getElementById('encoding-start-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('encoding-start-submenu-btn', 'encoding-start-submenu');
+    });
+  document
+    .getElementById('encoding-end-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('encoding-end-submenu-btn', 'encoding-end-submenu');
+    });
+  document
+    .getElementById('key-bindings-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('key-bindings-submenu-btn', 'key-bindings-submenu');
+    });
+  document
+    .getElementById('gamepad-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('gamepad-submenu-btn', 'gamepad-submenu');
+    });
   document
     .getElementById('reset-to-default-btn')
     .addEventListener('click', () => {
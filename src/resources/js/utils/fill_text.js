@@ -0,0 +1,12 @@
+/**
+ * Fill the placeholders of a text translated on each page (e.g. a "data-*-text" attribute),
+ * e.g. "{name}" with values.name. A placeholder without a value is kept as it is.
+ * @param {string} text ex) 'Delete the profile "{name}"?'
+ * @param {Object.<string, *>} values
+ * @return {string}
+ */
+export function fillText(text, values) {
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in values ? String(values[name]) : placeholder
+  );
+}
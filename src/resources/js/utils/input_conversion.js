@@ -1,4 +1,5 @@
 import { PikaUserInput } from '../physics.js';
+import { PikaHeldKeys } from '../keyboard.js';
 
 /**
  * Convert PikaUserInput object to a 5-bit number.
@@ -68,4 +69,69 @@ export function convert5bitNumberToUserInput(n) {
   }
   input.powerHit = n >>> 4;
   return input;
-}
\ No newline at end of file
+}
+
+/**
+ * Convert PikaUserInput object to the keys which must be held down for the input.
+ * (The power hit key is held down on a power hit input.)
+ * @param {PikaUserInput} input PikaUserInput object
+ * @return {PikaHeldKeys}
+ */
+export function convertUserInputToHeldKeys(input) {
+  const heldKeys = new PikaHeldKeys();
+  heldKeys.left = input.xDirection === -1;
+  heldKeys.right = input.xDirection === 1;
+  heldKeys.up = input.yDirection === -1;
+  heldKeys.down = input.yDirection === 1;
+  heldKeys.powerHit = input.powerHit === 1;
+  return heldKeys;
+}
+
+/**
+ * Convert PikaHeldKeys object to a 5-bit number of the keys held down
+ * beyond the keys implied by the input on the same frame.
+ *
+ * Only the extra keys are written so that the number is 0 if nothing but the input is held,
+ * which is what a record made before the held keys were recorded means.
+ * The bits order is powerHit, down, up, right, left (left is the lowest bit).
+ *
+ * @param {PikaHeldKeys} heldKeys PikaHeldKeys object
+ * @param {PikaUserInput} input PikaUserInput object on the same frame
+ * @return {number} 5-bit number
+ */
+export function convertHeldKeysTo5bitNumber(heldKeys, input) {
+  const implied = convertUserInputToHeldKeys(input);
+  let n = 0;
+  if (heldKeys.left && !implied.left) {
+    n += 1;
+  }
+  if (heldKeys.right && !implied.right) {
+    n += 1 << 1;
+  }
+  if (heldKeys.up && !implied.up) {
+    n += 1 << 2;
+  }
+  if (heldKeys.down && !implied.down) {
+    n += 1 << 3;
+  }
+  if (heldKeys.powerHit && !implied.powerHit) {
+    n += 1 << 4;
+  }
+  return n;
+}
+
+/**
+ * Convert 5-bit number of the extra keys held down to PikaHeldKeys object
+ * @param {number} n 5-bit number, 0 if nothing but the input is held
+ * @param {PikaUserInput} input PikaUserInput object on the same frame
+ * @return {PikaHeldKeys}
+ */
+export function convert5bitNumberToHeldKeys(n, input) {
+  const heldKeys = convertUserInputToHeldKeys(input);
+  heldKeys.left = heldKeys.left || (n & 1) !== 0;
+  heldKeys.right = heldKeys.right || (n & (1 << 1)) !== 0;
+  heldKeys.up = heldKeys.up || (n & (1 << 2)) !== 0;
+  heldKeys.down = heldKeys.down || (n & (1 << 3)) !== 0;
+  heldKeys.powerHit = heldKeys.powerHit || (n & (1 << 4)) !== 0;
+  return heldKeys;
+}
@@ -19,6 +19,8 @@ const TEXTURES = ASSETS_PATH.TEXTURES;
 
 /** @constant @type {number} number of clouds to be rendered */
 const NUM_OF_CLOUDS = 10;
+/** @constant @type {number} alpha of the ghost of a reference serve */
+const GHOST_ALPHA = 0.4;
 
 /**
  * Class representing intro view where the man with a briefcase mark appears
@@ -380,6 +382,17 @@ export class GameView {
     this.cloudContainer = makeCloudContainer(textures);
     this.waveContainer = makeWaveContainer(textures);
 
+    // ghost of a reference serve: the serving player and the ball, drawn translucent
+    this.ghost = {
+      container: new Container(),
+      player: makePlayerAnimatedSprites(textures)[0],
+      ball: makeBallAnimatedSprites(textures),
+    };
+    this.ghost.container.addChild(this.ghost.player);
+    this.ghost.container.addChild(this.ghost.ball);
+    this.ghost.container.alpha = GHOST_ALPHA;
+    this.ghost.container.visible = false;
+
     // container which include whole display objects
     // Should be careful on addChild order
     // The later added, the more front(z-index) on screen
@@ -396,6 +409,7 @@ export class GameView {
     this.container.addChild(this.ballHyper);
     this.container.addChild(this.ball);
     this.container.addChild(this.punch);
+    this.container.addChild(this.ghost.container);
     this.container.addChild(this.scoreBoards[0]);
     this.container.addChild(this.scoreBoards[1]);
     this.container.addChild(this.messages.gameStart);
@@ -524,6 +538,38 @@ export class GameView {
     }
   }
 
+  /**
+   * Draw the ghost of a reference serve: the serving player and the ball in the given physics object.
+   * This is not in the original game.
+   * @param {PikaPhysics} physics ghost PikaPhysics object to draw
+   * @param {number} playerNum 1 or 2, the serving player
+   */
+  drawGhost(physics, playerNum) {
+    const player = playerNum === 1 ? physics.player1 : physics.player2;
+    const ball = physics.ball;
+
+    this.ghost.player.x = player.x;
+    this.ghost.player.y = player.y;
+    // same as the scale.x of player1 and player2 in drawPlayersAndBall
+    if (player.state === 3 || player.state === 4) {
+      this.ghost.player.scale.x = player.divingDirection === -1 ? -1 : 1;
+    } else {
+      this.ghost.player.scale.x = playerNum === 1 ? 1 : -1;
+    }
+    this.ghost.player.gotoAndStop(
+      getFrameNumberForPlayerAnimatedSprite(player.state, player.frameNumber)
+    );
+
+    this.ghost.ball.x = ball.x;
+    this.ghost.ball.y = ball.y;
+    this.ghost.ball.gotoAndStop(ball.rotation);
+  }
+
+  /** @param {boolean} bool Is the ghost visible? */
+  set ghostVisible(bool) {
+    this.ghost.container.visible = bool;
+  }
+
   /**
    * Draw scores to each score board
    * @param {number[]} scores [0] for player1 score, [1] for player2 score
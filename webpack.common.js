@@ -12,6 +12,17 @@ module.exports = {
     main_replay: './src/resources/js/replay/main_replay.js',
     is_embedded_in_other_website:
       './src/resources/js/utils/is_embedded_in_other_website.js',
+    // Web Worker entries: each has its own runtime and loads the split chunks by importScripts
+    serve_search_worker: {
+      import: './src/resources/js/serve_code/serve_search_worker.js',
+      chunkLoading: 'import-scripts',
+      runtime: false,
+    },
+    serve_benchmark_worker: {
+      import: './src/resources/js/serve_code/serve_benchmark_worker.js',
+      chunkLoading: 'import-scripts',
+      runtime: false,
+    },
   },
   output: {
     filename: '[name].bundle.js',